@@ -0,0 +1,266 @@
+// Bank statement parsing for the CSV/TXT exports of the main Peruvian banks' online banking.
+// Layouts are recognized by their header row; banks prepend account info lines, so the header is
+// searched within the first lines of the file.
+
+import { asApiError } from "./utils.js";
+
+const HEADER_SEARCH_LINES = 30;
+
+// Header aliases per column, compared after normalizeHeader.
+const LAYOUTS = {
+  BCP: {
+    date: ["fecha", "fecha operacion"],
+    description: ["descripcion operacion", "descripcion"],
+    amount: ["monto"],
+    operationNumber: ["operacion numero", "numero de operacion", "nro operacion"],
+    reference: ["referencia2", "referencia"],
+  },
+  BBVA: {
+    date: ["f operacion", "fecha operacion"],
+    description: ["concepto"],
+    amount: ["importe"],
+    operationNumber: ["n doc", "no doc", "numero doc", "nro doc"],
+    reference: ["codigo"],
+  },
+  INTERBANK: {
+    date: ["fecha de operacion", "fecha operacion"],
+    description: ["descripcion", "movimiento"],
+    debit: ["cargo"],
+    credit: ["abono"],
+    operationNumber: ["nro de operacion", "numero de operacion", "n de operacion"],
+    reference: ["canal"],
+  },
+};
+
+export const BANK_STATEMENT_BANKS = Object.keys(LAYOUTS);
+
+const normalizeHeader = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Semicolon exports are common when the bank formats amounts with decimal commas.
+const detectDelimiter = (line) => {
+  const counts = [";", ",", "\t"].map((delimiter) => [delimiter, line.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+};
+
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+const findColumn = (headers, aliases = []) => {
+  for (const alias of aliases) {
+    const index = headers.indexOf(alias);
+    if (index >= 0) return index;
+  }
+  return -1;
+};
+
+const resolveLayout = (headers, bank) => {
+  const candidates = bank ? [bank] : BANK_STATEMENT_BANKS;
+  for (const name of candidates) {
+    const layout = LAYOUTS[name];
+    const columns = Object.fromEntries(
+      Object.entries(layout).map(([field, aliases]) => [field, findColumn(headers, aliases)])
+    );
+    const hasAmount = columns.amount >= 0 || (columns.credit >= 0 && columns.debit >= 0);
+    if (columns.date >= 0 && columns.description >= 0 && hasAmount) {
+      return { bank: name, columns };
+    }
+  }
+  return null;
+};
+
+// Sign, currency prefix and digits of an amount cell. The sign is a leading or trailing "-" or
+// parentheses, never both; "S/", "US$" and ISO codes are dropped.
+const AMOUNT_PATTERN = /^(-?)\s*(?:S\/\.?|US\$|\$|PEN|USD)?\s*(-?)\s*(\d[\d.,]*)\s*(-?)$/i;
+
+const splitAmount = (value) => {
+  let raw = String(value ?? "").trim();
+  let parenthesized = false;
+  if (/^\(.*\)$/.test(raw)) {
+    parenthesized = true;
+    raw = raw.slice(1, -1).trim();
+  }
+  const match = raw.match(AMOUNT_PATTERN);
+  if (!match) return null;
+  const signs = [match[1], match[2], match[4]].filter(Boolean).length + (parenthesized ? 1 : 0);
+  if (signs > 1) return null;
+  return { negative: signs === 1, digits: match[3] };
+};
+
+// The decimal separator a single amount reveals, or null when it could be either ("1,234" or "1.234").
+const decimalSeparatorOf = (digits) => {
+  const lastComma = digits.lastIndexOf(",");
+  const lastDot = digits.lastIndexOf(".");
+  if (lastComma >= 0 && lastDot >= 0) return lastComma > lastDot ? "," : ".";
+  const separator = lastComma >= 0 ? "," : lastDot >= 0 ? "." : null;
+  if (!separator) return null;
+  if (digits.split(separator).length > 2) return separator === "," ? "." : ",";
+  return digits.length - digits.lastIndexOf(separator) - 1 === 3 ? null : separator;
+};
+
+/**
+ * The decimal separator of a whole file, from the amounts that are unambiguous. Returns null when no
+ * amount tells, and throws a 400 when the file mixes both conventions.
+ */
+export const detectDecimalSeparator = (values) => {
+  const found = new Set();
+  values.forEach((value) => {
+    const parts = splitAmount(value);
+    const separator = parts ? decimalSeparatorOf(parts.digits) : null;
+    if (separator) found.add(separator);
+  });
+  if (found.size > 1) {
+    throw asApiError(400, "Statement mixes decimal separators");
+  }
+  return found.size ? [...found][0] : null;
+};
+
+// Parses "1,234.56", "(1,234.56)", "S/ -1234.56" or "1.234,56-" with the file's decimal separator;
+// thousands groups must have three digits. Returns null for anything else.
+export const parseStatementAmount = (value, decimalSeparator = ".") => {
+  const parts = splitAmount(value);
+  if (!parts) return null;
+  const thousands = decimalSeparator === "," ? "\\." : ",";
+  const decimal = decimalSeparator === "," ? "," : "\\.";
+  const pattern = new RegExp(`^(?:\\d{1,3}(?:${thousands}\\d{3})+|\\d+)(?:${decimal}\\d+)?$`);
+  if (!pattern.test(parts.digits)) return null;
+
+  const normalized = parts.digits.replace(decimalSeparator === "," ? /\./g : /,/g, "").replace(",", ".");
+  const parsed = Number(normalized);
+  if (!Number.isFinite(parsed)) return null;
+  return Math.round((parts.negative ? -parsed : parsed) * 100) / 100;
+};
+
+// Optional time after the date: "14:05", "14:05:09", "2:05 p.m.", ISO "T14:05:09.000Z".
+const TIME_SUFFIX = "(?:[ T]\\d{1,2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:\\s*[ap]\\.?\\s?m\\.?)?(?:Z|[+-]\\d{2}:?\\d{2})?)?";
+const ISO_DATE = new RegExp(`^(\\d{4})-(\\d{2})-(\\d{2})${TIME_SUFFIX}$`, "i");
+const DAY_FIRST_DATE = new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{2}|\\d{4})${TIME_SUFFIX}$`, "i");
+
+const toDateKey = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Peruvian exports use day-first dates (dd/mm/yyyy, dd-mm-yy), optionally with the time of the
+// operation; ISO dates are accepted too. The time is dropped: movements are matched by day.
+export const parseStatementDate = (value) => {
+  const raw = String(value || "").trim();
+  let match = raw.match(ISO_DATE);
+  if (match) return toDateKey(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = raw.match(DAY_FIRST_DATE);
+  if (!match) return null;
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  return toDateKey(year, Number(match[2]), Number(match[1]));
+};
+
+const cell = (cells, index) => (index >= 0 ? String(cells[index] || "").trim() : "");
+
+/**
+ * Parses a statement export into credit (deposit) movements.
+ * Returns { bank: null } when no known layout header is found; rows without a valid date or amount
+ * (subtotals, footers) are counted in `skipped`, debits in `debits`. Amounts are read with one
+ * decimal separator for the whole file (see detectDecimalSeparator).
+ */
+export const parseBankStatement = (content, bank = null) => {
+  const lines = String(content || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/);
+
+  let layout = null;
+  let delimiter = ",";
+  let headerIndex = -1;
+  for (let index = 0; index < Math.min(lines.length, HEADER_SEARCH_LINES); index += 1) {
+    if (!lines[index].trim()) continue;
+    const lineDelimiter = detectDelimiter(lines[index]);
+    const headers = splitCsvLine(lines[index], lineDelimiter).map(normalizeHeader);
+    layout = resolveLayout(headers, bank);
+    if (layout) {
+      delimiter = lineDelimiter;
+      headerIndex = index;
+      break;
+    }
+  }
+  if (!layout) return { bank: null, movements: [], skipped: 0, debits: 0 };
+
+  const { columns } = layout;
+  const rows = lines
+    .slice(headerIndex + 1)
+    .map((line, offset) => ({ line: headerIndex + offset + 2, cells: line.trim() ? splitCsvLine(line, delimiter) : null }))
+    .filter((row) => row.cells);
+  const amountColumns = [columns.amount, columns.credit, columns.debit].filter((index) => index >= 0);
+  // Semicolon exports come from spreadsheets set to decimal commas; that only decides files whose
+  // amounts never show which separator is the decimal one.
+  const decimalSeparator =
+    detectDecimalSeparator(rows.flatMap((row) => amountColumns.map((index) => cell(row.cells, index)))) ||
+    (delimiter === ";" ? "," : ".");
+
+  const movements = [];
+  let skipped = 0;
+  let debits = 0;
+  rows.forEach(({ line, cells }) => {
+    const date = parseStatementDate(cell(cells, columns.date));
+
+    let amount = null;
+    if (columns.amount >= 0) {
+      amount = parseStatementAmount(cell(cells, columns.amount), decimalSeparator);
+    } else {
+      const credit = parseStatementAmount(cell(cells, columns.credit), decimalSeparator);
+      const debit = parseStatementAmount(cell(cells, columns.debit), decimalSeparator);
+      if (credit) amount = Math.abs(credit);
+      else if (debit) amount = -Math.abs(debit);
+    }
+
+    if (!date || amount === null || amount === 0) {
+      skipped += 1;
+      return;
+    }
+    if (amount < 0) {
+      debits += 1;
+      return;
+    }
+
+    movements.push({
+      line,
+      date,
+      amount,
+      description: cell(cells, columns.description),
+      operationNumber: cell(cells, columns.operationNumber).toUpperCase() || null,
+      reference: cell(cells, columns.reference) || null,
+    });
+  });
+
+  return { bank: layout.bank, movements, skipped, debits };
+};
@@ -4,6 +4,29 @@ import dotenv from "dotenv";
 import crypto from "crypto";
 import { firebaseAdmin, firestore } from "./firebase.js";
 import { getPaypalBaseUrl, getPaypalToken, verifyPaypalWebhook } from "./paypal.js";
+import { buildSummaryLine, buildUblFilename, buildUblXml, validateUblInvoice } from "./ubl.js";
+import { renderInvoicePdf } from "./pdf.js";
+import { BANK_STATEMENT_BANKS, parseBankStatement } from "./bank.js";
+import { buildPleVentasFilename, buildPleVentasTxt, encodePleText } from "./ple.js";
+import { isValidRuc } from "./ruc.js";
+import {
+  buildDashboardSummary,
+  invoiceStatsContribution,
+  nestInvoiceStats,
+  sumInvoiceStats,
+  summarizeOverdueInvoices,
+} from "./stats.js";
+import { asApiError, round2 } from "./utils.js";
+import { TAX_REGIMES, buildTaxLiquidation, salesNetIncome, summarizePurchases, summarizeSales } from "./taxes.js";
+import {
+  DEFAULT_IGV_RATE,
+  UNIT_CODES,
+  applyGlobalAdjustments,
+  parseDecimal,
+  parseInvoiceItem,
+  parseTaxRate,
+  summarizeInvoiceItems,
+} from "./items.js";
 
 dotenv.config();
 
@@ -43,6 +66,34 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
+const requireAdmin = async (req, res, next) => {
+  try {
+    const userSnap = await firestore.collection("users").doc(req.user.uid).get();
+    if (userSnap.get("role") !== "ADMIN") {
+      return res.status(403).json({ error: "Admin role required" });
+    }
+    return next();
+  } catch (error) {
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// Cloud Scheduler calls internal job endpoints with a shared secret instead of a Firebase user.
+const requireSchedulerSecret = (req, res, next) => {
+  const expected = String(process.env.CPE_JOBS_SECRET || "");
+  if (!expected) {
+    return res.status(503).json({ error: "Scheduler not configured" });
+  }
+
+  const provided = String(req.headers["x-scheduler-secret"] || "");
+  const matches =
+    provided.length === expected.length && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+  if (!matches) {
+    return res.status(401).json({ error: "Invalid scheduler secret" });
+  }
+  return next();
+};
+
 const planFromId = (planId) => {
   if (!planId) return null;
   if (planId === process.env.PAYPAL_PLAN_ID_PRO) return "PRO";
@@ -68,33 +119,124 @@ const getSunatWorkerUrl = () => {
   return url;
 };
 
-const BILLING_DOC_TYPES = new Set(["FACTURA", "BOLETA"]);
+const BILLING_DOC_TYPES = new Set(["FACTURA", "BOLETA", "NOTA_CREDITO", "NOTA_DEBITO"]);
+const BILLING_NOTE_TYPES = new Set(["NOTA_CREDITO", "NOTA_DEBITO"]);
+// SUNAT catalogo 09 (nota de credito) y catalogo 10 (nota de debito).
+const CREDIT_NOTE_REASON_CODES = new Set(["01", "02", "03", "04", "05", "06", "07", "08", "09", "10", "11", "12", "13"]);
+const DEBIT_NOTE_REASON_CODES = new Set(["01", "02", "03", "11", "12"]);
 const BILLING_CUSTOMER_DOC_TYPES = new Set(["RUC", "DNI", "OTRO"]);
-const BILLING_PAYMENT_STATUSES = new Set(["PENDIENTE", "PARCIAL", "PAGADO", "VENCIDO"]);
+const BILLING_PAYMENT_STATUSES = new Set(["PENDIENTE", "PARCIAL", "PAGADO", "VENCIDO", "ANULADO", "BORRADOR"]);
+const BILLING_INVOICE_STATUSES = new Set(["BORRADOR", "EMITIDO", "ANULADO"]);
 const DECIMAL_EPSILON = 0.000001;
 const SUNAT_CDR_ENVS = new Set(["BETA", "PROD"]);
-
-const asApiError = (status, message) => {
-  const error = new Error(message);
-  error.status = status;
-  return error;
-};
-
-const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
-
-const parseDecimal = (value) => {
-  const normalized = String(value ?? "").trim().replace(",", ".");
-  const parsed = Number(normalized);
-  if (!Number.isFinite(parsed)) return null;
-  return parsed;
-};
-
-const parseTaxRate = (value) => {
-  const parsed = parseDecimal(value);
-  if (parsed === null || parsed < 0) return null;
-  if (parsed > 100) return null;
-  return parsed > 1 ? parsed / 100 : parsed;
+const SERIE_PATTERN = /^[FB][A-Z0-9]{3}$/;
+// Codes are document ids: an alphanumeric first character keeps out ".", ".." and "__x__", which
+// Firestore rejects as ids.
+const PRODUCT_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,29}$/;
+const BILLING_CURRENCIES = new Set(["PEN", "USD"]);
+const BASE_CURRENCY = "PEN";
+const EXCHANGE_RATE_LOOKBACK_DAYS = 7;
+// SPOT applies to facturas above S/ 700; the deposit goes to the customer's Banco de la Nacion account.
+const DETRACCION_THRESHOLD_PEN = 700;
+const DEFAULT_RETENCION_RATE = 0.03;
+const DEFAULT_PERCEPCION_RATE = 0.02;
+const PAYMENT_KIND_FIELDS = {
+  COBRO: "collectedAmount",
+  DETRACCION: "detraccionPaidAmount",
+  RETENCION: "retencionAppliedAmount",
 };
+const PAYMENT_KIND_LABELS = { COBRO: "Pago", DETRACCION: "Detraccion", RETENCION: "Retencion" };
+const PAYMENT_METHODS = new Set(["EFECTIVO", "TRANSFERENCIA", "DEPOSITO", "YAPE", "PLIN", "TARJETA", "DETRACCION", "OTRO"]);
+const OPERATION_NUMBER_MAX_LENGTH = 30;
+const PAYMENT_ATTACHMENT_MAX_LENGTH = 500;
+const BANK_PAYMENT_METHODS = new Set(["TRANSFERENCIA", "DEPOSITO", "YAPE", "PLIN"]);
+const BANK_STATEMENT_MAX_MOVEMENTS = 2000;
+const BANK_STATEMENT_WRITE_BATCH = 400;
+// .xlsx files are zip archives and .xls files OLE containers; neither can be read as text.
+const EXCEL_SIGNATURES = new Set(["504b0304", "d0cf11e0"]);
+// An import still IMPORTING after this long is taken as crashed.
+const BANK_STATEMENT_IMPORT_STALE_MS = 10 * 60000;
+// Matching window: days after the due date a deposit can still settle an invoice, and days a deposit
+// may precede the issue date (advance transfers).
+const BANK_MATCH_WINDOW_DAYS = 30;
+const BANK_MATCH_EARLY_DAYS = 3;
+const BANK_MATCH_CANDIDATES = 3;
+const BANK_MATCH_INVOICE_LIMIT = 1000;
+const BANK_MATCH_CONFIRM_LIMIT = 100;
+const RECEIVABLES_INVOICE_LIMIT = 5000;
+const STATEMENT_INVOICE_LIMIT = 500;
+const STATEMENT_FORMATS = new Set(["JSON", "CSV"]);
+const PURCHASE_SERIE_PATTERN = /^[A-Z0-9]{4}$/;
+const PURCHASE_IGV_TOLERANCE = 0.1;
+// The purchase list reads at most this many pages of `limit` purchases per call while filtering.
+const PURCHASE_LIST_SCAN_PAGES = 5;
+// IGV credit can be used in the issue month or the following 12 periods.
+const IGV_CREDIT_MAX_MONTHS = 12;
+const DASHBOARD_MAX_DAYS = 366;
+// Longer ranges default to a monthly series.
+const DASHBOARD_DAILY_MAX_DAYS = 62;
+const DASHBOARD_GROUPS = new Set(["DAY", "MONTH"]);
+const INVOICE_STATS_REBUILD_PAGE = 500;
+const SERIES_GAPS_LIMIT = 1000;
+const PDF_FORMATS = new Set(["A4", "TICKET"]);
+// SUNAT accepts Comunicacion de Baja / Resumen Diario annulments up to 7 days after issue.
+const VOID_DEADLINE_DAYS = 7;
+const VOID_REASON_MAX_LENGTH = 100;
+// SUNAT allows 500 lines per Resumen Diario; kept lower so a summary and its boletas fit in one transaction.
+const SUMMARY_LINES_LIMIT = 490;
+const SUMMARY_FINAL_STATUSES = new Set(["ACEPTADO", "RECHAZADO"]);
+const CPE_FINAL_STATUSES = new Set(["ACEPTADO", "RECHAZADO"]);
+const CPE_JOB_ACTIVE_STATUSES = new Set(["QUEUED", "SENDING", "POLLING"]);
+const CPE_IN_FLIGHT_STATUSES = new Set(["QUEUED", "SENDING"]);
+const CPE_JOB_MAX_ATTEMPTS = 6;
+const CPE_JOB_MAX_POLLS = 20;
+const CPE_JOB_BASE_DELAY_MS = 30000;
+const CPE_JOB_MAX_DELAY_MS = 30 * 60000;
+const CPE_JOB_RUN_BATCH = 20;
+// The attempt made inside the emit request must finish before the response (Cloud Run throttles CPU
+// afterwards); anything slower is retried by the scheduler.
+const CPE_FIRST_ATTEMPT_TIMEOUT_MS = 10000;
+// Bulk emission runs inside one request: each invoice takes at most two first attempts (BETA and
+// PROD) of CPE_FIRST_ATTEMPT_TIMEOUT_MS, and no invoice starts after the budget, so a full batch stays
+// well under the Cloud Run request timeout.
+const BULK_EMIT_LIMIT = 50;
+// Range reads go in pages of BULK_EMIT_LIMIT; accepted, voided and draft invoices are filtered per page,
+// so at most this many pages are read per call before reporting `truncated`.
+const BULK_EMIT_SCAN_PAGES = 10;
+const BULK_EMIT_BUDGET_MS = 120000;
+const BULK_EMIT_CONCURRENCY = 5;
+const LIMA_UTC_OFFSET_MS = 5 * 3600000;
+// Months between runs of a recurring invoice template.
+const RECURRING_FREQUENCIES = { MONTHLY: 1, BIMONTHLY: 2, QUARTERLY: 3, SEMIANNUAL: 6, ANNUAL: 12 };
+const RECURRING_INVOICE_FIELDS = [
+  "documentType",
+  "serie",
+  "customerId",
+  "customerName",
+  "customerDocumentType",
+  "customerDocumentNumber",
+  "customerAddress",
+  "currency",
+  "pricesIncludeTax",
+  "items",
+  "globalDiscount",
+  "otherCharges",
+  "detraccion",
+  "retencion",
+  "percepcion",
+];
+// Missed periods generated per template in one call, and templates processed per scheduler call.
+const RECURRING_CATCH_UP_LIMIT = 12;
+const RECURRING_RUN_BATCH = 50;
+// Work per call across all templates; what is left stays due and the next call carries on.
+const RECURRING_RUN_MAX_PERIODS = 60;
+const RECURRING_RUN_BUDGET_MS = 120000;
+// SUNAT rejects facturas sent more than 3 days after issue, so older missed periods are skipped, not issued.
+// Boletas reach SUNAT in the Resumen Diario, which accepts them up to 7 days after issue.
+const RECURRING_SEND_WINDOW_DAYS = 3;
+const RECURRING_BOLETA_SEND_WINDOW_DAYS = 7;
+// Failed attempts on one period before the template is suspended and left out of the scheduler query.
+const RECURRING_MAX_ATTEMPTS = 5;
 
 const parseDateInput = (value) => {
   if (value === null || value === undefined || value === "") return null;
@@ -112,13 +254,156 @@ const toIsoOrNull = (value) => {
   return date.toISOString();
 };
 
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const parseExchangeRate = (value) => {
+  const parsed = parseDecimal(value);
+  if (parsed === null || parsed <= 0) return null;
+  return Math.round(parsed * 1000) / 1000;
+};
+
+// Latest "venta" rate published on or before the given date, from exchange_rates/{currency}/daily/{YYYY-MM-DD}.
+const findExchangeRate = async (currency, date) => {
+  if (currency === BASE_CURRENCY) return 1;
+  const dateKey = toDateKey(date);
+  const snap = await firestore
+    .collection("exchange_rates")
+    .doc(currency)
+    .collection("daily")
+    .where(firebaseAdmin.firestore.FieldPath.documentId(), "<=", dateKey)
+    .orderBy(firebaseAdmin.firestore.FieldPath.documentId(), "desc")
+    .limit(1)
+    .get();
+  if (snap.empty) return null;
+
+  const docSnap = snap.docs[0];
+  const ageDays = (new Date(dateKey).getTime() - new Date(docSnap.id).getTime()) / 86400000;
+  if (ageDays > EXCHANGE_RATE_LOOKBACK_DAYS) return null;
+  return parseExchangeRate(docSnap.get("sell"));
+};
+
+const resolveExchangeRate = async (currency, date, supplied) => {
+  if (currency === BASE_CURRENCY) return 1;
+  if (supplied) return supplied;
+  const rate = await findExchangeRate(currency, date);
+  if (!rate) {
+    throw asApiError(400, `Exchange rate not found for ${currency} on ${toDateKey(date)}`);
+  }
+  return rate;
+};
+
+const toBaseCurrency = (amount, exchangeRate) => round2(Number(amount || 0) * Number(exchangeRate || 1));
+
+// Converts a payment into the invoice currency using the payment's own exchange rate.
+const convertAmount = (amount, fromCurrency, toCurrency, exchangeRate) => {
+  if (fromCurrency === toCurrency) return round2(amount);
+  if (fromCurrency === BASE_CURRENCY) return round2(amount / exchangeRate);
+  return round2(amount * exchangeRate);
+};
+
 const buildInvoiceId = (documentType, serie, numero) =>
   crypto.createHash("sha1").update(`${documentType}|${serie}|${numero}`).digest("hex");
 
+// The operation number identifies the transfer whatever method it is recorded with, so the same
+// deposit entered as TRANSFERENCIA and as DEPOSITO is still a duplicate. Banks number operations per
+// account, so the destination account (digits and letters only) is part of the key when it is known.
+const buildPaymentOperationId = (operationNumber, bankAccount = null) => {
+  const account = String(bankAccount || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return crypto
+    .createHash("sha1")
+    .update(account ? `${account}|${operationNumber}` : String(operationNumber))
+    .digest("hex");
+};
+
+// Voided payments keep their payment_operations doc with status ANULADO as an audit trail; only
+// active reservations block the number.
+const isOperationReserved = (operationSnap) => Boolean(operationSnap?.exists) && operationSnap.get("status") !== "ANULADO";
+
+const buildSeriesId = (documentType, serie) => `${docTypeCode(documentType) || "XX"}-${serie}`;
+
+// Correlatives are numeric (up to 8 digits); anything else is a manual numero outside the registry.
+const parseCorrelative = (numero) => {
+  const value = String(numero || "").trim();
+  if (!/^\d{1,8}$/.test(value)) return null;
+  return Number(value);
+};
+
+// Walks the holes between consecutive used numbers, so the cost follows the issued invoices and not
+// the size of the range (a manual numero can push lastNumber far ahead).
+const findCorrelativeGaps = (used, startNumber, lastNumber) => {
+  const inRange = [...used].filter((number) => number >= startNumber && number <= lastNumber).sort((a, b) => a - b);
+  const missing = [];
+  let missingCount = 0;
+  let expected = startNumber;
+  [...inRange, lastNumber + 1].forEach((number) => {
+    missingCount += number - expected;
+    for (let gap = expected; gap < number && missing.length < SERIES_GAPS_LIMIT; gap += 1) missing.push(gap);
+    expected = number + 1;
+  });
+  return { missing, missingCount };
+};
+
+// Numeric numeros are kept without leading zeros so "0123" and "123" resolve to the same invoice id.
+const normalizeNumero = (numero) => {
+  const value = String(numero || "").trim().toUpperCase();
+  const correlative = parseCorrelative(value);
+  return correlative === null ? value : String(correlative);
+};
+
+// Zero-padded spellings (up to SUNAT's 8 digits) a numeric numero may have been stored with before
+// numeros were normalized; those invoices keep the id hashed from the padded value.
+const numeroSpellings = (numero) =>
+  parseCorrelative(numero) === null
+    ? [numero]
+    : Array.from({ length: 9 - numero.length }, (_, pad) => numero.padStart(numero.length + pad, "0"));
+
+const isValidDni = (value) => /^\d{8}$/.test(value);
+
+const assertCustomerDocument = (documentType, documentNumber) => {
+  if (documentType === "RUC" && !isValidRuc(documentNumber)) {
+    throw asApiError(400, "Invalid RUC");
+  }
+  if (documentType === "DNI" && !isValidDni(documentNumber)) {
+    throw asApiError(400, "Invalid DNI");
+  }
+  if (documentType === "OTRO" && !/^[A-Za-z0-9-]{1,15}$/.test(documentNumber)) {
+    throw asApiError(400, "Invalid documentNumber");
+  }
+};
+
+const buildCustomerId = (documentType, documentNumber) => `${documentType}-${documentNumber}`;
+
+// Lowercase, accent-free copy of a name stored next to it so lists can be searched by prefix.
+const normalizeSearchText = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+// One page of `collectionRef` ordered by `field`, optionally limited to values starting with `prefix`.
+// `cursor` is the id of the last document of the previous page.
+const queryPage = async (collectionRef, { field, prefix = "", limit, cursor = "" }) => {
+  let query = prefix
+    ? collectionRef.where(field, ">=", prefix).where(field, "<", `${prefix}\uf8ff`).orderBy(field, "asc")
+    : collectionRef.orderBy(field, "asc");
+  if (cursor) {
+    const cursorSnap = await collectionRef.doc(cursor).get();
+    if (!cursorSnap.exists) throw asApiError(400, "Invalid cursor");
+    query = query.startAfter(cursorSnap);
+  }
+
+  const snap = await query.limit(limit).get();
+  return { docs: snap.docs, nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null };
+};
+
 const docTypeCode = (documentType) => {
   const value = String(documentType || "").trim().toUpperCase();
   if (value === "FACTURA") return "01";
   if (value === "BOLETA") return "03";
+  if (value === "NOTA_CREDITO") return "07";
+  if (value === "NOTA_DEBITO") return "08";
   return null;
 };
 
@@ -134,12 +419,63 @@ const normalizePaymentStatus = (status, balance, dueDate) => {
   return "PENDIENTE";
 };
 
+const isNoteType = (documentType) => BILLING_NOTE_TYPES.has(documentType);
+
+const isVoided = (raw) => raw?.status === "ANULADO";
+
+// A Comunicacion de Baja / Resumen Diario annulment sent to SUNAT and waiting for its ticket.
+const isVoidPending = (raw) => raw?.voidStatus === "PENDIENTE";
+
+// Drafts have no definitive number and are invisible to SUNAT, receivables and the comprobantes mirror.
+const isDraft = (raw) => raw?.status === "BORRADOR";
+
+const invoiceAdjustedTotal = (raw) =>
+  round2(Math.max(0, Number(raw?.total || 0) + Number(raw?.debitedAmount || 0) - Number(raw?.creditedAmount || 0)));
+
+// Amount to settle once credit/debit notes and percepcion are applied to the invoice.
+const invoiceReceivable = (raw) =>
+  isVoided(raw) || isDraft(raw) ? 0 : round2(invoiceAdjustedTotal(raw) + Number(raw?.percepcionAmount || 0));
+
+// Splits the open balance into what the customer pays directly (COBRO) and what is still
+// expected as detraccion deposit or retencion certificate.
+const invoiceSettlement = (raw) => {
+  const receivable = invoiceReceivable(raw);
+  const paidAmount = round2(raw?.paidAmount || 0);
+  const balance = round2(Math.max(0, receivable - paidAmount));
+  const detraccion = Math.min(
+    balance,
+    Math.max(0, Number(raw?.detraccionAmount || 0) - Number(raw?.detraccionPaidAmount || 0))
+  );
+  const retencion = Math.min(
+    balance - detraccion,
+    Math.max(0, Number(raw?.retencionAmount || 0) - Number(raw?.retencionAppliedAmount || 0))
+  );
+
+  return {
+    receivable,
+    paidAmount,
+    balance,
+    pending: {
+      COBRO: round2(balance - detraccion - retencion),
+      DETRACCION: round2(detraccion),
+      RETENCION: round2(retencion),
+    },
+  };
+};
+
+const resolvePaymentStatus = (paidAmount, balance) => {
+  if (balance <= DECIMAL_EPSILON) return "PAGADO";
+  return paidAmount > DECIMAL_EPSILON ? "PARCIAL" : "PENDIENTE";
+};
+
 const mapInvoiceDoc = (id, raw) => {
   const total = round2(raw?.total || 0);
   const paidAmount = round2(raw?.paidAmount || 0);
-  const balance = round2(raw?.balance ?? total - paidAmount);
+  const balance = round2(raw?.balance ?? invoiceReceivable(raw) - paidAmount);
   const issueDateIso = toIsoOrNull(raw?.issueDate);
   const dueDateIso = toIsoOrNull(raw?.dueDate);
+  // Invoices stored before the affectation split are summarized from their items.
+  const split = raw?.opGravadas === undefined ? summarizeInvoiceItems(raw?.items) : raw;
 
   return {
     id,
@@ -149,23 +485,77 @@ const mapInvoiceDoc = (id, raw) => {
     customerName: raw?.customerName || "",
     customerDocumentType: raw?.customerDocumentType || "OTRO",
     customerDocumentNumber: raw?.customerDocumentNumber || "",
+    customerAddress: raw?.customerAddress || "",
+    customerId: raw?.customerId || null,
     issueDate: issueDateIso,
     dueDate: dueDateIso,
+    currency: raw?.currency || BASE_CURRENCY,
+    exchangeRate: Number(raw?.exchangeRate || 1),
+    pricesIncludeTax: raw?.pricesIncludeTax === true,
+    opGravadas: round2(split?.opGravadas || 0),
+    opExoneradas: round2(split?.opExoneradas || 0),
+    opInafectas: round2(split?.opInafectas || 0),
+    opExportacion: round2(split?.opExportacion || 0),
+    opGratuitas: round2(split?.opGratuitas || 0),
+    igvGratuitas: round2(split?.igvGratuitas || 0),
+    lineDiscounts: round2(raw?.lineDiscounts || 0),
+    globalDiscount: round2(raw?.globalDiscount || 0),
+    globalDiscountWithTax: round2(raw?.globalDiscountWithTax || 0),
+    globalDiscountAffectsBase: raw?.globalDiscountAffectsBase ?? null,
+    globalDiscountIgv: round2(raw?.globalDiscountIgv || 0),
+    icbper: round2(raw?.icbper || 0),
+    otherCharges: round2(raw?.otherCharges || 0),
+    otherChargesDescription: raw?.otherChargesDescription || null,
     subtotal: round2(raw?.subtotal || 0),
     igv: round2(raw?.igv || 0),
     total,
+    totalPen: round2(raw?.totalPen ?? total),
+    detraccionCode: raw?.detraccionCode || null,
+    detraccionRate: raw?.detraccionRate ?? null,
+    detraccionBankAccount: raw?.detraccionBankAccount || null,
+    detraccionAmount: round2(raw?.detraccionAmount || 0),
+    detraccionAmountPen: round2(raw?.detraccionAmountPen || 0),
+    retencionRate: raw?.retencionRate ?? null,
+    retencionAmount: round2(raw?.retencionAmount || 0),
+    percepcionRate: raw?.percepcionRate ?? null,
+    percepcionAmount: round2(raw?.percepcionAmount || 0),
+    receivable: invoiceReceivable(raw),
+    netReceivable: round2(
+      Math.max(0, invoiceReceivable(raw) - Number(raw?.detraccionAmount || 0) - Number(raw?.retencionAmount || 0))
+    ),
+    collectedAmount: round2(raw?.collectedAmount ?? paidAmount),
+    detraccionPaidAmount: round2(raw?.detraccionPaidAmount || 0),
+    retencionAppliedAmount: round2(raw?.retencionAppliedAmount || 0),
     paidAmount,
     balance,
-    paymentStatus: normalizePaymentStatus(raw?.paymentStatus, balance, dueDateIso),
+    paymentStatus: isVoided(raw)
+      ? "ANULADO"
+      : isDraft(raw)
+        ? "BORRADOR"
+        : normalizePaymentStatus(raw?.paymentStatus, balance, dueDateIso),
     status: raw?.status || "EMITIDO",
     source: raw?.source || "BACKEND",
     items: Array.isArray(raw?.items) ? raw.items : [],
+    referenceInvoiceId: raw?.referenceInvoiceId || null,
+    referenceDocumentType: raw?.referenceDocumentType || null,
+    referenceSerie: raw?.referenceSerie || null,
+    referenceNumero: raw?.referenceNumero || null,
+    referenceIssueDate: toIsoOrNull(raw?.referenceIssueDate),
+    noteReasonCode: raw?.noteReasonCode || null,
+    noteReason: raw?.noteReason || null,
+    recurringTemplateId: raw?.recurringTemplateId || null,
+    recurringRunDate: raw?.recurringRunDate || null,
+    creditedAmount: round2(raw?.creditedAmount || 0),
+    debitedAmount: round2(raw?.debitedAmount || 0),
     cpeStatus: raw?.cpeStatus || null,
     cpeProvider: raw?.cpeProvider || null,
     cpeTicket: raw?.cpeTicket || null,
     cpeCode: raw?.cpeCode ?? null,
     cpeDescription: raw?.cpeDescription ?? null,
     cpeError: raw?.cpeError || null,
+    cpeHash: raw?.cpeHash || null,
+    cpeSummaryId: raw?.cpeSummaryId || null,
+    cpeJobId: raw?.cpeJobId || null,
     cpeLastAttemptAt: toIsoOrNull(raw?.cpeLastAttemptAt),
     cpeAcceptedAt: toIsoOrNull(raw?.cpeAcceptedAt),
     cpeBetaStatus: raw?.cpeBetaStatus || null,
@@ -174,22 +564,201 @@ const mapInvoiceDoc = (id, raw) => {
     cpeBetaCode: raw?.cpeBetaCode ?? null,
     cpeBetaDescription: raw?.cpeBetaDescription ?? null,
     cpeBetaError: raw?.cpeBetaError || null,
+    cpeBetaSummaryId: raw?.cpeBetaSummaryId || null,
+    cpeBetaJobId: raw?.cpeBetaJobId || null,
     cpeBetaLastAttemptAt: toIsoOrNull(raw?.cpeBetaLastAttemptAt),
     cpeBetaAcceptedAt: toIsoOrNull(raw?.cpeBetaAcceptedAt),
+    voidReason: raw?.voidReason || null,
+    voidMethod: raw?.voidMethod || null,
+    voidEnv: raw?.voidEnv || null,
+    voidTicket: raw?.voidTicket || null,
+    voidStatus: raw?.voidStatus || null,
+    voidCode: raw?.voidCode ?? null,
+    voidDescription: raw?.voidDescription ?? null,
+    voidError: raw?.voidError || null,
+    voidPollCount: Number(raw?.voidPollCount || 0),
+    voidRequestedAt: toIsoOrNull(raw?.voidRequestedAt),
+    voidedAt: toIsoOrNull(raw?.voidedAt),
+    createdAt: toIsoOrNull(raw?.createdAt),
+    updatedAt: toIsoOrNull(raw?.updatedAt),
+  };
+};
+
+const mapSeriesDoc = (id, raw) => {
+  const lastNumber = Number(raw?.lastNumber || 0);
+  return {
+    id,
+    documentType: raw?.documentType || "",
+    serie: raw?.serie || "",
+    startNumber: Number(raw?.startNumber || 1),
+    lastNumber,
+    nextNumber: lastNumber + 1,
+    active: raw?.active !== false,
     createdAt: toIsoOrNull(raw?.createdAt),
     updatedAt: toIsoOrNull(raw?.updatedAt),
   };
 };
 
+const mapCustomerDoc = (id, raw) => ({
+  id,
+  documentType: raw?.documentType || "OTRO",
+  documentNumber: raw?.documentNumber || "",
+  name: raw?.name || "",
+  address: raw?.address || "",
+  ubigeo: raw?.ubigeo || null,
+  email: raw?.email || "",
+  phone: raw?.phone || "",
+  sunatStatus: raw?.sunatStatus || null,
+  sunatCondition: raw?.sunatCondition || null,
+  source: raw?.source || "MANUAL",
+  createdAt: toIsoOrNull(raw?.createdAt),
+  updatedAt: toIsoOrNull(raw?.updatedAt),
+});
+
+const mapProductDoc = (id, raw) => ({
+  id,
+  code: raw?.code || id,
+  description: raw?.description || "",
+  unitCode: raw?.unitCode || "NIU",
+  unitPrice: round2(raw?.unitPrice || 0),
+  currency: raw?.currency || BASE_CURRENCY,
+  igvAffectation: raw?.igvAffectation || "10",
+  taxRate: Number(raw?.taxRate ?? DEFAULT_IGV_RATE),
+  createdAt: toIsoOrNull(raw?.createdAt),
+  updatedAt: toIsoOrNull(raw?.updatedAt),
+});
+
+const mapSummaryDoc = (id, raw, { includeCdr = false } = {}) => ({
+  id,
+  identifier: raw?.identifier || "",
+  env: raw?.env || "PROD",
+  summaryDate: raw?.summaryDate || null,
+  status: raw?.status || "PENDIENTE",
+  ticket: raw?.ticket || null,
+  lineCount: Number(raw?.lineCount || 0),
+  lines: Array.isArray(raw?.lines) ? raw.lines : [],
+  cpeCode: raw?.cpeCode ?? null,
+  cpeDescription: raw?.cpeDescription ?? null,
+  error: raw?.error || null,
+  pollCount: Number(raw?.pollCount || 0),
+  ...(includeCdr ? { cdrZipBase64: raw?.cdrZipBase64 || null } : {}),
+  sentAt: toIsoOrNull(raw?.sentAt),
+  lastPolledAt: toIsoOrNull(raw?.lastPolledAt),
+  resolvedAt: toIsoOrNull(raw?.resolvedAt),
+  createdAt: toIsoOrNull(raw?.createdAt),
+  updatedAt: toIsoOrNull(raw?.updatedAt),
+});
+
+// Payments recorded before methods existed have no method; detraccion deposits are still recognizable.
+const resolvePaymentMethod = (raw) => raw?.method || (raw?.kind === "DETRACCION" ? "DETRACCION" : "OTRO");
+
 const mapPaymentDoc = (id, raw) => ({
   id,
   amount: round2(raw?.amount || 0),
+  currency: raw?.currency || BASE_CURRENCY,
+  exchangeRate: Number(raw?.exchangeRate || 1),
+  appliedAmount: round2(raw?.appliedAmount ?? raw?.amount ?? 0),
+  kind: raw?.kind || "COBRO",
   paymentDate: toIsoOrNull(raw?.paymentDate),
   note: raw?.note || "",
+  method: resolvePaymentMethod(raw),
+  bankAccount: raw?.bankAccount || null,
+  operationNumber: raw?.operationNumber || null,
+  attachmentRef: raw?.attachmentRef || null,
+  status: raw?.status || "ACTIVO",
+  source: raw?.source || "MANUAL",
+  batchId: raw?.batchId || null,
+  bankMovementId: raw?.bankMovementId || null,
+  voidReason: raw?.voidReason || null,
+  voidedAt: toIsoOrNull(raw?.voidedAt),
+  voidedBy: raw?.voidedBy || null,
   createdAt: toIsoOrNull(raw?.createdAt),
   createdBy: raw?.createdBy || "",
 });
 
+const parseWithholdings = (body, documentType) => {
+  const detraccionInput = body.detraccion || null;
+  const retencionInput = body.retencion || null;
+  const percepcionInput = body.percepcion || null;
+  if (!detraccionInput && !retencionInput && !percepcionInput) {
+    return { detraccion: null, retencion: null, percepcion: null };
+  }
+
+  if ((detraccionInput || retencionInput) && documentType !== "FACTURA") {
+    throw asApiError(400, "Detraccion and retencion only apply to facturas");
+  }
+  if (percepcionInput && isNoteType(documentType)) {
+    throw asApiError(400, "Percepcion does not apply to notes");
+  }
+  if (detraccionInput && retencionInput) {
+    throw asApiError(400, "Detraccion and retencion cannot be combined");
+  }
+
+  let detraccion = null;
+  if (detraccionInput) {
+    const code = String(detraccionInput.code || "").trim();
+    const rate = parseTaxRate(detraccionInput.rate);
+    const bankAccount = String(detraccionInput.bankAccount || "").trim();
+    if (!/^\d{3}$/.test(code)) throw asApiError(400, "Invalid detraccion code");
+    if (!rate) throw asApiError(400, "Invalid detraccion rate");
+    if (!bankAccount) throw asApiError(400, "Missing detraccion bankAccount");
+    detraccion = { code, rate, bankAccount };
+  }
+
+  let retencion = null;
+  if (retencionInput) {
+    const rate = retencionInput.rate === undefined ? DEFAULT_RETENCION_RATE : parseTaxRate(retencionInput.rate);
+    if (!rate) throw asApiError(400, "Invalid retencion rate");
+    retencion = { rate };
+  }
+
+  let percepcion = null;
+  if (percepcionInput) {
+    const rate = percepcionInput.rate === undefined ? DEFAULT_PERCEPCION_RATE : parseTaxRate(percepcionInput.rate);
+    if (!rate) throw asApiError(400, "Invalid percepcion rate");
+    percepcion = { rate };
+  }
+
+  return { detraccion, retencion, percepcion };
+};
+
+// Invoice fields for detraccion/retencion/percepcion once the total and exchange rate are final.
+const computeWithholdings = (data) => {
+  const fields = {};
+
+  if (data.detraccion) {
+    const totalPen = toBaseCurrency(data.total, data.exchangeRate);
+    if (totalPen <= DETRACCION_THRESHOLD_PEN) {
+      throw asApiError(400, `Detraccion requires total above S/ ${DETRACCION_THRESHOLD_PEN}`);
+    }
+    // Detracciones are deposited in soles without decimals.
+    const amountPen = Math.round(totalPen * data.detraccion.rate);
+    Object.assign(fields, {
+      detraccionCode: data.detraccion.code,
+      detraccionRate: data.detraccion.rate,
+      detraccionBankAccount: data.detraccion.bankAccount,
+      detraccionAmountPen: amountPen,
+      detraccionAmount: data.currency === BASE_CURRENCY ? amountPen : round2(amountPen / data.exchangeRate),
+    });
+  }
+
+  if (data.retencion) {
+    Object.assign(fields, {
+      retencionRate: data.retencion.rate,
+      retencionAmount: round2(data.total * data.retencion.rate),
+    });
+  }
+
+  if (data.percepcion) {
+    Object.assign(fields, {
+      percepcionRate: data.percepcion.rate,
+      percepcionAmount: round2(data.total * data.percepcion.rate),
+    });
+  }
+
+  return fields;
+};
+
 const parseInvoicePayload = (body = {}) => {
   const businessId = String(body.businessId || "").trim();
   if (!businessId) {
@@ -201,16 +770,38 @@ const parseInvoicePayload = (body = {}) => {
     throw asApiError(400, "Invalid documentType");
   }
 
+  // numero is optional: when omitted it is taken from the series registry.
   const serie = String(body.serie || "").trim().toUpperCase();
-  const numero = String(body.numero || "").trim().toUpperCase();
-  if (!serie || !numero) {
-    throw asApiError(400, "Missing serie or numero");
+  const numero = normalizeNumero(body.numero);
+  if (!serie) {
+    throw asApiError(400, "Missing serie");
   }
 
+  const isNote = isNoteType(documentType);
+  let referenceInvoiceId = null;
+  let noteReasonCode = null;
+  let noteReason = null;
+  if (isNote) {
+    referenceInvoiceId = String(body.referenceInvoiceId || "").trim();
+    if (!referenceInvoiceId) {
+      throw asApiError(400, "Missing referenceInvoiceId");
+    }
+    noteReasonCode = String(body.noteReasonCode || "").trim().padStart(2, "0");
+    const reasonCodes = documentType === "NOTA_CREDITO" ? CREDIT_NOTE_REASON_CODES : DEBIT_NOTE_REASON_CODES;
+    if (!reasonCodes.has(noteReasonCode)) {
+      throw asApiError(400, "Invalid noteReasonCode");
+    }
+    noteReason = String(body.noteReason || "").trim();
+    if (!noteReason) {
+      throw asApiError(400, "Missing noteReason");
+    }
+  }
+
+  // Notes inherit the customer of the referenced invoice when omitted.
   const customerName = String(body.customerName || "").trim();
   const customerDocumentType = String(body.customerDocumentType || "OTRO").trim().toUpperCase();
   const customerDocumentNumber = String(body.customerDocumentNumber || "").trim();
-  if (!customerName || !customerDocumentNumber) {
+  if (!isNote && (!customerName || !customerDocumentNumber)) {
     throw asApiError(400, "Missing customer fields");
   }
   if (!BILLING_CUSTOMER_DOC_TYPES.has(customerDocumentType)) {
@@ -219,6 +810,11 @@ const parseInvoicePayload = (body = {}) => {
   if (documentType === "FACTURA" && customerDocumentType !== "RUC") {
     throw asApiError(400, "Factura requires customerDocumentType RUC");
   }
+  // OTRO covers foreign IDs and passports of any shape; only RUC and DNI have a format to check.
+  if (customerDocumentNumber && customerDocumentType !== "OTRO") {
+    assertCustomerDocument(customerDocumentType, customerDocumentNumber);
+  }
+  const customerAddress = String(body.customerAddress || "").trim();
 
   const issueDate = parseDateInput(body.issueDate);
   if (!issueDate) {
@@ -233,38 +829,26 @@ const parseInvoicePayload = (body = {}) => {
     throw asApiError(400, "dueDate cannot be before issueDate");
   }
 
+  const currency = String(body.currency || BASE_CURRENCY).trim().toUpperCase();
+  if (!BILLING_CURRENCIES.has(currency)) {
+    throw asApiError(400, "Invalid currency");
+  }
+  const exchangeRate = parseExchangeRate(body.exchangeRate);
+  if (body.exchangeRate && !exchangeRate) {
+    throw asApiError(400, "Invalid exchangeRate");
+  }
+
   if (!Array.isArray(body.items) || body.items.length === 0) {
     throw asApiError(400, "Missing items");
   }
 
-  const items = body.items.map((item) => {
-    const description = String(item?.description || "").trim();
-    const quantity = parseDecimal(item?.quantity);
-    const unitPrice = parseDecimal(item?.unitPrice);
-    const taxRate = parseTaxRate(item?.taxRate);
-    if (!description || quantity === null || unitPrice === null || taxRate === null) {
-      throw asApiError(400, "Invalid item fields");
-    }
-    if (quantity <= 0 || unitPrice < 0) {
-      throw asApiError(400, "Invalid item values");
-    }
-
-    const subtotal = round2(quantity * unitPrice);
-    const igv = round2(subtotal * taxRate);
-    return {
-      description,
-      quantity: round2(quantity),
-      unitPrice: round2(unitPrice),
-      taxRate: round2(taxRate),
-      subtotal,
-      igv,
-      total: round2(subtotal + igv),
-    };
-  });
-
-  const subtotal = round2(items.reduce((acc, item) => acc + item.subtotal, 0));
-  const igv = round2(items.reduce((acc, item) => acc + item.igv, 0));
-  const total = round2(items.reduce((acc, item) => acc + item.total, 0));
+  const pricesIncludeTax = body.pricesIncludeTax === true || body.pricesIncludeTax === "true";
+  const items = body.items.map((item) => parseInvoiceItem(item, { pricesIncludeTax }));
+  if (currency !== BASE_CURRENCY && items.some((item) => item.icbper)) {
+    throw asApiError(400, "ICBPER is only supported in PEN invoices");
+  }
+  const totals = applyGlobalAdjustments(body, summarizeInvoiceItems(items), { pricesIncludeTax });
+  const withholdings = parseWithholdings(body, documentType);
 
   return {
     businessId,
@@ -274,320 +858,5846 @@ const parseInvoicePayload = (body = {}) => {
     customerName,
     customerDocumentType,
     customerDocumentNumber,
+    customerAddress,
+    customerId: String(body.customerId || "").trim() || null,
+    pricesIncludeTax,
     issueDate,
     dueDate,
+    currency,
+    exchangeRate: currency === BASE_CURRENCY ? 1 : exchangeRate,
     items,
-    subtotal,
-    igv,
-    total,
+    ...totals,
+    ...withholdings,
+    referenceInvoiceId,
+    noteReasonCode,
+    noteReason,
   };
 };
 
-const parsePaymentPayload = (body = {}) => {
-  const businessId = String(body.businessId || "").trim();
-  if (!businessId) throw asApiError(400, "Missing businessId");
+// Completes a note payload with the referenced invoice and checks it against the original's totals.
+const applyNoteReference = (payload, referenceId, reference) => {
+  if (isNoteType(reference.documentType)) {
+    throw asApiError(400, "Notes must reference a factura or boleta");
+  }
+  if (isVoided(reference)) {
+    throw asApiError(409, "Referenced invoice is voided");
+  }
+  if (isVoidPending(reference)) {
+    throw asApiError(409, "Referenced invoice has an annulment pending");
+  }
+  if (isDraft(reference)) {
+    throw asApiError(409, "Referenced invoice is a draft");
+  }
 
-  const amount = parseDecimal(body.amount);
-  if (amount === null || amount <= 0) {
-    throw asApiError(400, "Invalid amount");
+  const expectedPrefix = reference.documentType === "FACTURA" ? "F" : "B";
+  if (!payload.serie.startsWith(expectedPrefix)) {
+    throw asApiError(400, `Note serie must start with ${expectedPrefix}`);
   }
 
-  const paymentDate = parseDateInput(body.paymentDate);
-  if (body.paymentDate && !paymentDate) {
-    throw asApiError(400, "Invalid paymentDate");
+  const referenceCustomerNumber = String(reference.customerDocumentNumber || "").trim();
+  if (payload.customerDocumentNumber && payload.customerDocumentNumber !== referenceCustomerNumber) {
+    throw asApiError(400, "Note customer does not match referenced invoice");
+  }
+
+  const referenceIssueDate = reference.issueDate?.toDate ? reference.issueDate.toDate() : parseDateInput(reference.issueDate);
+  if (referenceIssueDate && payload.issueDate.getTime() < referenceIssueDate.getTime()) {
+    throw asApiError(400, "issueDate cannot be before referenced invoice issueDate");
+  }
+
+  const referenceCurrency = reference.currency || BASE_CURRENCY;
+  if (payload.currency !== referenceCurrency) {
+    throw asApiError(400, "Note currency does not match referenced invoice");
+  }
+
+  if (payload.documentType === "NOTA_CREDITO" && payload.total > invoiceAdjustedTotal(reference) + DECIMAL_EPSILON) {
+    throw asApiError(400, "Credit note exceeds referenced invoice total");
   }
 
   return {
-    businessId,
-    amount: round2(amount),
-    paymentDate,
-    note: String(body.note || "").trim(),
+    ...payload,
+    customerName: String(reference.customerName || "").trim(),
+    customerDocumentType: String(reference.customerDocumentType || "OTRO").trim().toUpperCase(),
+    customerDocumentNumber: referenceCustomerNumber,
+    customerAddress: String(reference.customerAddress || "").trim(),
+    customerId: reference.customerId || null,
+    // Notes keep the exchange rate of the document they adjust.
+    exchangeRate: payload.exchangeRate || Number(reference.exchangeRate || 1),
+    referenceInvoiceId: referenceId,
+    referenceDocumentType: reference.documentType,
+    referenceSerie: reference.serie || "",
+    referenceNumero: reference.numero || "",
+    referenceIssueDate: referenceIssueDate,
   };
 };
 
-const parseBusinessQuery = (req) => {
-  const businessId = String(req.query.businessId || "").trim();
-  if (!businessId) throw asApiError(400, "Missing businessId");
-  return businessId;
+const INVOICE_TOTAL_FIELDS = [
+  "opGravadas",
+  "opExoneradas",
+  "opInafectas",
+  "opExportacion",
+  "opGratuitas",
+  "igvGratuitas",
+  "lineDiscounts",
+  "globalDiscount",
+  "globalDiscountWithTax",
+  "globalDiscountAffectsBase",
+  "globalDiscountIgv",
+  "icbper",
+  "otherCharges",
+  "otherChargesDescription",
+  "subtotal",
+  "igv",
+  "total",
+];
+
+// Cleared on edit so a removed detraccion/retencion/percepcion does not linger on the invoice.
+const EMPTY_WITHHOLDING_FIELDS = {
+  detraccionCode: null,
+  detraccionRate: null,
+  detraccionBankAccount: null,
+  detraccionAmountPen: 0,
+  detraccionAmount: 0,
+  retencionRate: null,
+  retencionAmount: 0,
+  percepcionRate: null,
+  percepcionAmount: 0,
 };
 
-app.get("/health", (req, res) => {
-  res.json({ ok: true });
-});
+// Document content shared by drafts, issued invoices and edits: customer, dates, items and totals.
+const buildInvoiceFields = (data) => {
+  const fields = {
+    documentType: data.documentType,
+    serie: data.serie,
+    numero: data.numero,
+    customerName: data.customerName,
+    customerDocumentType: data.customerDocumentType,
+    customerDocumentNumber: data.customerDocumentNumber,
+    customerAddress: data.customerAddress,
+    customerId: data.customerId,
+    pricesIncludeTax: data.pricesIncludeTax,
+    issueDate: firebaseAdmin.firestore.Timestamp.fromDate(data.issueDate),
+    dueDate: data.dueDate ? firebaseAdmin.firestore.Timestamp.fromDate(data.dueDate) : null,
+    currency: data.currency,
+    exchangeRate: data.exchangeRate,
+    ...Object.fromEntries(INVOICE_TOTAL_FIELDS.map((field) => [field, data[field]])),
+    subtotalPen: toBaseCurrency(data.subtotal, data.exchangeRate),
+    igvPen: toBaseCurrency(data.igv, data.exchangeRate),
+    totalPen: toBaseCurrency(data.total, data.exchangeRate),
+    ...computeWithholdings(data),
+    items: data.items,
+  };
 
-app.post("/chat", requireAuth, async (req, res) => {
-  const { messages, model } = req.body || {};
-  const key = process.env.OPENAI_API_KEY;
+  if (isNoteType(data.documentType)) {
+    Object.assign(fields, {
+      referenceInvoiceId: data.referenceInvoiceId,
+      referenceDocumentType: data.referenceDocumentType,
+      referenceSerie: data.referenceSerie,
+      referenceNumero: data.referenceNumero,
+      referenceIssueDate: data.referenceIssueDate ? firebaseAdmin.firestore.Timestamp.fromDate(data.referenceIssueDate) : null,
+      noteReasonCode: data.noteReasonCode,
+      noteReason: data.noteReason,
+    });
+  }
+  return fields;
+};
 
-  if (!key) {
-    return res.status(400).json({ error: "Missing OPENAI_API_KEY" });
+// Rebuilds the request body of a stored draft so issuing it runs the same parsing as a new invoice.
+// Customer and product data are the draft's own copy and are not read again.
+const draftToBody = (businessId, raw) => {
+  const grossPrices = raw.pricesIncludeTax === true;
+  return {
+    businessId,
+    documentType: raw.documentType,
+    serie: raw.serie,
+    numero: raw.numero || "",
+    customerName: raw.customerName || "",
+    customerDocumentType: raw.customerDocumentType || "OTRO",
+    customerDocumentNumber: raw.customerDocumentNumber || "",
+    customerAddress: raw.customerAddress || "",
+    customerId: raw.customerId || null,
+    pricesIncludeTax: grossPrices,
+    issueDate: toIsoOrNull(raw.issueDate),
+    dueDate: toIsoOrNull(raw.dueDate),
+    currency: raw.currency || BASE_CURRENCY,
+    exchangeRate: raw.exchangeRate,
+    // Stored items keep net values; gross drafts are re-entered with the prices the user typed.
+    items: (Array.isArray(raw.items) ? raw.items : []).map((item) => ({
+      ...(item.productId ? { productId: item.productId, productCode: item.productCode || "" } : {}),
+      description: item.description,
+      unitCode: item.unitCode,
+      quantity: item.quantity,
+      unitPrice: grossPrices ? item.unitPriceWithTax ?? item.unitPrice : item.unitPrice,
+      taxRate: item.taxRate,
+      igvAffectation: item.igvAffectation,
+      ...(item.discount ? { discount: grossPrices ? item.discountWithTax ?? item.discount : item.discount } : {}),
+      ...(item.icbper ? { icbper: true } : {}),
+    })),
+    globalDiscount: raw.globalDiscount
+      ? {
+          amount: grossPrices ? raw.globalDiscountWithTax || raw.globalDiscount : raw.globalDiscount,
+          affectsBase: raw.globalDiscountAffectsBase !== false,
+        }
+      : null,
+    otherCharges: raw.otherCharges ? { amount: raw.otherCharges, description: raw.otherChargesDescription } : null,
+    detraccion: raw.detraccionCode
+      ? { code: raw.detraccionCode, rate: raw.detraccionRate, bankAccount: raw.detraccionBankAccount }
+      : null,
+    retencion: raw.retencionRate ? { rate: raw.retencionRate } : null,
+    percepcion: raw.percepcionRate ? { rate: raw.percepcionRate } : null,
+    referenceInvoiceId: raw.referenceInvoiceId || null,
+    noteReasonCode: raw.noteReasonCode || null,
+    noteReason: raw.noteReason || null,
+  };
+};
+
+// Issued invoices can be edited until SUNAT accepts them (in either environment) or money is recorded.
+const assertEditable = (raw) => {
+  if (isVoided(raw)) {
+    throw asApiError(409, "Invoice is voided");
   }
+  if (isDraft(raw)) return;
 
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return res.status(400).json({ error: "Missing messages" });
+  ["PROD", "BETA"].forEach((env) => {
+    if (raw[cpeField(env, "Status")] === "ACEPTADO" || raw[cpeField(env, "AcceptedAt")]) {
+      throw asApiError(409, `Invoice already accepted in ${env}`);
+    }
+    // SUNAT keeps every serie-numero it received in PROD (rejected or not), so once a send was
+    // attempted the number can no longer carry different content. BETA keeps nothing.
+    if (env === "PROD" && (raw.cpeStatus || raw.cpeTicket || raw.cpeJobId || raw.cpeLastAttemptAt)) {
+      throw asApiError(409, "Invoice was already sent to SUNAT; void it or issue a credit note");
+    }
+    if (CPE_JOB_ACTIVE_STATUSES.has(raw[cpeField(env, "Status")])) {
+      throw asApiError(409, "Invoice has a CPE emission in progress");
+    }
+    if (raw[cpeField(env, "SummaryId")]) {
+      throw asApiError(409, "Invoice is pending in a daily summary");
+    }
+  });
+  if (Number(raw.paidAmount || 0) > DECIMAL_EPSILON) {
+    throw asApiError(409, "Invoice has payments registered");
+  }
+  if (Number(raw.creditedAmount || 0) > DECIMAL_EPSILON || Number(raw.debitedAmount || 0) > DECIMAL_EPSILON) {
+    throw asApiError(409, "Invoice has notes applied");
   }
+};
 
-  try {
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${key}`,
+// Increments the invoice_stats day docs (see src/stats.js) in the transaction that writes the invoice.
+// `before`/`after` are the stored invoice before and after the write (null when it does not exist).
+const recordInvoiceStats = (transaction, businessRef, before, after) => {
+  const deltas = new Map();
+  [
+    [invoiceStatsContribution(before), -1],
+    [invoiceStatsContribution(after), 1],
+  ].forEach(([entry, sign]) => {
+    if (!entry) return;
+    deltas.set(entry.date, sumInvoiceStats(deltas.get(entry.date) || {}, entry.stats, sign));
+  });
+
+  deltas.forEach((delta, date) => {
+    const changed = Object.fromEntries(Object.entries(delta).filter(([, value]) => Math.abs(value) > DECIMAL_EPSILON));
+    if (!Object.keys(changed).length) return;
+    transaction.set(
+      businessRef.collection("invoice_stats").doc(date),
+      {
+        date,
+        ...nestInvoiceStats(changed, (value) => firebaseAdmin.firestore.FieldValue.increment(value)),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
       },
-      body: JSON.stringify({
-        model: model || "gpt-4o-mini",
-        messages,
-        temperature: 0.3,
-      }),
-      signal: AbortSignal.timeout(actionTimeout),
-    });
+      { merge: true }
+    );
+  });
+};
 
-    const data = await response.json();
+// Every update of an issued invoice goes through here so invoice_stats follows it; `raw` is the stored document.
+const updateInvoiceInTransaction = (transaction, businessRef, invoiceRef, raw, updates) => {
+  transaction.update(invoiceRef, updates);
+  recordInvoiceStats(transaction, businessRef, raw, { ...raw, ...updates });
+};
 
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: data?.error?.message || "OpenAI error",
-      });
-    }
+// Adds a note total (negative to undo it) to the referenced invoice and recomputes its balance.
+const applyNoteToReference = (transaction, businessRef, referenceRef, reference, documentType, amount) => {
+  const adjustmentField = documentType === "NOTA_CREDITO" ? "creditedAmount" : "debitedAmount";
+  const adjusted = { ...reference, [adjustmentField]: round2(Number(reference[adjustmentField] || 0) + amount) };
+  const paidAmount = round2(reference.paidAmount || 0);
+  const balance = round2(Math.max(0, invoiceReceivable(adjusted) - paidAmount));
 
-    const reply = data?.choices?.[0]?.message?.content || "";
-    return res.status(200).json({ reply: reply.trim() });
-  } catch (error) {
-    return res.status(500).json({ error: error?.message || "Server error" });
+  updateInvoiceInTransaction(transaction, businessRef, referenceRef, reference, {
+    [adjustmentField]: adjusted[adjustmentField],
+    balance,
+    paymentStatus: resolvePaymentStatus(paidAmount, balance),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+// Preserve compatibility with existing dashboards based on comprobantes.
+// Credit notes are mirrored with negative amounts so legacy sums net out.
+const buildComprobanteMirror = (invoiceId, record) => {
+  const sign = record.documentType === "NOTA_CREDITO" ? -1 : 1;
+  return {
+    type: "VENTA",
+    serie: record.serie,
+    numero: record.numero,
+    fecha: record.issueDate,
+    cliente: record.customerName,
+    monto: round2(sign * record.totalPen),
+    igv: round2(sign * record.igvPen),
+    moneda: record.currency,
+    montoMoneda: round2(sign * record.total),
+    tipoCambio: record.exchangeRate,
+    source: "FACTURACION_BACKEND",
+    invoiceId,
+    ...(isNoteType(record.documentType)
+      ? { documentType: record.documentType, referenceInvoiceId: record.referenceInvoiceId }
+      : {}),
+  };
+};
+
+// Assigns the definitive number and writes the invoice, series counter, note adjustment and
+// comprobantes mirror. All reads happen before the first write so callers may write afterwards.
+const issueInvoiceInTransaction = async (transaction, { uid, businessRef, payload, extra = {} }) => {
+  const seriesRef = businessRef.collection("series").doc(buildSeriesId(payload.documentType, payload.serie));
+  const comprobanteRef = businessRef.collection("comprobantes").doc();
+  const referenceRef = payload.referenceInvoiceId ? businessRef.collection("invoices").doc(payload.referenceInvoiceId) : null;
+
+  const [businessSnap, seriesSnap, referenceSnap] = await Promise.all([
+    transaction.get(businessRef),
+    transaction.get(seriesRef),
+    referenceRef ? transaction.get(referenceRef) : Promise.resolve(null),
+  ]);
+
+  if (!businessSnap.exists) {
+    throw asApiError(404, "Business not found");
   }
-});
 
-app.post("/paypal/create-subscription", requireAuth, async (req, res) => {
-  try {
-    const { planCode } = req.body || {};
-    const planId = getPlanId(planCode);
-    if (!planCode || !planId) {
-      return res.status(400).json({ error: "Invalid plan" });
+  const series = seriesSnap.exists ? seriesSnap.data() || {} : null;
+  if (series && series.active === false) {
+    throw asApiError(409, "Series is inactive");
+  }
+  if (!payload.numero && !series) {
+    throw asApiError(400, "Missing numero and series is not registered");
+  }
+
+  const numero = payload.numero || String(Number(series.lastNumber || 0) + 1);
+  const invoiceId = buildInvoiceId(payload.documentType, payload.serie, numero);
+  const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+  const [invoiceSnap, sameNumeroSnap] = await Promise.all([
+    transaction.get(invoiceRef),
+    transaction.get(
+      businessRef
+        .collection("invoices")
+        .where("serie", "==", payload.serie)
+        .where("numero", "in", numeroSpellings(numero))
+    ),
+  ]);
+
+  if (invoiceSnap.exists || sameNumeroSnap.docs.some((docSnap) => docSnap.get("documentType") === payload.documentType)) {
+    throw asApiError(409, "Invoice already exists");
+  }
+
+  let data = { ...payload, numero };
+  if (referenceRef) {
+    if (!referenceSnap.exists) {
+      throw asApiError(404, "Referenced invoice not found");
     }
+    data = applyNoteReference(data, referenceRef.id, referenceSnap.data() || {});
+  }
 
-    const baseUrl = getBaseUrl(req);
-    const returnUrl = `${baseUrl}/dashboard/plan?paypal=success`;
-    const cancelUrl = `${baseUrl}/dashboard/plan?paypal=cancel`;
+  const isNote = isNoteType(data.documentType);
+  const fields = buildInvoiceFields(data);
+  const receivable = invoiceReceivable(fields);
+  const record = {
+    ...fields,
+    // Notes are settled through the referenced invoice, never collected on their own.
+    paidAmount: 0,
+    balance: isNote ? 0 : receivable,
+    paymentStatus: isNote ? "PAGADO" : "PENDIENTE",
+    status: "EMITIDO",
+    source: "BACKEND",
+    comprobanteId: comprobanteRef.id,
+    ...extra,
+    createdBy: uid,
+    createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  };
 
-    const accessToken = await getPaypalToken();
-    const response = await fetch(`${getPaypalBaseUrl()}/v1/billing/subscriptions`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
+  if (isNote) {
+    applyNoteToReference(transaction, businessRef, referenceRef, referenceSnap.data() || {}, data.documentType, data.total);
+  }
+
+  transaction.set(invoiceRef, record);
+  recordInvoiceStats(transaction, businessRef, null, record);
+
+  const correlative = parseCorrelative(numero);
+  if (series && correlative !== null && correlative > Number(series.lastNumber || 0)) {
+    transaction.update(seriesRef, {
+      lastNumber: correlative,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  transaction.set(comprobanteRef, {
+    ...buildComprobanteMirror(invoiceId, record),
+    createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return mapInvoiceDoc(invoiceId, record);
+};
+
+// Completes an invoice body with the customer and catalog data and resolves the exchange rate.
+// Notes take the exchange rate of the referenced invoice inside the transaction.
+const withExchangeRate = async (parsed) =>
+  parsed.referenceInvoiceId
+    ? parsed
+    : { ...parsed, exchangeRate: await resolveExchangeRate(parsed.currency, parsed.issueDate, parsed.exchangeRate) };
+
+const resolveInvoicePayload = async (uid, body) =>
+  withExchangeRate(parseInvoicePayload(await applyInvoiceProducts(uid, await applyInvoiceCustomer(uid, body))));
+
+const parsePaymentPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const amount = parseDecimal(body.amount);
+  if (amount === null || amount <= 0) {
+    throw asApiError(400, "Invalid amount");
+  }
+
+  const paymentDate = parseDateInput(body.paymentDate);
+  if (body.paymentDate && !paymentDate) {
+    throw asApiError(400, "Invalid paymentDate");
+  }
+
+  const currency = body.currency ? String(body.currency).trim().toUpperCase() : null;
+  if (currency && !BILLING_CURRENCIES.has(currency)) {
+    throw asApiError(400, "Invalid currency");
+  }
+  const exchangeRate = parseExchangeRate(body.exchangeRate);
+  if (body.exchangeRate && !exchangeRate) {
+    throw asApiError(400, "Invalid exchangeRate");
+  }
+
+  const kind = String(body.kind || "COBRO").trim().toUpperCase();
+  if (!PAYMENT_KIND_FIELDS[kind]) {
+    throw asApiError(400, "Invalid kind");
+  }
+
+  const method = String(body.method || (kind === "DETRACCION" ? "DETRACCION" : "OTRO")).trim().toUpperCase();
+  if (!PAYMENT_METHODS.has(method)) {
+    throw asApiError(400, "Invalid method");
+  }
+  if ((method === "DETRACCION") !== (kind === "DETRACCION")) {
+    throw asApiError(400, "Method DETRACCION must be used with kind DETRACCION");
+  }
+
+  const operationNumber = String(body.operationNumber || "").trim().toUpperCase();
+  if (operationNumber && !new RegExp(`^[A-Z0-9-]{1,${OPERATION_NUMBER_MAX_LENGTH}}$`).test(operationNumber)) {
+    throw asApiError(400, "Invalid operationNumber");
+  }
+  const attachmentRef = String(body.attachmentRef || "").trim();
+  if (attachmentRef.length > PAYMENT_ATTACHMENT_MAX_LENGTH) {
+    throw asApiError(400, `attachmentRef must be at most ${PAYMENT_ATTACHMENT_MAX_LENGTH} characters`);
+  }
+
+  return {
+    businessId,
+    amount: round2(amount),
+    kind,
+    currency,
+    exchangeRate,
+    paymentDate,
+    note: String(body.note || "").trim(),
+    method,
+    bankAccount: String(body.bankAccount || "").trim() || null,
+    operationNumber: operationNumber || null,
+    attachmentRef: attachmentRef || null,
+  };
+};
+
+// Payment amount in the currency of the invoice or purchase it settles.
+const convertPaymentAmount = async (raw, payload, available) => {
+  const documentCurrency = raw.currency || BASE_CURRENCY;
+  const paymentCurrency = payload.currency || documentCurrency;
+  const foreignCurrency = paymentCurrency === BASE_CURRENCY ? documentCurrency : paymentCurrency;
+  const paymentDate = payload.paymentDate || new Date();
+  const exchangeRate =
+    paymentCurrency === documentCurrency
+      ? Number(raw.exchangeRate || 1)
+      : await resolveExchangeRate(foreignCurrency, paymentDate, payload.exchangeRate);
+
+  // Cross-currency payments within a centimo of the pending amount settle it exactly.
+  let appliedAmount = convertAmount(payload.amount, paymentCurrency, documentCurrency, exchangeRate);
+  if (paymentCurrency !== documentCurrency && Math.abs(appliedAmount - available) <= 0.01) {
+    appliedAmount = available;
+  }
+  return { paymentCurrency, paymentDate, exchangeRate, appliedAmount };
+};
+
+// Registers one payment and updates the invoice settlement; reads come first so callers can keep
+// writing in the same transaction. Bank statement matches reserve the operation number per movement,
+// so they pass reserveOperation: false.
+const registerPaymentInTransaction = async (
+  transaction,
+  { uid, businessRef, invoiceId, payload, source = "MANUAL", extra = {}, reserveOperation = true }
+) => {
+  const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+  const operationRef = payload.operationNumber
+    ? businessRef.collection("payment_operations").doc(buildPaymentOperationId(payload.operationNumber, payload.bankAccount))
+    : null;
+
+  const [invoiceSnap, operationSnap] = await Promise.all([
+    transaction.get(invoiceRef),
+    operationRef && reserveOperation ? transaction.get(operationRef) : Promise.resolve(null),
+  ]);
+  if (!invoiceSnap.exists) {
+    throw asApiError(404, "Invoice not found");
+  }
+  if (isOperationReserved(operationSnap)) {
+    const existing = operationSnap.data() || {};
+    throw asApiError(
+      409,
+      `Operation number already registered (invoice ${existing.invoiceNumber || existing.invoiceId || "unknown"})`
+    );
+  }
+
+  const raw = invoiceSnap.data() || {};
+  if (isNoteType(raw.documentType)) {
+    throw asApiError(400, "Payments are not allowed on notes");
+  }
+  if (isVoided(raw)) {
+    throw asApiError(409, "Invoice is voided");
+  }
+  if (isVoidPending(raw)) {
+    throw asApiError(409, "Invoice has an annulment pending");
+  }
+  if (isDraft(raw)) {
+    throw asApiError(409, "Invoice is a draft");
+  }
+
+  const { receivable, paidAmount, balance, pending } = invoiceSettlement(raw);
+  const available = pending[payload.kind];
+
+  const { paymentCurrency, paymentDate, exchangeRate, appliedAmount } = await convertPaymentAmount(raw, payload, available);
+
+  if (appliedAmount > balance + DECIMAL_EPSILON) {
+    throw asApiError(400, "Amount exceeds balance");
+  }
+  if (appliedAmount > available + DECIMAL_EPSILON) {
+    throw asApiError(400, `Amount exceeds pending ${payload.kind.toLowerCase()}`);
+  }
+
+  const kindField = PAYMENT_KIND_FIELDS[payload.kind];
+  const nextPaidAmount = round2(paidAmount + appliedAmount);
+  const nextBalance = round2(Math.max(0, receivable - nextPaidAmount));
+  const nextStatus = nextBalance <= DECIMAL_EPSILON ? "PAGADO" : "PARCIAL";
+  const paymentRef = invoiceRef.collection("payments").doc();
+
+  transaction.set(paymentRef, {
+    amount: payload.amount,
+    kind: payload.kind,
+    currency: paymentCurrency,
+    exchangeRate,
+    appliedAmount,
+    paymentDate: firebaseAdmin.firestore.Timestamp.fromDate(paymentDate),
+    note: payload.note,
+    method: payload.method,
+    bankAccount: payload.bankAccount,
+    operationNumber: payload.operationNumber,
+    attachmentRef: payload.attachmentRef,
+    status: "ACTIVO",
+    source,
+    ...extra,
+    createdBy: uid,
+    createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  });
+  if (operationRef && reserveOperation) {
+    transaction.set(operationRef, {
+      method: payload.method,
+      bankAccount: payload.bankAccount,
+      operationNumber: payload.operationNumber,
+      status: "ACTIVO",
+      invoiceId,
+      invoiceNumber: raw.serie && raw.numero ? `${raw.serie}-${raw.numero}` : "",
+      paymentId: paymentRef.id,
+      createdBy: uid,
+      createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, {
+    paidAmount: nextPaidAmount,
+    [kindField]: round2(Number(raw[kindField] ?? (kindField === "collectedAmount" ? paidAmount : 0)) + appliedAmount),
+    balance: nextBalance,
+    paymentStatus: nextStatus,
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {
+    paymentId: paymentRef.id,
+    appliedAmount,
+    paidAmount: nextPaidAmount,
+    balance: nextBalance,
+    paymentStatus: nextStatus,
+  };
+};
+
+const parsePaymentReversalPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const reason = String(body.reason || "").trim();
+  if (!reason) throw asApiError(400, "Missing reason");
+  if (reason.length > VOID_REASON_MAX_LENGTH) {
+    throw asApiError(400, `reason must be at most ${VOID_REASON_MAX_LENGTH} characters`);
+  }
+  return { businessId, reason };
+};
+
+// Invoice payment fields rebuilt from the payments that are still active.
+const summarizePayments = (raw, payments) => {
+  const byKind = Object.fromEntries(Object.keys(PAYMENT_KIND_FIELDS).map((kind) => [kind, 0]));
+  payments
+    .filter((payment) => payment.status !== "ANULADO")
+    .forEach((payment) => {
+      const kind = PAYMENT_KIND_FIELDS[payment.kind] ? payment.kind : "COBRO";
+      byKind[kind] += Number(payment.appliedAmount ?? payment.amount ?? 0);
+    });
+
+  const paidAmount = round2(Object.values(byKind).reduce((sum, value) => sum + value, 0));
+  const balance = round2(Math.max(0, invoiceReceivable(raw) - paidAmount));
+  return {
+    ...Object.fromEntries(Object.entries(PAYMENT_KIND_FIELDS).map(([kind, field]) => [field, round2(byKind[kind])])),
+    paidAmount,
+    balance,
+    paymentStatus: resolvePaymentStatus(paidAmount, balance),
+  };
+};
+
+// Voids (keeps the record as ANULADO) or deletes (moves it to deleted_payments) a payment and
+// recomputes the invoice from the remaining ones. Payments created together by mark-paid share a
+// batchId and are reversed together so the history never shows half a settlement.
+const reverseInvoicePayment = async ({ uid, invoiceId, paymentId, payload, mode }) => {
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+  const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+  const paymentsRef = invoiceRef.collection("payments");
+
+  return firestore.runTransaction(async (transaction) => {
+    const [invoiceSnap, paymentsSnap] = await Promise.all([transaction.get(invoiceRef), transaction.get(paymentsRef)]);
+    if (!invoiceSnap.exists) {
+      throw asApiError(404, "Invoice not found");
+    }
+    const target = paymentsSnap.docs.find((docSnap) => docSnap.id === paymentId);
+    if (!target) {
+      throw asApiError(404, "Payment not found");
+    }
+    if (target.get("status") === "ANULADO") {
+      throw asApiError(409, "Payment is already voided");
+    }
+
+    const batchId = target.get("batchId");
+    const reversed = paymentsSnap.docs.filter(
+      (docSnap) => docSnap.id === paymentId || (batchId && docSnap.get("batchId") === batchId && docSnap.get("status") !== "ANULADO")
+    );
+    const reversedIds = new Set(reversed.map((docSnap) => docSnap.id));
+    const movementIds = [...new Set(reversed.map((docSnap) => docSnap.get("bankMovementId")).filter(Boolean))];
+    const movementSnaps = movementIds.length
+      ? await transaction.getAll(...movementIds.map((movementId) => businessRef.collection("bank_movements").doc(movementId)))
+      : [];
+    const audit = {
+      status: "ANULADO",
+      voidReason: payload.reason,
+      voidedBy: uid,
+      voidedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    movementSnaps
+      .filter((movementSnap) => movementSnap.exists)
+      .forEach((movementSnap) => releaseBankMovement(transaction, businessRef, movementSnap, reversedIds, audit));
+
+    reversed.forEach((docSnap) => {
+      // Frees the operation number so the payment can be registered again with the right data.
+      // Bank statement payments share the movement's reservation, released by releaseBankMovement.
+      if (docSnap.get("operationNumber") && !docSnap.get("bankMovementId")) {
+        transaction.set(
+          businessRef
+            .collection("payment_operations")
+            .doc(buildPaymentOperationId(docSnap.get("operationNumber"), docSnap.get("bankAccount"))),
+          audit,
+          { merge: true }
+        );
+      }
+      if (mode === "DELETE") {
+        transaction.set(invoiceRef.collection("deleted_payments").doc(docSnap.id), {
+          ...docSnap.data(),
+          ...audit,
+          deleted: true,
+        });
+        transaction.delete(docSnap.ref);
+      } else {
+        transaction.update(docSnap.ref, audit);
+      }
+    });
+
+    const remaining = paymentsSnap.docs.filter((docSnap) => !reversedIds.has(docSnap.id)).map((docSnap) => docSnap.data());
+    const updates = summarizePayments(invoiceSnap.data() || {}, remaining);
+    updateInvoiceInTransaction(transaction, businessRef, invoiceRef, invoiceSnap.data() || {}, {
+      ...updates,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {
+      paymentIds: [...reversedIds],
+      paidAmount: updates.paidAmount,
+      balance: updates.balance,
+      paymentStatus: updates.paymentStatus,
+    };
+  });
+};
+
+const decodeStatementContent = (body) => {
+  const excelError = asApiError(400, "Excel statements are not supported; export the statement as CSV");
+  if (/\.xlsx?$/i.test(String(body.fileName || "").trim())) throw excelError;
+  if (body.content) return String(body.content);
+  if (!body.contentBase64) return "";
+  const buffer = Buffer.from(String(body.contentBase64), "base64");
+  if (EXCEL_SIGNATURES.has(buffer.subarray(0, 4).toString("hex"))) throw excelError;
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.toString("utf16le");
+  const text = buffer.toString("utf8");
+  // Older bank exports are Windows-1252; latin1 keeps their accented headers readable.
+  return text.includes("\uFFFD") ? buffer.toString("latin1") : text;
+};
+
+const parseBankStatementPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const bank = String(body.bank || "").trim().toUpperCase() || null;
+  if (bank && !BANK_STATEMENT_BANKS.includes(bank)) {
+    throw asApiError(400, "Invalid bank");
+  }
+  const bankAccount = String(body.bankAccount || "").trim();
+  if (!bankAccount) throw asApiError(400, "Missing bankAccount");
+
+  const currency = String(body.currency || BASE_CURRENCY).trim().toUpperCase();
+  if (!BILLING_CURRENCIES.has(currency)) {
+    throw asApiError(400, "Invalid currency");
+  }
+
+  const content = decodeStatementContent(body);
+  if (!content.trim()) throw asApiError(400, "Missing statement content");
+
+  const parsed = parseBankStatement(content, bank);
+  if (!parsed.bank) {
+    throw asApiError(400, "Unrecognized statement format");
+  }
+  if (parsed.movements.length > BANK_STATEMENT_MAX_MOVEMENTS) {
+    throw asApiError(400, `Statement exceeds ${BANK_STATEMENT_MAX_MOVEMENTS} deposits`);
+  }
+
+  return {
+    businessId,
+    bankAccount,
+    currency,
+    fileName: String(body.fileName || "").trim().slice(0, 200),
+    ...parsed,
+  };
+};
+
+const parseBankMatchesPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  if (!Array.isArray(body.matches) || !body.matches.length) {
+    throw asApiError(400, "Missing matches");
+  }
+  if (body.matches.length > BANK_MATCH_CONFIRM_LIMIT) {
+    throw asApiError(400, `matches must have at most ${BANK_MATCH_CONFIRM_LIMIT} entries`);
+  }
+
+  const matches = body.matches.map((match, index) => {
+    const movementId = String(match?.movementId || "").trim();
+    const invoiceId = String(match?.invoiceId || "").trim();
+    if (!movementId || !invoiceId) {
+      throw asApiError(400, `Match ${index + 1}: missing movementId or invoiceId`);
+    }
+    const amount = match?.amount === undefined || match?.amount === null ? null : parseDecimal(match.amount);
+    if (amount !== null && amount <= 0) {
+      throw asApiError(400, `Match ${index + 1}: invalid amount`);
+    }
+    const method = String(match?.method || "TRANSFERENCIA").trim().toUpperCase();
+    if (!BANK_PAYMENT_METHODS.has(method)) {
+      throw asApiError(400, `Match ${index + 1}: invalid method`);
+    }
+    return { movementId, invoiceId, amount: amount === null ? null : round2(amount), method };
+  });
+
+  return { businessId, matches };
+};
+
+// Re-importing an overlapping statement yields the same ids; `occurrence` keeps identical rows of
+// one file (same day, amount and description) apart.
+const buildBankMovementId = (bank, bankAccount, movement, occurrence) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      [bank, bankAccount, movement.date, movement.amount.toFixed(2), movement.operationNumber || "", movement.description, occurrence].join("|")
+    )
+    .digest("hex");
+
+const mapBankStatementDoc = (id, raw) => ({
+  id,
+  bank: raw?.bank || "",
+  bankAccount: raw?.bankAccount || "",
+  currency: raw?.currency || BASE_CURRENCY,
+  fileName: raw?.fileName || "",
+  movementCount: Number(raw?.movementCount || 0),
+  duplicateCount: Number(raw?.duplicateCount || 0),
+  skippedRows: Number(raw?.skippedRows || 0),
+  debitRows: Number(raw?.debitRows || 0),
+  totalAmount: round2(raw?.totalAmount || 0),
+  status: raw?.status || "READY",
+  createdAt: toIsoOrNull(raw?.createdAt),
+  createdBy: raw?.createdBy || "",
+});
+
+const mapBankMovementDoc = (id, raw) => {
+  const amount = round2(raw?.amount || 0);
+  const matchedAmount = round2(raw?.matchedAmount || 0);
+  return {
+    id,
+    statementId: raw?.statementId || "",
+    bank: raw?.bank || "",
+    bankAccount: raw?.bankAccount || "",
+    currency: raw?.currency || BASE_CURRENCY,
+    date: raw?.date || "",
+    amount,
+    description: raw?.description || "",
+    operationNumber: raw?.operationNumber || null,
+    reference: raw?.reference || null,
+    line: Number(raw?.line || 0),
+    status: raw?.status || "UNMATCHED",
+    matchedAmount,
+    pendingAmount: round2(Math.max(0, amount - matchedAmount)),
+    matches: Array.isArray(raw?.matches)
+      ? raw.matches.map((match) => ({
+          invoiceId: match?.invoiceId || "",
+          paymentId: match?.paymentId || "",
+          amount: round2(match?.amount || 0),
+        }))
+      : [],
+  };
+};
+
+const resolveMovementStatus = (amount, matchedAmount) => {
+  if (matchedAmount <= DECIMAL_EPSILON) return "UNMATCHED";
+  return matchedAmount >= amount - DECIMAL_EPSILON ? "MATCHED" : "PARTIAL";
+};
+
+// Issued invoices and boletas with an open balance; notes carry no balance of their own.
+// `truncated` tells callers that `limit` was hit and some open invoices were left out.
+const queryOpenInvoices = async (businessRef, limit) => {
+  const snap = await businessRef.collection("invoices").where("balance", ">", 0).limit(limit).get();
+  const invoices = snap.docs
+    .map((docSnap) => ({ id: docSnap.id, raw: docSnap.data() || {} }))
+    .filter(({ raw }) => !isNoteType(raw.documentType) && !isVoided(raw) && !isDraft(raw));
+  return { invoices, truncated: snap.size >= limit };
+};
+
+// Open invoices a deposit can settle: what the customer still owes directly (COBRO), since
+// detraccion and retencion never reach the business account.
+const listOpenInvoices = async (businessRef, currency) =>
+  (await queryOpenInvoices(businessRef, BANK_MATCH_INVOICE_LIMIT)).invoices
+    .filter(({ raw }) => (raw.currency || BASE_CURRENCY) === currency)
+    .map(({ id, raw }) => ({ id, raw, pending: invoiceSettlement(raw).pending.COBRO }))
+    .filter((invoice) => invoice.pending > DECIMAL_EPSILON);
+
+// Candidates are invoices issued up to BANK_MATCH_EARLY_DAYS after the deposit and due no more than
+// windowDays before it, that match the pending amount or whose customer document appears in the
+// bank description.
+const proposeBankMatches = (movement, openInvoices, windowDays) => {
+  if (movement.pendingAmount <= DECIMAL_EPSILON) return [];
+  const tokens = new Set(`${movement.description} ${movement.reference || ""}`.split(/\D+/).filter(Boolean));
+
+  return openInvoices
+    .map((invoice) => {
+      const issueDate = toIsoOrNull(invoice.raw.issueDate)?.slice(0, 10);
+      const dueDate = toIsoOrNull(invoice.raw.dueDate)?.slice(0, 10) || issueDate;
+      if (!issueDate) return null;
+      if (movement.date < addDaysKey(issueDate, -BANK_MATCH_EARLY_DAYS) || movement.date > addDaysKey(dueDate, windowDays)) {
+        return null;
+      }
+
+      const reasons = [];
+      let score = 0;
+      if (Math.abs(movement.pendingAmount - invoice.pending) <= 0.01) {
+        reasons.push("AMOUNT");
+        score += 60;
+      }
+      const customerDocument = String(invoice.raw.customerDocumentNumber || "");
+      if (customerDocument && tokens.has(customerDocument)) {
+        reasons.push("CUSTOMER_DOCUMENT");
+        score += 40;
+      }
+      if (!score) return null;
+
+      return {
+        invoiceId: invoice.id,
+        documentType: invoice.raw.documentType || "",
+        serie: invoice.raw.serie || "",
+        numero: invoice.raw.numero || "",
+        customerName: invoice.raw.customerName || "",
+        customerDocumentNumber: customerDocument,
+        issueDate,
+        dueDate,
+        pendingAmount: invoice.pending,
+        suggestedAmount: round2(Math.min(movement.pendingAmount, invoice.pending)),
+        score,
+        reasons,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.issueDate.localeCompare(b.issueDate))
+    .slice(0, BANK_MATCH_CANDIDATES);
+};
+
+const withBankProposals = (movements, openInvoices, windowDays) =>
+  movements.map((movement) => ({ ...movement, proposals: proposeBankMatches(movement, openInvoices, windowDays) }));
+
+const parseWindowDays = (value) => {
+  if (value === undefined || value === null || value === "") return BANK_MATCH_WINDOW_DAYS;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > 180) {
+    throw asApiError(400, "windowDays must be an integer between 0 and 180");
+  }
+  return parsed;
+};
+
+// Drops reversed payments from a movement; once nothing is matched its operation number is free again
+// and its reservation gets the void `audit`.
+const releaseBankMovement = (transaction, businessRef, movementSnap, paymentIds, audit) => {
+  const raw = movementSnap.data() || {};
+  const matches = (raw.matches || []).filter((match) => !paymentIds.has(match.paymentId));
+  const matchedAmount = round2(matches.reduce((sum, match) => sum + Number(match.amount || 0), 0));
+  transaction.update(movementSnap.ref, {
+    matches,
+    matchedAmount,
+    status: resolveMovementStatus(Number(raw.amount || 0), matchedAmount),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  });
+  if (!matches.length && raw.operationNumber && raw.operationMethod) {
+    transaction.set(
+      businessRef.collection("payment_operations").doc(buildPaymentOperationId(raw.operationNumber, raw.bankAccount)),
+      audit,
+      { merge: true }
+    );
+  }
+};
+
+// One transaction per match: the payment goes through registerPaymentInTransaction like a manual
+// one, and the movement's operation number is reserved once for all the invoices it settles.
+const confirmBankMatch = ({ uid, businessRef, statementId, match }) =>
+  firestore.runTransaction(async (transaction) => {
+    const movementRef = businessRef.collection("bank_movements").doc(match.movementId);
+    const movementSnap = await transaction.get(movementRef);
+    if (!movementSnap.exists || movementSnap.get("statementId") !== statementId) {
+      throw asApiError(404, "Movement not found");
+    }
+    const movement = mapBankMovementDoc(movementSnap.id, movementSnap.data());
+    if (movement.pendingAmount <= DECIMAL_EPSILON) {
+      throw asApiError(409, "Movement already matched");
+    }
+    const amount = match.amount ?? movement.pendingAmount;
+    if (amount > movement.pendingAmount + DECIMAL_EPSILON) {
+      throw asApiError(400, "Amount exceeds movement pending amount");
+    }
+
+    const reservedMethod = movementSnap.get("operationMethod") || null;
+    const method = reservedMethod || match.method;
+    const operationNumber =
+      movement.operationNumber && new RegExp(`^[A-Z0-9-]{1,${OPERATION_NUMBER_MAX_LENGTH}}$`).test(movement.operationNumber)
+        ? movement.operationNumber
+        : null;
+    const operationRef =
+      operationNumber && !reservedMethod
+        ? businessRef.collection("payment_operations").doc(buildPaymentOperationId(operationNumber, movement.bankAccount))
+        : null;
+    if (operationRef) {
+      const operationSnap = await transaction.get(operationRef);
+      if (isOperationReserved(operationSnap) && operationSnap.get("bankMovementId") !== movement.id) {
+        const existing = operationSnap.data() || {};
+        throw asApiError(
+          409,
+          `Operation number already registered (invoice ${existing.invoiceNumber || existing.invoiceId || "unknown"})`
+        );
+      }
+    }
+
+    const payload = {
+      businessId: businessRef.id,
+      amount,
+      kind: "COBRO",
+      currency: movement.currency,
+      exchangeRate: null,
+      paymentDate: parseDateInput(movement.date),
+      note: `Extracto ${movement.bank} ${movement.date}`,
+      method,
+      bankAccount: movement.bankAccount,
+      operationNumber,
+      attachmentRef: null,
+    };
+    const result = await registerPaymentInTransaction(transaction, {
+      uid,
+      businessRef,
+      invoiceId: match.invoiceId,
+      payload,
+      source: "BANK_STATEMENT",
+      extra: { bankMovementId: movement.id, bankStatementId: statementId },
+      reserveOperation: false,
+    });
+
+    if (operationRef) {
+      transaction.set(operationRef, {
+        method,
+        bankAccount: movement.bankAccount,
+        operationNumber,
+        status: "ACTIVO",
+        invoiceId: match.invoiceId,
+        paymentId: result.paymentId,
+        bankMovementId: movement.id,
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    const matches = [...movement.matches, { invoiceId: match.invoiceId, paymentId: result.paymentId, amount }];
+    const matchedAmount = round2(movement.matchedAmount + amount);
+    transaction.update(movementRef, {
+      matches,
+      matchedAmount,
+      status: resolveMovementStatus(movement.amount, matchedAmount),
+      ...(operationNumber ? { operationMethod: method } : {}),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return result;
+  });
+
+const RECEIVABLE_BUCKETS = [
+  { key: "d0_30", maxDays: 30 },
+  { key: "d31_60", maxDays: 60 },
+  { key: "d61_90", maxDays: 90 },
+  { key: "d90Plus", maxDays: Infinity },
+];
+
+const emptyAging = () => ({
+  balance: 0,
+  notDue: 0,
+  overdue: 0,
+  buckets: Object.fromEntries(RECEIVABLE_BUCKETS.map((bucket) => [bucket.key, 0])),
+});
+
+const addToAging = (aging, balance, daysOverdue, bucket) => {
+  aging.balance = round2(aging.balance + balance);
+  if (daysOverdue > 0) aging.overdue = round2(aging.overdue + balance);
+  else aging.notDue = round2(aging.notDue + balance);
+  aging.buckets[bucket] = round2(aging.buckets[bucket] + balance);
+};
+
+const daysBetweenKeys = (fromKey, toKey) =>
+  Math.round((new Date(`${toKey}T00:00:00.000Z`).getTime() - new Date(`${fromKey}T00:00:00.000Z`).getTime()) / 86400000);
+
+// Open balances bucketed by days past the due date (issue date when there is none) as of asOf,
+// grouped by customer document and currency since amounts are never converted.
+const buildReceivablesReport = (openInvoices, asOf) => {
+  const customers = new Map();
+  const totals = new Map();
+
+  openInvoices.forEach(({ id, raw }) => {
+    const invoice = mapInvoiceDoc(id, raw);
+    const issueDate = invoice.issueDate?.slice(0, 10) || asOf;
+    if (issueDate > asOf) return;
+    const dueDate = invoice.dueDate?.slice(0, 10) || issueDate;
+    const daysOverdue = Math.max(0, daysBetweenKeys(dueDate, asOf));
+    const bucket = RECEIVABLE_BUCKETS.find((entry) => daysOverdue <= entry.maxDays).key;
+
+    const key = `${invoice.customerDocumentNumber}|${invoice.currency}`;
+    if (!customers.has(key)) {
+      customers.set(key, {
+        customerDocumentType: invoice.customerDocumentType,
+        customerDocumentNumber: invoice.customerDocumentNumber,
+        customerName: invoice.customerName,
+        currency: invoice.currency,
+        invoiceCount: 0,
+        maxDaysOverdue: 0,
+        ...emptyAging(),
+        invoices: [],
+      });
+    }
+    if (!totals.has(invoice.currency)) {
+      totals.set(invoice.currency, { currency: invoice.currency, ...emptyAging() });
+    }
+
+    const customer = customers.get(key);
+    customer.invoiceCount += 1;
+    customer.maxDaysOverdue = Math.max(customer.maxDaysOverdue, daysOverdue);
+    addToAging(customer, invoice.balance, daysOverdue, bucket);
+    addToAging(totals.get(invoice.currency), invoice.balance, daysOverdue, bucket);
+    customer.invoices.push({
+      id,
+      documentType: invoice.documentType,
+      serie: invoice.serie,
+      numero: invoice.numero,
+      issueDate,
+      dueDate,
+      total: invoice.total,
+      balance: invoice.balance,
+      daysOverdue,
+      bucket,
+    });
+  });
+
+  return {
+    totals: [...totals.values()],
+    customers: [...customers.values()]
+      .map((customer) => ({ ...customer, invoices: customer.invoices.sort((a, b) => a.dueDate.localeCompare(b.dueDate)) }))
+      .sort((a, b) => b.balance - a.balance),
+  };
+};
+
+const parseStatementQuery = (query = {}) => {
+  const from = String(query.from || "").trim() || null;
+  const to = String(query.to || "").trim() || limaToday();
+  if ((from && !isDateKey(from)) || !isDateKey(to)) {
+    throw asApiError(400, "from/to must be YYYY-MM-DD");
+  }
+  if (from && from > to) {
+    throw asApiError(400, "from must be before to");
+  }
+
+  const currency = String(query.currency || "").trim().toUpperCase() || null;
+  if (currency && !BILLING_CURRENCIES.has(currency)) {
+    throw asApiError(400, "Invalid currency");
+  }
+  const format = String(query.format || "JSON").trim().toUpperCase();
+  if (!STATEMENT_FORMATS.has(format)) {
+    throw asApiError(400, "Invalid format");
+  }
+  return { from, to, currency, format };
+};
+
+// Charges (invoices, debit notes) and credits (credit notes, active payments of every kind) in date
+// order with a running balance; movements before `from` collapse into the opening balance.
+const buildCustomerStatement = (documents, { from, to }) => {
+  const movements = [];
+  documents.forEach(({ id, raw, payments }) => {
+    const invoice = mapInvoiceDoc(id, raw);
+    const number = `${invoice.serie}-${invoice.numero}`;
+    const date = invoice.issueDate?.slice(0, 10) || "";
+    const base = { date, invoiceId: id, paymentId: null, document: number };
+    if (invoice.documentType === "NOTA_CREDITO") {
+      movements.push({ ...base, type: "CREDIT_NOTE", description: `Nota de credito ${number}`, debit: 0, credit: invoice.total });
+    } else if (invoice.documentType === "NOTA_DEBITO") {
+      movements.push({ ...base, type: "DEBIT_NOTE", description: `Nota de debito ${number}`, debit: invoice.total, credit: 0 });
+    } else {
+      const charge = round2(invoice.total + Number(raw.percepcionAmount || 0));
+      movements.push({ ...base, type: "INVOICE", description: `${invoice.documentType} ${number}`, debit: charge, credit: 0 });
+    }
+
+    payments
+      .filter((payment) => payment.status !== "ANULADO")
+      .forEach((payment) => {
+        const label = `${PAYMENT_KIND_LABELS[payment.kind] || "Pago"} ${number}`;
+        movements.push({
+          ...base,
+          date: payment.paymentDate?.slice(0, 10) || date,
+          type: "PAYMENT",
+          paymentId: payment.id,
+          description: payment.operationNumber ? `${label} op. ${payment.operationNumber}` : label,
+          debit: 0,
+          credit: round2(payment.appliedAmount),
+        });
+      });
+  });
+
+  const ordered = movements
+    .filter((movement) => movement.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.type === "PAYMENT") - (b.type === "PAYMENT"));
+  const openingBalance = round2(
+    ordered.filter((movement) => from && movement.date < from).reduce((sum, movement) => sum + movement.debit - movement.credit, 0)
+  );
+
+  let balance = openingBalance;
+  const entries = ordered
+    .filter((movement) => !from || movement.date >= from)
+    .map((movement) => {
+      balance = round2(balance + movement.debit - movement.credit);
+      return { ...movement, balance };
+    });
+
+  return {
+    openingBalance,
+    entries,
+    totals: {
+      debit: round2(entries.reduce((sum, entry) => sum + entry.debit, 0)),
+      credit: round2(entries.reduce((sum, entry) => sum + entry.credit, 0)),
+    },
+    closingBalance: balance,
+  };
+};
+
+// Spreadsheets run text starting with = + - @ as a formula; those cells get a leading quote unless
+// they are plain numbers (negative balances stay numeric).
+const csvCell = (value) => {
+  const raw = String(value ?? "");
+  const text = /^[=+\-@\t\r]/.test(raw) && !/^-\d+(\.\d+)?$/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildStatementCsv = (statement) => {
+  const rows = [
+    ["Fecha", "Tipo", "Documento", "Descripcion", "Cargo", "Abono", "Saldo"],
+    [statement.from || "", "SALDO_INICIAL", "", "Saldo inicial", "", "", statement.openingBalance.toFixed(2)],
+    ...statement.entries.map((entry) => [
+      entry.date,
+      entry.type,
+      entry.document,
+      entry.description,
+      entry.debit ? entry.debit.toFixed(2) : "",
+      entry.credit ? entry.credit.toFixed(2) : "",
+      entry.balance.toFixed(2),
+    ]),
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+};
+
+// Purchases are keyed by supplier too: two suppliers can legitimately issue the same serie-numero.
+const buildPurchaseId = (supplierRuc, documentType, serie, numero) =>
+  crypto.createHash("sha1").update(`${supplierRuc}|${documentType}|${serie}|${numero}`).digest("hex");
+
+const monthKey = (date) => toDateKey(date).slice(0, 7);
+
+const addMonthsKey = (periodKey, months) => {
+  const [year, month] = periodKey.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return toDateKey(date).slice(0, 7);
+};
+
+const parsePurchaseAmount = (body, field) => {
+  if (body[field] === undefined || body[field] === null || body[field] === "") return 0;
+  const value = parseDecimal(body[field]);
+  if (value === null || value < 0) {
+    throw asApiError(400, `Invalid ${field}`);
+  }
+  return round2(value);
+};
+
+const parsePurchasePayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const documentType = String(body.documentType || "FACTURA").trim().toUpperCase();
+  if (!BILLING_DOC_TYPES.has(documentType)) {
+    throw asApiError(400, "Invalid documentType");
+  }
+  const serie = String(body.serie || "").trim().toUpperCase();
+  if (!PURCHASE_SERIE_PATTERN.test(serie)) {
+    throw asApiError(400, "Invalid serie");
+  }
+  const correlative = parseCorrelative(body.numero);
+  if (correlative === null) {
+    throw asApiError(400, "Invalid numero");
+  }
+
+  const supplierRuc = String(body.supplierRuc || "").trim();
+  if (!isValidRuc(supplierRuc)) {
+    throw asApiError(400, "Invalid supplierRuc");
+  }
+  const supplierName = String(body.supplierName || "").trim();
+  if (!supplierName) throw asApiError(400, "Missing supplierName");
+
+  const issueDate = parseDateInput(body.issueDate);
+  if (!issueDate) {
+    throw asApiError(400, "Invalid issueDate");
+  }
+  const dueDate = parseDateInput(body.dueDate);
+  if (body.dueDate && !dueDate) {
+    throw asApiError(400, "Invalid dueDate");
+  }
+
+  const currency = String(body.currency || BASE_CURRENCY).trim().toUpperCase();
+  if (!BILLING_CURRENCIES.has(currency)) {
+    throw asApiError(400, "Invalid currency");
+  }
+  const exchangeRate = parseExchangeRate(body.exchangeRate);
+  if (body.exchangeRate && !exchangeRate) {
+    throw asApiError(400, "Invalid exchangeRate");
+  }
+
+  const taxRate = parseTaxRate(body.taxRate ?? DEFAULT_IGV_RATE);
+  if (taxRate === null) {
+    throw asApiError(400, "Invalid taxRate");
+  }
+  const opGravadas = parsePurchaseAmount(body, "opGravadas");
+  const opNoGravadas = parsePurchaseAmount(body, "opNoGravadas");
+  const icbper = parsePurchaseAmount(body, "icbper");
+  const otherCharges = parsePurchaseAmount(body, "otherCharges");
+  // Percepcion del IGV the supplier charges on top of the total, in the purchase currency like the
+  // percepcionAmount of invoices; it is owed to the supplier and credited against IGV.
+  const percepcionAmount = parsePurchaseAmount(body, "percepcionAmount");
+
+  // Supplier documents round per line, so the printed IGV may differ by a few centimos from base * rate.
+  const expectedIgv = round2(opGravadas * taxRate);
+  const igv = body.igv === undefined || body.igv === null || body.igv === "" ? expectedIgv : parsePurchaseAmount(body, "igv");
+  if (Math.abs(igv - expectedIgv) > PURCHASE_IGV_TOLERANCE) {
+    throw asApiError(400, "igv does not match opGravadas");
+  }
+
+  const total = round2(opGravadas + opNoGravadas + igv + icbper + otherCharges);
+  if (total <= 0) {
+    throw asApiError(400, "Purchase total must be greater than zero");
+  }
+  if (body.total !== undefined && body.total !== null && body.total !== "") {
+    const declared = parseDecimal(body.total);
+    if (declared === null || Math.abs(declared - total) > 0.01) {
+      throw asApiError(400, "total does not match the amounts");
+    }
+  }
+
+  // Boletas never give IGV credit; facturas and their notes do unless flagged otherwise (e.g. non-business use).
+  const igvCreditable = documentType !== "BOLETA" && body.igvCreditable !== false && igv > 0;
+  const issuePeriod = monthKey(issueDate);
+  const creditPeriod = igvCreditable ? String(body.creditPeriod || issuePeriod).trim() : null;
+  if (creditPeriod) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(creditPeriod)) {
+      throw asApiError(400, "creditPeriod must be YYYY-MM");
+    }
+    if (creditPeriod < issuePeriod || creditPeriod > addMonthsKey(issuePeriod, IGV_CREDIT_MAX_MONTHS)) {
+      throw asApiError(400, `creditPeriod must be within ${IGV_CREDIT_MAX_MONTHS} months from issueDate`);
+    }
+  }
+
+  const referencePurchaseId = String(body.referencePurchaseId || "").trim() || null;
+  if (isNoteType(documentType) && !referencePurchaseId) {
+    throw asApiError(400, "Missing referencePurchaseId");
+  }
+  if (!isNoteType(documentType) && referencePurchaseId) {
+    throw asApiError(400, "referencePurchaseId is only allowed on notes");
+  }
+
+  return {
+    businessId,
+    documentType,
+    serie,
+    numero: String(correlative),
+    supplierRuc,
+    supplierName,
+    issueDate,
+    dueDate,
+    currency,
+    exchangeRate: currency === BASE_CURRENCY ? 1 : exchangeRate,
+    taxRate,
+    opGravadas,
+    opNoGravadas,
+    igv,
+    icbper,
+    otherCharges,
+    total,
+    percepcionAmount,
+    igvCreditable,
+    creditPeriod,
+    referencePurchaseId,
+    description: String(body.description || "").trim(),
+  };
+};
+
+const buildPurchaseFields = (payload) => ({
+  documentType: payload.documentType,
+  serie: payload.serie,
+  numero: payload.numero,
+  supplierRuc: payload.supplierRuc,
+  supplierName: payload.supplierName,
+  issueDate: firebaseAdmin.firestore.Timestamp.fromDate(payload.issueDate),
+  dueDate: payload.dueDate ? firebaseAdmin.firestore.Timestamp.fromDate(payload.dueDate) : null,
+  currency: payload.currency,
+  exchangeRate: payload.exchangeRate,
+  taxRate: payload.taxRate,
+  opGravadas: payload.opGravadas,
+  opNoGravadas: payload.opNoGravadas,
+  igv: payload.igv,
+  icbper: payload.icbper,
+  otherCharges: payload.otherCharges,
+  total: payload.total,
+  totalPen: toBaseCurrency(payload.total, payload.exchangeRate),
+  percepcionAmount: payload.percepcionAmount,
+  opGravadasPen: toBaseCurrency(payload.opGravadas, payload.exchangeRate),
+  igvPen: toBaseCurrency(payload.igv, payload.exchangeRate),
+  igvCreditable: payload.igvCreditable,
+  igvCreditPen: payload.igvCreditable ? toBaseCurrency(payload.igv, payload.exchangeRate) : 0,
+  creditPeriod: payload.creditPeriod,
+  referencePurchaseId: payload.referencePurchaseId,
+  description: payload.description,
+});
+
+// Amount owed to the supplier once its credit/debit notes and percepcion are applied.
+const purchasePayable = (raw) =>
+  isNoteType(raw?.documentType)
+    ? 0
+    : round2(
+        Math.max(
+          0,
+          Number(raw?.total || 0) +
+            Number(raw?.percepcionAmount || 0) +
+            Number(raw?.debitedAmount || 0) -
+            Number(raw?.creditedAmount || 0)
+        )
+      );
+
+const mapPurchaseDoc = (id, raw) => {
+  const paidAmount = round2(raw?.paidAmount || 0);
+  const balance = round2(raw?.balance ?? purchasePayable(raw) - paidAmount);
+  const dueDate = toIsoOrNull(raw?.dueDate);
+  return {
+    id,
+    documentType: raw?.documentType || "FACTURA",
+    serie: raw?.serie || "",
+    numero: raw?.numero || "",
+    supplierRuc: raw?.supplierRuc || "",
+    supplierName: raw?.supplierName || "",
+    issueDate: toIsoOrNull(raw?.issueDate),
+    dueDate,
+    currency: raw?.currency || BASE_CURRENCY,
+    exchangeRate: Number(raw?.exchangeRate || 1),
+    taxRate: Number(raw?.taxRate ?? DEFAULT_IGV_RATE),
+    opGravadas: round2(raw?.opGravadas || 0),
+    opNoGravadas: round2(raw?.opNoGravadas || 0),
+    igv: round2(raw?.igv || 0),
+    icbper: round2(raw?.icbper || 0),
+    otherCharges: round2(raw?.otherCharges || 0),
+    total: round2(raw?.total || 0),
+    totalPen: round2(raw?.totalPen ?? raw?.total ?? 0),
+    igvPen: round2(raw?.igvPen ?? raw?.igv ?? 0),
+    percepcionAmount: round2(raw?.percepcionAmount || 0),
+    igvCreditable: Boolean(raw?.igvCreditable),
+    igvCreditPen: round2(raw?.igvCreditPen || 0),
+    creditPeriod: raw?.creditPeriod || null,
+    referencePurchaseId: raw?.referencePurchaseId || null,
+    creditedAmount: round2(raw?.creditedAmount || 0),
+    debitedAmount: round2(raw?.debitedAmount || 0),
+    paidAmount,
+    balance,
+    paymentStatus: isNoteType(raw?.documentType) ? null : normalizePaymentStatus(raw?.paymentStatus, balance, dueDate),
+    description: raw?.description || "",
+    comprobanteId: raw?.comprobanteId || null,
+    createdAt: toIsoOrNull(raw?.createdAt),
+    updatedAt: toIsoOrNull(raw?.updatedAt),
+    createdBy: raw?.createdBy || "",
+  };
+};
+
+const buildPurchaseMirror = (purchaseId, record) => {
+  const sign = record.documentType === "NOTA_CREDITO" ? -1 : 1;
+  return {
+    type: "COMPRA",
+    serie: record.serie,
+    numero: record.numero,
+    fecha: record.issueDate,
+    proveedor: record.supplierName,
+    proveedorRuc: record.supplierRuc,
+    monto: round2(sign * record.totalPen),
+    igv: round2(sign * record.igvPen),
+    moneda: record.currency,
+    montoMoneda: round2(sign * record.total),
+    tipoCambio: record.exchangeRate,
+    source: "FACTURACION_BACKEND",
+    purchaseId,
+    ...(isNoteType(record.documentType)
+      ? { documentType: record.documentType, referencePurchaseId: record.referencePurchaseId }
+      : {}),
+  };
+};
+
+const resolvePurchasePayload = async (payload) => {
+  if (payload.currency === BASE_CURRENCY || payload.exchangeRate) return payload;
+  return { ...payload, exchangeRate: await resolveExchangeRate(payload.currency, payload.issueDate, null) };
+};
+
+// Validates a note against its referenced purchase and returns the reference's settlement after
+// applying `delta` (the note total, or the change of total when a note is edited or deleted).
+const applyPurchaseNote = (reference, record, delta) => {
+  if (!reference) {
+    throw asApiError(404, "Referenced purchase not found");
+  }
+  if (isNoteType(reference.documentType)) {
+    throw asApiError(400, "Notes must reference a factura or boleta");
+  }
+  if (reference.supplierRuc !== record.supplierRuc) {
+    throw asApiError(400, "Referenced purchase belongs to another supplier");
+  }
+  if ((reference.currency || BASE_CURRENCY) !== record.currency) {
+    throw asApiError(400, "Note currency must match the referenced purchase");
+  }
+
+  const field = record.documentType === "NOTA_CREDITO" ? "creditedAmount" : "debitedAmount";
+  const next = { ...reference, [field]: round2(Number(reference[field] || 0) + delta) };
+  if (Number(next.creditedAmount || 0) > Number(next.total || 0) + Number(next.debitedAmount || 0) + DECIMAL_EPSILON) {
+    throw asApiError(400, "Credit note exceeds referenced purchase");
+  }
+  const paidAmount = round2(reference.paidAmount || 0);
+  const balance = round2(Math.max(0, purchasePayable(next) - paidAmount));
+  return {
+    [field]: next[field],
+    balance,
+    paymentStatus: resolvePaymentStatus(paidAmount, balance),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  };
+};
+
+const assertPurchaseEditable = (raw) => {
+  if (Number(raw?.paidAmount || 0) > DECIMAL_EPSILON) {
+    throw asApiError(409, "Purchase has payments registered");
+  }
+  if (Number(raw?.creditedAmount || 0) > DECIMAL_EPSILON || Number(raw?.debitedAmount || 0) > DECIMAL_EPSILON) {
+    throw asApiError(409, "Purchase has notes applied");
+  }
+};
+
+// Supplier payments have no kind; method DETRACCION marks the deposit into the supplier's
+// Banco de la Nacion account.
+const parseSupplierPaymentPayload = (body = {}) => {
+  const method = String(body.method || "").trim().toUpperCase();
+  const { kind, ...payload } = parsePaymentPayload({ ...body, kind: method === "DETRACCION" ? "DETRACCION" : "COBRO" });
+  return payload;
+};
+
+const mapSupplierPaymentDoc = (id, raw) => {
+  const { kind, source, batchId, bankMovementId, ...payment } = mapPaymentDoc(id, raw);
+  return payment;
+};
+
+const purchaseRefs = (uid, businessId, purchaseId) => {
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+  return { businessRef, purchaseRef: businessRef.collection("purchases").doc(purchaseId) };
+};
+
+const parseTaxLiquidationOptions = (period, source = {}, business = {}) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+    throw asApiError(400, "period must be YYYY-MM");
+  }
+
+  const regime = String(source.regime || business.taxRegime || "").trim().toUpperCase();
+  if (!regime) throw asApiError(400, "Missing taxRegime; set it on the business or pass regime");
+  if (!TAX_REGIMES.includes(regime)) {
+    throw asApiError(400, "Invalid regime");
+  }
+
+  const rawCoefficient = source.coefficient ?? business.incomeTaxCoefficient ?? null;
+  const coefficient = rawCoefficient === null || rawCoefficient === "" ? null : parseDecimal(rawCoefficient);
+  if ((rawCoefficient !== null && rawCoefficient !== "" && coefficient === null) || coefficient < 0 || coefficient >= 1) {
+    throw asApiError(400, "Invalid coefficient");
+  }
+
+  let carryover = null;
+  if (source.carryover !== undefined && source.carryover !== null && source.carryover !== "") {
+    carryover = parseDecimal(source.carryover);
+    if (carryover === null || carryover < 0) {
+      throw asApiError(400, "Invalid carryover");
+    }
+  }
+
+  return { period, regime, coefficient, carryover };
+};
+
+// Both sides read the same sources. Sales are issued invoices plus VENTA comprobantes that do not mirror
+// one; purchases registered in /billing/purchases count in their creditPeriod (RUS, which has no IGV
+// credit, by issue date) plus COMPRA comprobantes that do not mirror one, by fecha. Legacy comprobantes
+// only carry monto and igv, so their base is monto - igv. The saldo a favor carries over from the previous
+// closed period unless passed explicitly.
+const collectTaxLiquidation = async (businessRef, options) => {
+  const { period, regime, coefficient } = options;
+  const [year, month] = period.split("-").map(Number);
+  const periodStart = firebaseAdmin.firestore.Timestamp.fromDate(new Date(Date.UTC(year, month - 1, 1)));
+  const periodEnd = firebaseAdmin.firestore.Timestamp.fromDate(new Date(Date.UTC(year, month, 1)));
+  // MYPE needs the income of the year so far to pick its rate.
+  const salesStart = regime === "MYPE" ? firebaseAdmin.firestore.Timestamp.fromDate(new Date(Date.UTC(year, 0, 1))) : periodStart;
+  const previousPeriod = addMonthsKey(period, -1);
+  const purchasesRef = businessRef.collection("purchases");
+
+  const [invoicesSnap, purchasesSnap, comprobantesSnap, previousSnap] = await Promise.all([
+    businessRef.collection("invoices").where("issueDate", ">=", salesStart).where("issueDate", "<", periodEnd).get(),
+    regime === "RUS"
+      ? purchasesRef.where("issueDate", ">=", periodStart).where("issueDate", "<", periodEnd).get()
+      : purchasesRef.where("creditPeriod", "==", period).get(),
+    businessRef.collection("comprobantes").where("fecha", ">=", salesStart).where("fecha", "<", periodEnd).get(),
+    options.carryover === null ? businessRef.collection("tax_liquidations").doc(previousPeriod).get() : Promise.resolve(null),
+  ]);
+
+  const legacy = comprobantesSnap.docs
+    .map((docSnap) => docSnap.data() || {})
+    .filter((raw) => raw.estado !== "ANULADO");
+  const legacySales = legacy
+    .filter((raw) => raw.type === "VENTA" && !raw.invoiceId)
+    .map((raw) => {
+      const monto = Number(raw.monto || 0);
+      const igv = Number(raw.igv || 0);
+      return {
+        documentType: monto < 0 ? "NOTA_CREDITO" : "FACTURA",
+        currency: BASE_CURRENCY,
+        issueDate: toIsoOrNull(raw.fecha),
+        opGravadas: Math.abs(round2(monto - igv)),
+        igv: Math.abs(igv),
+      };
+    });
+  const invoices = [
+    ...invoicesSnap.docs
+      .map((docSnap) => mapInvoiceDoc(docSnap.id, docSnap.data()))
+      .filter((invoice) => invoice.status === "EMITIDO" && invoice.cpeStatus !== "RECHAZADO"),
+    ...legacySales,
+  ];
+  const sales = summarizeSales(invoices.filter((invoice) => String(invoice.issueDate).slice(0, 7) === period));
+  const ytdIncome = regime === "MYPE" ? salesNetIncome(summarizeSales(invoices)) : 0;
+
+  const purchaseEntries = purchasesSnap.docs.map((docSnap) => {
+    const purchase = mapPurchaseDoc(docSnap.id, docSnap.data());
+    const sign = purchase.documentType === "NOTA_CREDITO" ? -1 : 1;
+    return {
+      base: sign * (purchase.igvCreditable ? toBaseCurrency(purchase.opGravadas, purchase.exchangeRate) : 0),
+      igv: sign * purchase.igvCreditPen,
+      noGravadas: sign * toBaseCurrency(purchase.opNoGravadas, purchase.exchangeRate),
+      total: sign * purchase.totalPen,
+      percepciones: sign * toBaseCurrency(purchase.percepcionAmount, purchase.exchangeRate),
+    };
+  });
+  // Mirrors of registered purchases are already counted above.
+  const otherEntries = legacy
+    .filter((raw) => raw.type === "COMPRA" && !raw.purchaseId && toIsoOrNull(raw.fecha)?.slice(0, 7) === period)
+    .map((raw) => ({
+      base: round2(Number(raw.monto || 0) - Number(raw.igv || 0)),
+      igv: round2(raw.igv || 0),
+      noGravadas: 0,
+      total: round2(raw.monto || 0),
+    }));
+  const purchases = summarizePurchases([...purchaseEntries, ...otherEntries]);
+
+  let carryover = options.carryover;
+  let carryoverSource = "REQUEST";
+  if (carryover === null) {
+    carryover = previousSnap?.exists ? Number(previousSnap.get("igv")?.nextCarryover || 0) : 0;
+    carryoverSource = previousSnap?.exists ? "PREVIOUS_PERIOD" : "NONE";
+  }
+
+  return {
+    ...buildTaxLiquidation({ period, regime, sales, purchases, carryover, ytdIncome, coefficient }),
+    carryoverSource,
+    previousPeriod,
+  };
+};
+
+const mapTaxLiquidationClosing = (raw) =>
+  raw
+    ? {
+        totalToPay: Number(raw.totalToPay || 0),
+        closedBy: raw.closedBy || "",
+        closedAt: toIsoOrNull(raw.closedAt),
+      }
+    : null;
+
+const parseDashboardQuery = (query = {}) => {
+  const to = String(query.to || "").trim() || limaToday();
+  const from = String(query.from || "").trim() || `${to.slice(0, 7)}-01`;
+  if (!isDateKey(from) || !isDateKey(to)) {
+    throw asApiError(400, "from/to must be YYYY-MM-DD");
+  }
+  if (from > to) {
+    throw asApiError(400, "from must be before to");
+  }
+  const days = daysBetweenKeys(from, to) + 1;
+  if (days > DASHBOARD_MAX_DAYS) {
+    throw asApiError(400, `Range must be at most ${DASHBOARD_MAX_DAYS} days`);
+  }
+
+  const groupBy = String(query.groupBy || (days > DASHBOARD_DAILY_MAX_DAYS ? "MONTH" : "DAY")).trim().toUpperCase();
+  if (!DASHBOARD_GROUPS.has(groupBy)) {
+    throw asApiError(400, "Invalid groupBy");
+  }
+  return { from, to, groupBy };
+};
+
+const parseVoidPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const reason = String(body.reason || "").trim();
+  if (!reason) throw asApiError(400, "Missing reason");
+  if (reason.length > VOID_REASON_MAX_LENGTH) {
+    throw asApiError(400, `reason must be at most ${VOID_REASON_MAX_LENGTH} characters`);
+  }
+
+  const env = String(body.env || "PROD").trim().toUpperCase();
+  if (!SUNAT_CDR_ENVS.has(env)) {
+    throw asApiError(400, "Invalid env");
+  }
+
+  return { businessId, reason, env };
+};
+
+// Checks that apply both before relaying the annulment and again inside the write transaction.
+const assertVoidable = (raw) => {
+  if (isVoided(raw)) {
+    throw asApiError(409, "Invoice is already voided");
+  }
+  if (isVoidPending(raw)) {
+    throw asApiError(409, "Invoice annulment is already pending");
+  }
+  if (isDraft(raw)) {
+    throw asApiError(409, "Drafts cannot be voided; delete them instead");
+  }
+  if (Number(raw.paidAmount || 0) > DECIMAL_EPSILON) {
+    throw asApiError(409, "Invoice has payments registered");
+  }
+  if (Number(raw.creditedAmount || 0) > DECIMAL_EPSILON || Number(raw.debitedAmount || 0) > DECIMAL_EPSILON) {
+    throw asApiError(409, "Invoice has notes applied; void them first");
+  }
+  if (CPE_IN_FLIGHT_STATUSES.has(raw.cpeStatus) || CPE_IN_FLIGHT_STATUSES.has(raw.cpeBetaStatus)) {
+    throw asApiError(409, "Invoice has a CPE emission in progress");
+  }
+};
+
+const parseSummaryPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const date = String(body.date || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !parseDateInput(date)) {
+    throw asApiError(400, "Invalid date");
+  }
+
+  const env = String(body.env || "PROD").trim().toUpperCase();
+  if (!SUNAT_CDR_ENVS.has(env)) {
+    throw asApiError(400, "Invalid env");
+  }
+
+  return { businessId, date, env };
+};
+
+const parseBulkEmitPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  if (body.invoiceIds !== undefined) {
+    if (!Array.isArray(body.invoiceIds) || !body.invoiceIds.length) {
+      throw asApiError(400, "invoiceIds must be a non-empty array");
+    }
+    const invoiceIds = [...new Set(body.invoiceIds.map((id) => String(id || "").trim()).filter(Boolean))];
+    if (invoiceIds.length > BULK_EMIT_LIMIT) {
+      throw asApiError(400, `invoiceIds cannot exceed ${BULK_EMIT_LIMIT}`);
+    }
+    return { businessId, invoiceIds, from: null, to: null };
+  }
+
+  const from = parseDateInput(body.from);
+  const to = parseDateInput(body.to);
+  if (!from || !to) {
+    throw asApiError(400, "Missing date range or invoiceIds");
+  }
+  if (from.getTime() > to.getTime()) {
+    throw asApiError(400, "from must be before to");
+  }
+  return { businessId, invoiceIds: null, from, to };
+};
+
+const parseCustomerPayload = (body = {}, { partial = false } = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const payload = { businessId };
+  if (!partial) {
+    payload.documentType = String(body.documentType || "").trim().toUpperCase();
+    if (!BILLING_CUSTOMER_DOC_TYPES.has(payload.documentType)) {
+      throw asApiError(400, "Invalid documentType");
+    }
+    payload.documentNumber = String(body.documentNumber || "").trim();
+    assertCustomerDocument(payload.documentType, payload.documentNumber);
+  }
+
+  ["name", "address", "email", "phone"].forEach((field) => {
+    if (body[field] !== undefined) payload[field] = String(body[field] || "").trim();
+  });
+  if (partial && body.name !== undefined && !payload.name) {
+    throw asApiError(400, "Missing name");
+  }
+  if (payload.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(payload.email)) {
+    throw asApiError(400, "Invalid email");
+  }
+  return payload;
+};
+
+// Fills a RUC customer with the data already cached from SUNAT padron lookups.
+const enrichFromRucCache = async (payload) => {
+  if (payload.documentType !== "RUC") return { ...payload, source: "MANUAL" };
+
+  const cacheSnap = await firestore.collection("sunat_ruc_cache").doc(payload.documentNumber).get();
+  if (!cacheSnap.exists) return { ...payload, source: "MANUAL" };
+
+  const cached = cacheSnap.data() || {};
+  return {
+    ...payload,
+    name: payload.name || String(cached.name || "").trim(),
+    address: payload.address || String(cached.address || "").trim(),
+    ubigeo: cached.ubigeo || null,
+    sunatStatus: cached.status || null,
+    sunatCondition: cached.condition || null,
+    source: "SUNAT_CACHE",
+  };
+};
+
+// Invoices created with customerId take name, document and address from the customer master.
+const applyInvoiceCustomer = async (uid, body = {}) => {
+  const customerId = String(body.customerId || "").trim();
+  if (!customerId) return body;
+
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const customerSnap = await firestore
+    .collection("users")
+    .doc(uid)
+    .collection("businesses")
+    .doc(businessId)
+    .collection("customers")
+    .doc(customerId)
+    .get();
+  if (!customerSnap.exists) {
+    throw asApiError(404, "Customer not found");
+  }
+
+  const customer = customerSnap.data() || {};
+  return {
+    ...body,
+    customerId,
+    customerName: customer.name,
+    customerDocumentType: customer.documentType,
+    customerDocumentNumber: customer.documentNumber,
+    customerAddress: body.customerAddress || customer.address || "",
+  };
+};
+
+// Products are stored under their uppercased code, so ids coming from clients are uppercased too.
+const normalizeProductId = (value) => String(value || "").trim().toUpperCase();
+
+// Codes saved before PRODUCT_CODE_PATTERN required an alphanumeric start can still be looked up;
+// ids Firestore cannot hold never name a product, so they are a 404 instead of a failed read.
+const isProductDocId = (productId) =>
+  /^[A-Z0-9._-]{1,30}$/.test(productId) && productId !== "." && productId !== ".." && !/^__.*__$/.test(productId);
+
+const parseProductPayload = (body = {}, { partial = false } = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const payload = { businessId };
+  if (!partial) {
+    payload.code = String(body.code || "").trim().toUpperCase();
+    if (!PRODUCT_CODE_PATTERN.test(payload.code)) {
+      throw asApiError(400, "Invalid code");
+    }
+  }
+
+  if (!partial || body.description !== undefined) {
+    payload.description = String(body.description || "").trim();
+    if (!payload.description) throw asApiError(400, "Missing description");
+    payload.searchDescription = normalizeSearchText(payload.description);
+  }
+  if (!partial || body.unitCode !== undefined) {
+    payload.unitCode = String(body.unitCode || "NIU").trim().toUpperCase();
+    if (!UNIT_CODES.has(payload.unitCode)) throw asApiError(400, "Invalid unitCode");
+  }
+  if (!partial || body.unitPrice !== undefined) {
+    const unitPrice = parseDecimal(body.unitPrice ?? 0);
+    if (unitPrice === null || unitPrice < 0) throw asApiError(400, "Invalid unitPrice");
+    payload.unitPrice = round2(unitPrice);
+  }
+  if (!partial || body.currency !== undefined) {
+    payload.currency = String(body.currency || BASE_CURRENCY).trim().toUpperCase();
+    if (!BILLING_CURRENCIES.has(payload.currency)) throw asApiError(400, "Invalid currency");
+  }
+
+  // Tax rules go through the same check as invoice items so catalog entries are always billable.
+  if (!partial || body.igvAffectation !== undefined || body.taxRate !== undefined) {
+    const checked = parseInvoiceItem({
+      description: "-",
+      quantity: 1,
+      unitPrice: 0,
+      // Catalog entries without tax fields default to gravado at the standard rate.
+      igvAffectation: body.igvAffectation ?? (body.taxRate === undefined ? "10" : undefined),
+      taxRate: body.taxRate,
+    });
+    payload.igvAffectation = checked.igvAffectation;
+    payload.taxRate = checked.taxRate;
+  }
+  return payload;
+};
+
+// Fills items that reference a catalog product; description and unitPrice may still be overridden.
+const applyInvoiceProducts = async (uid, body = {}) => {
+  if (!Array.isArray(body.items) || !body.items.some((item) => item?.productId)) return body;
+
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const productsRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId).collection("products");
+  const productIds = [
+    ...new Set(body.items.filter((item) => item?.productId).map((item) => normalizeProductId(item.productId))),
+  ].filter(isProductDocId);
+  const snaps = productIds.length ? await firestore.getAll(...productIds.map((productId) => productsRef.doc(productId))) : [];
+  const products = new Map(snaps.filter((snap) => snap.exists).map((snap) => [snap.id, snap.data() || {}]));
+  const currency = String(body.currency || BASE_CURRENCY).trim().toUpperCase();
+
+  const items = body.items.map((item) => {
+    if (!item?.productId) return item;
+
+    const productId = normalizeProductId(item.productId);
+    const product = products.get(productId);
+    if (!product) {
+      throw asApiError(404, `Product not found: ${productId}`);
+    }
+    if (item.igvAffectation && String(item.igvAffectation).trim() !== product.igvAffectation) {
+      throw asApiError(400, `igvAffectation does not match product ${product.code || productId}`);
+    }
+    const hasUnitPrice = item.unitPrice !== undefined && item.unitPrice !== null && item.unitPrice !== "";
+    if (!hasUnitPrice && (product.currency || BASE_CURRENCY) !== currency) {
+      throw asApiError(400, `Product ${product.code || productId} is priced in ${product.currency}; send unitPrice`);
+    }
+
+    return {
+      ...item,
+      productId,
+      productCode: product.code || productId,
+      description: String(item.description || "").trim() || product.description,
+      unitCode: product.unitCode || "NIU",
+      unitPrice: hasUnitPrice ? item.unitPrice : product.unitPrice,
+      igvAffectation: product.igvAffectation,
+      taxRate: product.taxRate,
+    };
+  });
+
+  return { ...body, items };
+};
+
+const parseSeriesPayload = (body = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const documentType = String(body.documentType || "").trim().toUpperCase();
+  if (!BILLING_DOC_TYPES.has(documentType)) {
+    throw asApiError(400, "Invalid documentType");
+  }
+
+  const serie = String(body.serie || "").trim().toUpperCase();
+  if (!SERIE_PATTERN.test(serie)) {
+    throw asApiError(400, "Invalid serie");
+  }
+  if ((documentType === "FACTURA" && !serie.startsWith("F")) || (documentType === "BOLETA" && !serie.startsWith("B"))) {
+    throw asApiError(400, "Serie prefix does not match documentType");
+  }
+
+  const lastNumber = body.lastNumber === undefined || body.lastNumber === null || body.lastNumber === ""
+    ? 0
+    : parseCorrelative(body.lastNumber);
+  if (lastNumber === null) {
+    throw asApiError(400, "Invalid lastNumber");
+  }
+
+  return { businessId, documentType, serie, lastNumber };
+};
+
+const parseExchangeRateParams = (params = {}) => {
+  const currency = String(params.currency || "").trim().toUpperCase();
+  if (!BILLING_CURRENCIES.has(currency) || currency === BASE_CURRENCY) {
+    throw asApiError(400, "Invalid currency");
+  }
+  const date = String(params.date || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !parseDateInput(date)) {
+    throw asApiError(400, "Invalid date");
+  }
+  return { currency, date };
+};
+
+const parseBusinessQuery = (req) => {
+  const businessId = String(req.query.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+  return businessId;
+};
+
+const buildUblContext = (business, invoiceId, raw) => {
+  const invoice = mapInvoiceDoc(invoiceId, raw);
+  return {
+    business,
+    invoice,
+    typeCode: docTypeCode(invoice.documentType),
+    referenceTypeCode: docTypeCode(invoice.referenceDocumentType),
+  };
+};
+
+// Checks an invoice can be sent to SUNAT in `env` before its emission job is queued.
+const prepareCpeEmission = async ({ uid, businessId, invoiceId, env }) => {
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+  const invoicesRef = businessRef.collection("invoices");
+  const invoiceRef = invoicesRef.doc(invoiceId);
+
+  const [businessSnap, invoiceSnap] = await Promise.all([businessRef.get(), invoiceRef.get()]);
+  if (!businessSnap.exists) {
+    throw asApiError(404, "Business not found");
+  }
+  if (!invoiceSnap.exists) {
+    throw asApiError(404, "Invoice not found");
+  }
+  if (isVoided(invoiceSnap.data())) {
+    throw asApiError(409, "Invoice is voided");
+  }
+  if (isDraft(invoiceSnap.data())) {
+    throw asApiError(409, "Invoice is a draft");
+  }
+  if (invoiceSnap.get(cpeField(env, "Status")) === "ACEPTADO") {
+    throw asApiError(409, `Invoice already accepted in ${env}`);
+  }
+  if (env === "PROD" && invoiceSnap.get("cpeStatus") === "RECHAZADO") {
+    throw asApiError(409, "Invoice rejected in PROD; void it and issue a new number");
+  }
+  if (invoiceSnap.get(cpeField(env, "SummaryId"))) {
+    throw asApiError(409, "Invoice is pending in a daily summary");
+  }
+
+  // Advisory warnings are left to SUNAT; errors stop the emission before the worker is called.
+  const { errors } = validateUblInvoice(buildUblContext(businessSnap.data() || {}, invoiceId, invoiceSnap.data() || {}));
+  if (errors.length) {
+    const error = asApiError(422, "CPE validation failed");
+    error.issues = errors;
+    throw error;
+  }
+
+  // SUNAT rejects notes whose referenced invoice was not accepted in the same environment.
+  const raw = invoiceSnap.data() || {};
+  if (isNoteType(raw.documentType)) {
+    const referenceSnap = await invoicesRef.doc(String(raw.referenceInvoiceId || "-")).get();
+    if (!referenceSnap.exists || referenceSnap.get(cpeField(env, "Status")) !== "ACEPTADO") {
+      throw asApiError(409, `Referenced invoice not accepted in ${env}`);
+    }
+  }
+
+  return invoiceRef;
+};
+
+// Invoice fields written by SUNAT flows are prefixed `cpe` in PROD and `cpeBeta` in BETA.
+const cpeField = (env, name) => `${env === "PROD" ? "cpe" : "cpeBeta"}${name}`;
+
+// Boletas (and their notes) reported through a Resumen Diario instead of one by one.
+const isSummaryEligible = (raw, env) =>
+  String(raw?.serie || "").startsWith("B") &&
+  !isVoided(raw) &&
+  !isDraft(raw) &&
+  raw?.[cpeField(env, "Status")] !== "ACEPTADO" &&
+  !CPE_IN_FLIGHT_STATUSES.has(raw?.[cpeField(env, "Status")]) &&
+  !raw?.[cpeField(env, "SummaryId")];
+
+// One job per invoice and environment; re-enqueueing a finished job restarts it.
+const buildCpeJobId = (uid, businessId, invoiceId, env) =>
+  crypto.createHash("sha1").update(`${uid}|${businessId}|${invoiceId}|${env}`).digest("hex");
+
+const cpeJobDelay = (attempt) => Math.min(CPE_JOB_MAX_DELAY_MS, CPE_JOB_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1));
+
+// Timeouts, network failures, throttling and worker 5xx are worth retrying; other 4xx are not.
+const isRetryableWorkerError = (error) => {
+  const status = Number(error?.status);
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+const mapCpeJobDoc = (id, raw) => ({
+  id,
+  businessId: raw?.businessId || "",
+  invoiceId: raw?.invoiceId || "",
+  env: raw?.env || "PROD",
+  status: raw?.status || "QUEUED",
+  attempts: Number(raw?.attempts || 0),
+  maxAttempts: Number(raw?.maxAttempts || CPE_JOB_MAX_ATTEMPTS),
+  polls: Number(raw?.polls || 0),
+  ticket: raw?.ticket || null,
+  outcome: raw?.outcome || null,
+  lastError: raw?.lastError || null,
+  nextAttemptAt: toIsoOrNull(raw?.nextAttemptAt),
+  finishedAt: toIsoOrNull(raw?.finishedAt),
+  createdAt: toIsoOrNull(raw?.createdAt),
+  updatedAt: toIsoOrNull(raw?.updatedAt),
+});
+
+const enqueueCpeJob = async ({ uid, businessId, invoiceId, env, invoiceRef }) => {
+  const jobRef = firestore.collection("cpe_jobs").doc(buildCpeJobId(uid, businessId, invoiceId, env));
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const [jobSnap, invoiceSnap] = await Promise.all([transaction.get(jobRef), transaction.get(invoiceRef)]);
+    if (jobSnap.exists && CPE_JOB_ACTIVE_STATUSES.has(jobSnap.get("status"))) {
+      return mapCpeJobDoc(jobSnap.id, jobSnap.data());
+    }
+    const storedStatus = invoiceSnap.get(cpeField(env, "Status"));
+    if (storedStatus === "ACEPTADO") {
+      throw asApiError(409, `Invoice already accepted in ${env}`);
+    }
+
+    const record = {
+      uid,
+      businessId,
+      invoiceId,
+      env,
+      status: "QUEUED",
+      attempts: 0,
+      maxAttempts: CPE_JOB_MAX_ATTEMPTS,
+      polls: 0,
+      ticket: null,
+      outcome: null,
+      lastError: null,
+      nextAttemptAt: firebaseAdmin.firestore.Timestamp.now(),
+      finishedAt: null,
+      createdBy: uid,
+      createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    };
+    transaction.set(jobRef, record);
+    // A ticket left by an unfinished send is kept so the job polls it; one from a rejected send is dropped.
+    updateInvoiceInTransaction(transaction, businessRef, invoiceRef, invoiceSnap.data() || {}, {
+      [cpeField(env, "Status")]: "QUEUED",
+      [cpeField(env, "JobId")]: jobRef.id,
+      [cpeField(env, "Error")]: null,
+      ...(storedStatus === "RECHAZADO" ? { [cpeField(env, "Ticket")]: null } : {}),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+    return mapCpeJobDoc(jobRef.id, record);
+  });
+};
+
+// Jobs processed outside a user request call the worker with an ID token minted for the job owner.
+// The cache keeps at most WORKER_TOKEN_CACHE_LIMIT owners; expired and oldest entries are dropped first.
+const WORKER_TOKEN_CACHE_LIMIT = 100;
+const workerTokenCache = new Map();
+
+const cacheWorkerToken = (uid, entry) => {
+  const now = Date.now();
+  workerTokenCache.forEach((cached, key) => {
+    if (cached.expiresAt <= now) workerTokenCache.delete(key);
+  });
+  workerTokenCache.delete(uid);
+  if (workerTokenCache.size >= WORKER_TOKEN_CACHE_LIMIT) {
+    workerTokenCache.delete(workerTokenCache.keys().next().value);
+  }
+  workerTokenCache.set(uid, entry);
+};
+
+const getWorkerAuthHeader = async (uid) => {
+  const cached = workerTokenCache.get(uid);
+  if (cached && cached.expiresAt > Date.now()) return cached.header;
+  workerTokenCache.delete(uid);
+
+  const apiKey = String(process.env.FIREBASE_WEB_API_KEY || "").trim();
+  if (!apiKey) {
+    throw asApiError(500, "Missing FIREBASE_WEB_API_KEY");
+  }
+
+  const customToken = await firebaseAdmin.auth().createCustomToken(uid);
+  const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:signInWithCustomToken?key=${apiKey}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token: customToken, returnSecureToken: true }),
+    signal: AbortSignal.timeout(actionTimeout),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data?.idToken) {
+    throw asApiError(502, "Worker auth failed");
+  }
+
+  const header = `Bearer ${data.idToken}`;
+  // Refresh a few minutes before the token's one hour expiry.
+  cacheWorkerToken(uid, { header, expiresAt: Date.now() + (Number(data.expiresIn || 3600) - 300) * 1000 });
+  return header;
+};
+
+const postSunatWorker = async (path, authHeader, body, fallbackError, timeoutMs = actionTimeout) => {
+  const response = await fetch(`${getSunatWorkerUrl()}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: authHeader,
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw asApiError(response.status, data?.error || fallbackError);
+  }
+  return data?.result || null;
+};
+
+// Collects the boletas issued on `date` that are not yet reported in `env`, reserves them in a
+// new summary, and sends the Resumen Diario through the worker.
+const sendDailySummary = async ({ uid, authHeader, businessId, date, env }) => {
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+  const invoicesRef = businessRef.collection("invoices");
+  const businessSnap = await businessRef.get();
+  if (!businessSnap.exists) {
+    throw asApiError(404, "Business not found");
+  }
+
+  const dayStart = new Date(`${date}T00:00:00.000Z`);
+  const dayEnd = new Date(dayStart.getTime() + 86400000);
+  const candidatesSnap = await invoicesRef
+    .where("issueDate", ">=", firebaseAdmin.firestore.Timestamp.fromDate(dayStart))
+    .where("issueDate", "<", firebaseAdmin.firestore.Timestamp.fromDate(dayEnd))
+    .get();
+  const candidateRefs = candidatesSnap.docs
+    .filter((docSnap) => isSummaryEligible(docSnap.data(), env))
+    .sort((a, b) =>
+      `${a.get("serie")}-${String(a.get("numero")).padStart(8, "0")}`.localeCompare(
+        `${b.get("serie")}-${String(b.get("numero")).padStart(8, "0")}`
+      )
+    )
+    .slice(0, SUMMARY_LINES_LIMIT)
+    .map((docSnap) => docSnap.ref);
+  if (!candidateRefs.length) {
+    throw asApiError(409, "No pending boletas for date");
+  }
+
+  // SUNAT numbers RC-YYYYMMDD-n and checks issueDate against the local (Lima) date, not UTC.
+  const today = limaToday();
+  const todayKey = today.replace(/-/g, "");
+  const counterRef = businessRef.collection("summary_counters").doc(`${env}-${todayKey}`);
+  const summaryRef = businessRef.collection("summaries").doc();
+  const summaryIdField = cpeField(env, "SummaryId");
+
+  const summary = await firestore.runTransaction(async (transaction) => {
+    const [counterSnap, ...invoiceSnaps] = await transaction.getAll(counterRef, ...candidateRefs);
+    const eligible = invoiceSnaps.filter((snap) => snap.exists && isSummaryEligible(snap.data(), env));
+    if (!eligible.length) {
+      throw asApiError(409, "No pending boletas for date");
+    }
+
+    const sequence = Number(counterSnap.exists ? counterSnap.get("last") || 0 : 0) + 1;
+    const lines = eligible.map((snap) => {
+      const context = buildUblContext(businessSnap.data() || {}, snap.id, snap.data() || {});
+      return { invoiceId: snap.id, ...buildSummaryLine(context) };
+    });
+
+    const record = {
+      identifier: `RC-${todayKey}-${sequence}`,
+      env,
+      summaryDate: date,
+      issueDate: today,
+      status: "PENDIENTE",
+      ticket: null,
+      invoiceIds: lines.map((line) => line.invoiceId),
+      lines,
+      lineCount: lines.length,
+      pollCount: 0,
+      createdBy: uid,
+      createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    transaction.set(counterRef, { last: sequence, updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() });
+    transaction.set(summaryRef, record);
+    eligible.forEach((snap) => {
+      transaction.update(snap.ref, {
+        [summaryIdField]: summaryRef.id,
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return record;
+  });
+
+  let result = null;
+  try {
+    result = await postSunatWorker(
+      "/sunat/cpe/summary",
+      authHeader,
+      {
+        businessId,
+        env,
+        summaryId: summaryRef.id,
+        identifier: summary.identifier,
+        referenceDate: summary.summaryDate,
+        issueDate: summary.issueDate,
+        lines: summary.lines,
+      },
+      "Summary send failed"
+    );
+  } catch (error) {
+    // Release the boletas so a later summary can pick them up again.
+    await firestore.runTransaction(async (transaction) => {
+      transaction.update(summaryRef, {
+        status: "ERROR",
+        error: error?.message || "Summary send failed",
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+      summary.invoiceIds.forEach((invoiceId) => {
+        transaction.update(invoicesRef.doc(invoiceId), {
+          [summaryIdField]: null,
+          [cpeField(env, "Error")]: error?.message || "Summary send failed",
+          [cpeField(env, "LastAttemptAt")]: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    });
+    throw error;
+  }
+
+  const ticket = result?.ticket || null;
+  await firestore.runTransaction(async (transaction) => {
+    transaction.update(summaryRef, {
+      status: ticket ? "ENVIADO" : "ERROR",
+      ticket,
+      error: ticket ? null : "Worker did not return a ticket",
+      nextPollAt: ticket ? firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + CPE_JOB_BASE_DELAY_MS) : null,
+      sentAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+    summary.invoiceIds.forEach((invoiceId) => {
+      transaction.update(invoicesRef.doc(invoiceId), {
+        [cpeField(env, "Provider")]: "RESUMEN_DIARIO",
+        [cpeField(env, "Ticket")]: ticket,
+        [cpeField(env, "Error")]: null,
+        [cpeField(env, "LastAttemptAt")]: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        ...(ticket ? {} : { [summaryIdField]: null }),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  });
+
+  const summarySnap = await summaryRef.get();
+  return mapSummaryDoc(summarySnap.id, summarySnap.data() || {});
+};
+
+// Asks the worker for the ticket status and, once SUNAT answers, writes the outcome into each boleta.
+const pollDailySummary = async ({ uid, authHeader, businessId, summaryId }) => {
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+  const summaryRef = businessRef.collection("summaries").doc(summaryId);
+  const summarySnap = await summaryRef.get();
+  if (!summarySnap.exists) {
+    throw asApiError(404, "Summary not found");
+  }
+
+  const raw = summarySnap.data() || {};
+  if (SUMMARY_FINAL_STATUSES.has(raw.status)) {
+    return mapSummaryDoc(summarySnap.id, raw, { includeCdr: true });
+  }
+  if (raw.status !== "ENVIADO" || !raw.ticket) {
+    throw asApiError(409, "Summary has no ticket to poll");
+  }
+
+  const result = await postSunatWorker(
+    "/sunat/cpe/ticket",
+    authHeader,
+    { businessId, env: raw.env, ticket: raw.ticket },
+    "Ticket status failed"
+  );
+  const outcome = String(result?.status || "").toUpperCase();
+  const env = raw.env || "PROD";
+
+  const invoiceRefs = (raw.invoiceIds || []).map((invoiceId) => businessRef.collection("invoices").doc(invoiceId));
+  await firestore.runTransaction(async (transaction) => {
+    const [current, ...invoiceSnaps] = await transaction.getAll(summaryRef, ...invoiceRefs);
+    if (SUMMARY_FINAL_STATUSES.has(current.get("status"))) return;
+
+    // The scheduler stops after CPE_JOB_MAX_POLLS; the ticket can still be polled by hand.
+    const pollCount = Number(current.get("pollCount") || 0) + 1;
+    if (!SUMMARY_FINAL_STATUSES.has(outcome)) {
+      const exhausted = pollCount >= CPE_JOB_MAX_POLLS;
+      transaction.update(summaryRef, {
+        pollCount,
+        nextPollAt: exhausted ? null : firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + cpeJobDelay(pollCount)),
+        ...(exhausted ? { error: "Ticket polling exhausted" } : {}),
+        lastPolledAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+
+    const accepted = outcome === "ACEPTADO";
+    transaction.update(summaryRef, {
+      status: outcome,
+      cpeCode: result?.code ?? null,
+      cpeDescription: result?.description ?? null,
+      cdrZipBase64: result?.cdrZipBase64 || null,
+      error: null,
+      pollCount,
+      nextPollAt: null,
+      lastPolledAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      resolvedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+    invoiceSnaps.forEach((invoiceSnap) => {
+      updateInvoiceInTransaction(transaction, businessRef, invoiceSnap.ref, invoiceSnap.data() || {}, {
+        [cpeField(env, "Status")]: outcome,
+        [cpeField(env, "Code")]: result?.code ?? null,
+        [cpeField(env, "Description")]: result?.description ?? null,
+        [cpeField(env, "LastAttemptAt")]: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        ...(accepted
+          ? { [cpeField(env, "AcceptedAt")]: firebaseAdmin.firestore.FieldValue.serverTimestamp() }
+          : { [cpeField(env, "SummaryId")]: null }),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  });
+
+  const updatedSnap = await summaryRef.get();
+  return mapSummaryDoc(updatedSnap.id, updatedSnap.data() || {}, { includeCdr: true });
+};
+
+// Polls Resumen Diario tickets whose nextPollAt is due. Failed polls are pushed back so they do not
+// hold the head of the query.
+const runDueDailySummaries = async (limit = CPE_JOB_RUN_BATCH) => {
+  const snap = await firestore
+    .collectionGroup("summaries")
+    .where("nextPollAt", "<=", firebaseAdmin.firestore.Timestamp.now())
+    .orderBy("nextPollAt", "asc")
+    .limit(limit)
+    .get();
+
+  const polled = [];
+  for (const docSnap of snap.docs) {
+    const businessRef = docSnap.ref.parent.parent;
+    const uid = businessRef.parent.parent.id;
+    try {
+      const authHeader = await getWorkerAuthHeader(uid);
+      await pollDailySummary({ uid, authHeader, businessId: businessRef.id, summaryId: docSnap.id });
+      polled.push(docSnap.id);
+    } catch (error) {
+      const pollCount = Number(docSnap.get("pollCount") || 0) + 1;
+      await docSnap.ref
+        .update({
+          pollCount,
+          error: error?.message || "Ticket status failed",
+          nextPollAt:
+            pollCount >= CPE_JOB_MAX_POLLS
+              ? null
+              : firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + cpeJobDelay(pollCount)),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        })
+        .catch(() => null);
+    }
+  }
+  return polled;
+};
+
+// Marks the invoice ANULADO with zero receivable, releases the adjustment a voided note made on its
+// reference and zeroes the comprobantes mirror. Reads first, so callers must not have written yet.
+const applyInvoiceVoidInTransaction = async (transaction, { businessRef, invoiceRef, raw, updates }) => {
+  const referenceRef =
+    isNoteType(raw.documentType) && raw.referenceInvoiceId
+      ? businessRef.collection("invoices").doc(raw.referenceInvoiceId)
+      : null;
+  const comprobanteRef = raw.comprobanteId ? businessRef.collection("comprobantes").doc(raw.comprobanteId) : null;
+  const [referenceSnap, comprobanteSnap] = await Promise.all([
+    referenceRef ? transaction.get(referenceRef) : Promise.resolve(null),
+    comprobanteRef ? transaction.get(comprobanteRef) : Promise.resolve(null),
+  ]);
+
+  const voided = {
+    ...updates,
+    status: "ANULADO",
+    balance: 0,
+    paymentStatus: "ANULADO",
+    voidNextPollAt: null,
+    voidedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  };
+  updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, voided);
+
+  // A voided note no longer adjusts the invoice it referenced.
+  if (referenceSnap?.exists) {
+    const reference = referenceSnap.data() || {};
+    const adjustmentField = raw.documentType === "NOTA_CREDITO" ? "creditedAmount" : "debitedAmount";
+    const adjusted = {
+      ...reference,
+      [adjustmentField]: round2(Math.max(0, Number(reference[adjustmentField] || 0) - Number(raw.total || 0))),
+    };
+    const paidAmount = round2(reference.paidAmount || 0);
+    const balance = round2(Math.max(0, invoiceReceivable(adjusted) - paidAmount));
+
+    updateInvoiceInTransaction(transaction, businessRef, referenceRef, reference, {
+      [adjustmentField]: adjusted[adjustmentField],
+      balance,
+      paymentStatus: resolvePaymentStatus(paidAmount, balance),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  // Voided documents stop counting in legacy dashboards; the original amount is kept for audit.
+  if (comprobanteSnap?.exists) {
+    const mirror = comprobanteSnap.data() || {};
+    transaction.update(comprobanteRef, {
+      estado: "ANULADO",
+      montoOriginal: mirror.monto ?? 0,
+      monto: 0,
+      igv: 0,
+      montoMoneda: 0,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  return { ...raw, ...voided };
+};
+
+// Writes a SUNAT answer to a pending annulment: ACEPTADO voids the invoice, RECHAZADO leaves it issued,
+// anything else schedules the next poll until CPE_JOB_MAX_POLLS is reached, then ends in ERROR so the
+// annulment can be requested again.
+const settleInvoiceVoid = async (transaction, { businessRef, invoiceRef, raw, outcome, result }) => {
+  const pollCount = Number(raw.voidPollCount || 0) + 1;
+  const polled = {
+    voidPollCount: pollCount,
+    voidLastPolledAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+  };
+  const answer = { voidCode: result?.code ?? null, voidDescription: result?.description ?? null, voidError: null };
+
+  if (outcome === "ACEPTADO") {
+    return applyInvoiceVoidInTransaction(transaction, {
+      businessRef,
+      invoiceRef,
+      raw,
+      updates: { ...polled, ...answer, voidStatus: "ACEPTADO", voidedBy: raw.voidRequestedBy || null },
+    });
+  }
+
+  const exhausted = pollCount >= CPE_JOB_MAX_POLLS;
+  const updates =
+    outcome === "RECHAZADO"
+      ? { ...polled, ...answer, voidStatus: "RECHAZADO", voidNextPollAt: null }
+      : exhausted
+        ? { ...polled, voidStatus: "ERROR", voidNextPollAt: null, voidError: "Ticket polling exhausted" }
+        : { ...polled, voidNextPollAt: firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + cpeJobDelay(pollCount)) };
+  updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, updates);
+  return { ...raw, ...updates };
+};
+
+// Asks the worker for the status of a pending annulment ticket and applies SUNAT's answer.
+const pollInvoiceVoid = async ({ uid, authHeader, businessId, invoiceId }) => {
+  const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+  const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+  const invoiceSnap = await invoiceRef.get();
+  if (!invoiceSnap.exists) {
+    throw asApiError(404, "Invoice not found");
+  }
+
+  const raw = invoiceSnap.data() || {};
+  if (!isVoidPending(raw)) {
+    return mapInvoiceDoc(invoiceId, raw);
+  }
+  if (!raw.voidTicket) {
+    throw asApiError(409, "Annulment has no ticket to poll");
+  }
+
+  const result = await postSunatWorker(
+    "/sunat/cpe/ticket",
+    authHeader,
+    { businessId, invoiceId, env: raw.voidEnv || "PROD", ticket: raw.voidTicket },
+    "Ticket status failed"
+  );
+  const outcome = String(result?.status || "").toUpperCase();
+
+  return firestore.runTransaction(async (transaction) => {
+    const snap = await transaction.get(invoiceRef);
+    const current = snap.data() || {};
+    // Another poll may have settled the ticket meanwhile.
+    if (!isVoidPending(current) || current.voidTicket !== raw.voidTicket) {
+      return mapInvoiceDoc(invoiceId, current);
+    }
+    return mapInvoiceDoc(invoiceId, await settleInvoiceVoid(transaction, { businessRef, invoiceRef, raw: current, outcome, result }));
+  });
+};
+
+// Polls annulments whose voidNextPollAt is due. Failed polls are pushed back so they do not hold the head
+// of the query.
+const runDueInvoiceVoids = async (limit = CPE_JOB_RUN_BATCH) => {
+  const snap = await firestore
+    .collectionGroup("invoices")
+    .where("voidNextPollAt", "<=", firebaseAdmin.firestore.Timestamp.now())
+    .orderBy("voidNextPollAt", "asc")
+    .limit(limit)
+    .get();
+
+  const polled = [];
+  for (const docSnap of snap.docs) {
+    const businessRef = docSnap.ref.parent.parent;
+    const uid = businessRef.parent.parent.id;
+    try {
+      const authHeader = await getWorkerAuthHeader(uid);
+      await pollInvoiceVoid({ uid, authHeader, businessId: businessRef.id, invoiceId: docSnap.id });
+      polled.push(docSnap.id);
+    } catch (error) {
+      const pollCount = Number(docSnap.get("voidPollCount") || 0) + 1;
+      const exhausted = pollCount >= CPE_JOB_MAX_POLLS;
+      await docSnap.ref
+        .update({
+          voidPollCount: pollCount,
+          voidError: error?.message || "Ticket status failed",
+          ...(exhausted ? { voidStatus: "ERROR" } : {}),
+          voidNextPollAt: exhausted
+            ? null
+            : firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + cpeJobDelay(pollCount)),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        })
+        .catch(() => null);
+    }
+  }
+  return polled;
+};
+
+// Claims a due job by pushing its nextAttemptAt forward as a lease, so a crashed run is retried
+// once the lease expires and concurrent runners skip it meanwhile.
+const claimCpeJob = async (jobRef) =>
+  firestore.runTransaction(async (transaction) => {
+    const jobSnap = await transaction.get(jobRef);
+    if (!jobSnap.exists) return null;
+
+    const job = jobSnap.data() || {};
+    const dueAt = job.nextAttemptAt?.toMillis ? job.nextAttemptAt.toMillis() : 0;
+    if (!CPE_JOB_ACTIVE_STATUSES.has(job.status) || dueAt > Date.now()) return null;
+
+    const businessRef = firestore.collection("users").doc(job.uid).collection("businesses").doc(job.businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(job.invoiceId);
+    const invoiceSnap = await transaction.get(invoiceRef);
+    const storedStatus = invoiceSnap.get(cpeField(job.env, "Status"));
+    const storedTicket = invoiceSnap.get(cpeField(job.env, "Ticket"));
+
+    // Worker tokens are minted for job.uid, so the job must be the one its invoice points back at.
+    if (!invoiceSnap.exists || invoiceSnap.get(cpeField(job.env, "JobId")) !== jobRef.id) {
+      transaction.update(jobRef, {
+        status: "FAILED",
+        lastError: "Job does not belong to the invoice owner",
+        nextAttemptAt: null,
+        finishedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    }
+
+    // A send that timed out may still have reached SUNAT: a final answer closes the job, and a
+    // ticket is polled instead of sending the same serie-numero twice.
+    if (CPE_FINAL_STATUSES.has(storedStatus)) {
+      transaction.update(jobRef, {
+        status: "DONE",
+        outcome: storedStatus,
+        lastError: null,
+        nextAttemptAt: null,
+        finishedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    }
+
+    const polling = job.status === "POLLING" || Boolean(storedTicket);
+    const lease = firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + actionTimeout * 2 + 30000);
+    const updates = polling
+      ? {
+          ...(job.status === "POLLING" ? {} : { status: "POLLING", ticket: storedTicket, polls: 0 }),
+          nextAttemptAt: lease,
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        }
+      : {
+          status: "SENDING",
+          attempts: Number(job.attempts || 0) + 1,
+          nextAttemptAt: lease,
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        };
+    transaction.update(jobRef, updates);
+
+    if (!polling) {
+      updateInvoiceInTransaction(transaction, businessRef, invoiceRef, invoiceSnap.data() || {}, {
+        [cpeField(job.env, "Status")]: "SENDING",
+        [cpeField(job.env, "LastAttemptAt")]: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    return { ...job, ...updates };
+  });
+
+// Writes the job outcome and mirrors it into the invoice `cpe*`/`cpeBeta*` fields.
+const settleCpeJob = async (jobRef, job, jobUpdates, invoiceUpdates) => {
+  const businessRef = firestore.collection("users").doc(job.uid).collection("businesses").doc(job.businessId);
+  const invoiceRef = businessRef.collection("invoices").doc(job.invoiceId);
+  const prefixed = Object.fromEntries(
+    Object.entries(invoiceUpdates).map(([name, value]) => [cpeField(job.env, name), value])
+  );
+
+  await firestore.runTransaction(async (transaction) => {
+    const invoiceSnap = await transaction.get(invoiceRef);
+    // A late answer already stored on the invoice wins over this attempt's outcome.
+    const storedStatus = invoiceSnap.get(cpeField(job.env, "Status"));
+    if (CPE_FINAL_STATUSES.has(storedStatus) && invoiceUpdates.Status !== storedStatus) {
+      transaction.update(jobRef, {
+        status: "DONE",
+        outcome: storedStatus,
+        lastError: null,
+        nextAttemptAt: null,
+        finishedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+    transaction.update(jobRef, { ...jobUpdates, updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() });
+    updateInvoiceInTransaction(transaction, businessRef, invoiceRef, invoiceSnap.data() || {}, {
+      ...prefixed,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+const finishCpeJob = (jobRef, job, outcome, result) =>
+  settleCpeJob(
+    jobRef,
+    job,
+    {
+      status: "DONE",
+      outcome,
+      lastError: null,
+      nextAttemptAt: null,
+      finishedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    },
+    {
+      Status: outcome,
+      ...(result?.code !== undefined ? { Code: result.code } : {}),
+      ...(result?.description !== undefined ? { Description: result.description } : {}),
+      ...(result?.cdrZipBase64 ? { ZipBase64: result.cdrZipBase64 } : {}),
+      ...(outcome === "ACEPTADO" ? { AcceptedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() } : {}),
+      Error: null,
+    }
+  );
+
+const failCpeJob = (jobRef, job, message) =>
+  settleCpeJob(
+    jobRef,
+    job,
+    {
+      status: "FAILED",
+      lastError: message,
+      nextAttemptAt: null,
+      finishedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    },
+    { Status: "ERROR", Error: message }
+  );
+
+// Runs one step of a job: sends the invoice, or polls its SUNAT ticket when the worker returned one.
+const processCpeJob = async (jobId, authHeader = null, timeoutMs = actionTimeout) => {
+  const jobRef = firestore.collection("cpe_jobs").doc(jobId);
+  const job = await claimCpeJob(jobRef);
+  if (!job) return null;
+
+  try {
+    const header = authHeader || (await getWorkerAuthHeader(job.uid));
+
+    if (job.status === "POLLING") {
+      const result = await postSunatWorker(
+        "/sunat/cpe/ticket",
+        header,
+        { businessId: job.businessId, invoiceId: job.invoiceId, env: job.env, ticket: job.ticket },
+        "Ticket status failed",
+        timeoutMs
+      );
+      const outcome = String(result?.status || "").toUpperCase();
+      if (CPE_FINAL_STATUSES.has(outcome)) {
+        await finishCpeJob(jobRef, job, outcome, result);
+      } else if (Number(job.polls || 0) + 1 >= CPE_JOB_MAX_POLLS) {
+        await failCpeJob(jobRef, job, "Ticket polling exhausted");
+      } else {
+        await jobRef.update({
+          polls: Number(job.polls || 0) + 1,
+          nextAttemptAt: firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + cpeJobDelay(Number(job.polls || 0) + 1)),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      return jobId;
+    }
+
+    const result = await postSunatWorker(
+      "/sunat/cpe/emit",
+      header,
+      { businessId: job.businessId, invoiceId: job.invoiceId, env: job.env },
+      "CPE emit failed",
+      timeoutMs
+    );
+
+    // The worker stores the CDR outcome on the invoice itself; tickets mean SUNAT answers later.
+    const outcome = String(result?.status || "").toUpperCase();
+    if (CPE_FINAL_STATUSES.has(outcome)) {
+      await finishCpeJob(jobRef, job, outcome, result);
+    } else if (result?.ticket) {
+      await settleCpeJob(
+        jobRef,
+        job,
+        {
+          status: "POLLING",
+          ticket: result.ticket,
+          polls: 0,
+          nextAttemptAt: firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + CPE_JOB_BASE_DELAY_MS),
+        },
+        { Status: "SENDING", Ticket: result.ticket }
+      );
+    } else {
+      const invoiceSnap = await firestore
+        .collection("users")
+        .doc(job.uid)
+        .collection("businesses")
+        .doc(job.businessId)
+        .collection("invoices")
+        .doc(job.invoiceId)
+        .get();
+      const stored = invoiceSnap.get(cpeField(job.env, "Status"));
+      if (!CPE_FINAL_STATUSES.has(stored)) {
+        throw asApiError(502, invoiceSnap.get(cpeField(job.env, "Error")) || "Worker returned no CDR");
+      }
+      await finishCpeJob(jobRef, job, stored, null);
+    }
+    return jobId;
+  } catch (error) {
+    const message = error?.message || "CPE emit failed";
+    const exhausted = Number(job.attempts || 0) >= Number(job.maxAttempts || CPE_JOB_MAX_ATTEMPTS);
+    if (!isRetryableWorkerError(error) || (job.status !== "POLLING" && exhausted)) {
+      await failCpeJob(jobRef, job, message);
+      return jobId;
+    }
+
+    // Retries go back to the queue (or keep polling) after an exponential delay.
+    const delay = cpeJobDelay(job.status === "POLLING" ? Number(job.polls || 0) + 1 : Number(job.attempts || 1));
+    await settleCpeJob(
+      jobRef,
+      job,
+      {
+        status: job.status === "POLLING" ? "POLLING" : "QUEUED",
+        lastError: message,
+        nextAttemptAt: firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + delay),
+      },
+      { Status: job.status === "POLLING" ? "SENDING" : "QUEUED", Error: message }
+    );
+    return jobId;
+  }
+};
+
+// Processes jobs whose nextAttemptAt is due; finished jobs have it cleared and drop out of the query.
+const runDueCpeJobs = async (limit = CPE_JOB_RUN_BATCH) => {
+  const snap = await firestore
+    .collection("cpe_jobs")
+    .where("nextAttemptAt", "<=", firebaseAdmin.firestore.Timestamp.now())
+    .orderBy("nextAttemptAt", "asc")
+    .limit(limit)
+    .get();
+
+  const processed = [];
+  for (const docSnap of snap.docs) {
+    // processCpeJob records worker failures on the job; anything else leaves the lease to expire.
+    const jobId = await processCpeJob(docSnap.id).catch(() => null);
+    if (jobId) processed.push(jobId);
+  }
+  return processed;
+};
+
+// Runs `fn` over `items` with at most `limit` calls in flight, keeping results in input order.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+};
+
+// Sends one invoice through the emission queue and waits for the first attempt to finish.
+const emitThroughQueue = async ({ uid, businessId, invoiceId, env, authHeader }) => {
+  const invoiceRef = await prepareCpeEmission({ uid, businessId, invoiceId, env });
+  const job = await enqueueCpeJob({ uid, businessId, invoiceId, env, invoiceRef });
+  if (job.status === "QUEUED" && job.attempts === 0) {
+    await processCpeJob(job.id, authHeader, CPE_FIRST_ATTEMPT_TIMEOUT_MS);
+  }
+
+  const jobSnap = await firestore.collection("cpe_jobs").doc(job.id).get();
+  return mapCpeJobDoc(jobSnap.id, jobSnap.data() || {});
+};
+
+// Validates in BETA (unless already accepted there) and then emits to PROD, reporting where it stopped.
+const bulkEmitInvoice = async ({ uid, businessId, authHeader, invoiceSnap }) => {
+  const raw = invoiceSnap.data() || {};
+  const entry = {
+    invoiceId: invoiceSnap.id,
+    documentType: raw.documentType || "",
+    serie: raw.serie || "",
+    numero: raw.numero || "",
+    result: "OMITIDO",
+    stage: null,
+    reason: null,
+    jobId: null,
+  };
+
+  for (const env of ["BETA", "PROD"]) {
+    if (env === "BETA" && raw.cpeBetaStatus === "ACEPTADO") continue;
+
+    try {
+      const job = await emitThroughQueue({ uid, businessId, invoiceId: invoiceSnap.id, env, authHeader });
+      Object.assign(entry, { stage: env, jobId: job.id, reason: job.lastError });
+      if (job.status === "DONE" && job.outcome === "ACEPTADO") {
+        entry.result = "ACEPTADO";
+        continue;
+      }
+      entry.result = job.status === "DONE" ? "RECHAZADO" : job.status === "FAILED" ? "ERROR" : "PENDIENTE";
+      return entry;
+    } catch (error) {
+      // Validation and state conflicts skip the invoice; anything else is reported as an error.
+      const status = Number(error?.status) || 500;
+      return {
+        ...entry,
+        stage: env,
+        result: status === 409 || status === 422 ? "OMITIDO" : "ERROR",
+        reason: status >= 500 ? "Server error" : error?.message || "CPE emit failed",
+        ...(error?.issues ? { issues: error.issues } : {}),
+      };
+    }
+  }
+  return entry;
+};
+
+const mapRecurringDoc = (id, raw) => ({
+  id,
+  name: raw?.name || "",
+  active: raw?.active !== false,
+  frequency: raw?.frequency || "MONTHLY",
+  dayOfMonth: Number(raw?.dayOfMonth || 1),
+  startDate: raw?.startDate || null,
+  endDate: raw?.endDate || null,
+  nextRunDate: raw?.nextRunDate || null,
+  lastRunDate: raw?.lastRunDate || null,
+  lastInvoiceId: raw?.lastInvoiceId || null,
+  suspendedRunDate: raw?.suspendedRunDate || null,
+  dueDays: raw?.dueDays ?? null,
+  autoEmit: raw?.autoEmit || "NONE",
+  invoice: raw?.invoice || {},
+  createdAt: toIsoOrNull(raw?.createdAt),
+  updatedAt: toIsoOrNull(raw?.updatedAt),
+});
+
+const mapRecurringRunDoc = (id, raw) => ({
+  id,
+  runDate: raw?.runDate || id,
+  status: raw?.status || "FAILED",
+  invoiceId: raw?.invoiceId || null,
+  serie: raw?.serie || null,
+  numero: raw?.numero || null,
+  total: round2(raw?.total || 0),
+  jobId: raw?.jobId || null,
+  emitError: raw?.emitError || null,
+  error: raw?.error || null,
+  attempts: Number(raw?.attempts || 0),
+  createdAt: toIsoOrNull(raw?.createdAt),
+  updatedAt: toIsoOrNull(raw?.updatedAt),
+});
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && Boolean(parseDateInput(value));
+
+// Peru has no daylight saving time: the local date is always UTC-5.
+const limaToday = () => toDateKey(new Date(Date.now() - LIMA_UTC_OFFSET_MS));
+
+const addDaysKey = (dateKey, days) => toDateKey(new Date(new Date(`${dateKey}T00:00:00.000Z`).getTime() + days * 86400000));
+
+// Day `dayOfMonth` of the given month, clamped to its last day (31 -> 30 Apr, 28/29 Feb).
+const scheduleDateKey = (year, monthIndex, dayOfMonth) => {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return toDateKey(new Date(Date.UTC(year, monthIndex, Math.min(dayOfMonth, lastDay))));
+};
+
+// First scheduled date on or after `fromKey`.
+const firstRunDateKey = (fromKey, dayOfMonth) => {
+  const [year, month] = fromKey.split("-").map(Number);
+  const candidate = scheduleDateKey(year, month - 1, dayOfMonth);
+  return candidate >= fromKey ? candidate : scheduleDateKey(year, month, dayOfMonth);
+};
+
+const followingRunDateKey = (runDateKey, frequency, dayOfMonth) => {
+  const [year, month] = runDateKey.split("-").map(Number);
+  return scheduleDateKey(year, month - 1 + RECURRING_FREQUENCIES[frequency], dayOfMonth);
+};
+
+// Next pending date for a template, or null once it is inactive or past its endDate.
+const resolveNextRunDate = (template, fromKey) => {
+  if (template.active === false) return null;
+  const next = firstRunDateKey(fromKey, Number(template.dayOfMonth));
+  return template.endDate && next > template.endDate ? null : next;
+};
+
+const parseRecurringPayload = (body = {}, { partial = false } = {}) => {
+  const businessId = String(body.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const payload = { businessId };
+  if (!partial || body.name !== undefined) {
+    payload.name = String(body.name || "").trim();
+    if (!payload.name) throw asApiError(400, "Missing name");
+    if (payload.name.length > 100) throw asApiError(400, "name exceeds 100 characters");
+  }
+  if (!partial || body.frequency !== undefined) {
+    payload.frequency = String(body.frequency || "MONTHLY").trim().toUpperCase();
+    if (!RECURRING_FREQUENCIES[payload.frequency]) throw asApiError(400, "Invalid frequency");
+  }
+  if (!partial || body.startDate !== undefined) {
+    payload.startDate = String(body.startDate || "").trim();
+    if (!isDateKey(payload.startDate)) throw asApiError(400, "Invalid startDate");
+  }
+  if (!partial || body.dayOfMonth !== undefined) {
+    // Defaults to the day of startDate.
+    const day = body.dayOfMonth === undefined ? Number(String(payload.startDate).slice(8, 10)) : Number(body.dayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 31) throw asApiError(400, "Invalid dayOfMonth");
+    payload.dayOfMonth = day;
+  }
+  if (body.endDate !== undefined) {
+    payload.endDate = body.endDate ? String(body.endDate).trim() : null;
+    if (payload.endDate && !isDateKey(payload.endDate)) throw asApiError(400, "Invalid endDate");
+  }
+  if (body.dueDays !== undefined) {
+    payload.dueDays = body.dueDays === null || body.dueDays === "" ? null : Number(body.dueDays);
+    if (payload.dueDays !== null && (!Number.isInteger(payload.dueDays) || payload.dueDays < 0 || payload.dueDays > 365)) {
+      throw asApiError(400, "Invalid dueDays");
+    }
+  }
+  if (!partial || body.autoEmit !== undefined) {
+    payload.autoEmit = String(body.autoEmit || "NONE").trim().toUpperCase();
+    if (payload.autoEmit !== "NONE" && !SUNAT_CDR_ENVS.has(payload.autoEmit)) throw asApiError(400, "Invalid autoEmit");
+  }
+  if (body.active !== undefined) {
+    payload.active = body.active === true || body.active === "true";
+  }
+
+  if (!partial || body.invoice !== undefined) {
+    const invoice = body.invoice && typeof body.invoice === "object" ? body.invoice : null;
+    if (!invoice) throw asApiError(400, "Missing invoice");
+    const documentType = String(invoice.documentType || "").trim().toUpperCase();
+    if (documentType !== "FACTURA" && documentType !== "BOLETA") {
+      throw asApiError(400, "Recurring invoices must be FACTURA or BOLETA");
+    }
+    // Only the document content is kept; numero, dates and exchange rate are set on each run.
+    payload.invoice = Object.fromEntries(
+      RECURRING_INVOICE_FIELDS.filter((field) => invoice[field] !== undefined).map((field) => [field, invoice[field]])
+    );
+    payload.invoice.documentType = documentType;
+  }
+  return payload;
+};
+
+// Invoice body for one run: the template content dated on the run date.
+const buildRecurringInvoiceBody = (template, runDate) => ({
+  ...template.invoice,
+  businessId: template.businessId,
+  issueDate: runDate,
+  dueDate: template.dueDays ? addDaysKey(runDate, template.dueDays) : undefined,
+});
+
+// Runs the same checks as a real emission (customer, products, items, series) before saving a template.
+const assertRecurringTemplate = async (uid, template) => {
+  if (template.endDate && template.endDate < template.startDate) {
+    throw asApiError(400, "endDate cannot be before startDate");
+  }
+  const payload = parseInvoicePayload(
+    await applyInvoiceProducts(uid, await applyInvoiceCustomer(uid, buildRecurringInvoiceBody(template, template.startDate)))
+  );
+  const seriesSnap = await firestore
+    .collection("users")
+    .doc(uid)
+    .collection("businesses")
+    .doc(template.businessId)
+    .collection("series")
+    .doc(buildSeriesId(payload.documentType, payload.serie))
+    .get();
+  if (!seriesSnap.exists || seriesSnap.get("active") === false) {
+    throw asApiError(400, "Recurring invoices require an active registered series");
+  }
+};
+
+// Records a period too old to send to SUNAT as SKIPPED and moves the template past it.
+// Returns false if another run already handled the period.
+const skipStaleRecurringRun = (templateRef, runRef, runDate, nextRunDate) =>
+  firestore.runTransaction(async (transaction) => {
+    const [runSnap, currentSnap] = await Promise.all([transaction.get(runRef), transaction.get(templateRef)]);
+    if (runSnap.get("status") === "CREATED" || currentSnap.get("nextRunDate") !== runDate) {
+      return false;
+    }
+
+    transaction.set(
+      runRef,
+      {
+        runDate,
+        status: "SKIPPED",
+        error: "Period outside the SUNAT send window",
+        createdAt: runSnap.get("createdAt") || firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    transaction.update(templateRef, {
+      nextRunDate,
+      ...(nextRunDate ? {} : { active: false }),
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+
+// Generates every due run of one template up to `untilDate`. Each run id is its date and is written
+// in the same transaction as the invoice, so a rerun never issues the same period twice. Every period
+// handled spends one of `budget.periods`; once that or `budget.deadline` runs out the template stays on
+// its next date for the following call.
+const runRecurringTemplate = async (templateRef, untilDate, budget) => {
+  const results = [];
+  for (let index = 0; index < RECURRING_CATCH_UP_LIMIT; index += 1) {
+    const templateSnap = await templateRef.get();
+    const template = templateSnap.exists ? templateSnap.data() || {} : null;
+    const runDate = template?.nextRunDate;
+    if (!template || template.active === false || !runDate || runDate > untilDate) break;
+    if (budget.periods <= 0 || Date.now() >= budget.deadline) {
+      budget.exhausted = true;
+      break;
+    }
+    budget.periods -= 1;
+
+    const sendWindowDays =
+      template.invoice?.documentType === "BOLETA" ? RECURRING_BOLETA_SEND_WINDOW_DAYS : RECURRING_SEND_WINDOW_DAYS;
+    const staleBefore = addDaysKey(limaToday(), -sendWindowDays);
+
+    const { uid, businessId } = template;
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const runRef = templateRef.collection("runs").doc(runDate);
+    const following = followingRunDateKey(runDate, template.frequency, Number(template.dayOfMonth));
+    const nextRunDate = template.endDate && following > template.endDate ? null : following;
+
+    if (runDate < staleBefore) {
+      const skipped = await skipStaleRecurringRun(templateRef, runRef, runDate, nextRunDate);
+      const error = skipped ? "Period outside the SUNAT send window" : null;
+      results.push({ templateId: templateRef.id, runDate, status: "SKIPPED", invoiceId: null, jobId: null, error });
+      if (!skipped) break;
+      continue;
+    }
+
+    let invoice = null;
+    try {
+      const payload = await resolveInvoicePayload(uid, buildRecurringInvoiceBody(template, runDate));
+      invoice = await firestore.runTransaction(async (transaction) => {
+        const [runSnap, currentSnap] = await Promise.all([transaction.get(runRef), transaction.get(templateRef)]);
+        if (runSnap.get("status") === "CREATED" || currentSnap.get("nextRunDate") !== runDate) {
+          return null;
+        }
+
+        const issued = await issueInvoiceInTransaction(transaction, {
+          uid,
+          businessRef,
+          payload,
+          extra: { recurringTemplateId: templateRef.id, recurringRunDate: runDate },
+        });
+        transaction.set(runRef, {
+          runDate,
+          status: "CREATED",
+          invoiceId: issued.id,
+          serie: issued.serie,
+          numero: issued.numero,
+          total: issued.total,
+          error: null,
+          attempts: Number(runSnap.get("attempts") || 0) + 1,
+          createdAt: runSnap.get("createdAt") || firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(templateRef, {
+          nextRunDate,
+          lastRunDate: runDate,
+          lastInvoiceId: issued.id,
+          ...(nextRunDate ? {} : { active: false }),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+        return issued;
+      });
+    } catch (error) {
+      // The template stays on this date so the next scheduler call retries it. After
+      // RECURRING_MAX_ATTEMPTS failures it is suspended (nextRunDate null) until it is edited.
+      const status = Number(error?.status) || 500;
+      const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+      await firestore.runTransaction(async (transaction) => {
+        const [runSnap, currentSnap] = await Promise.all([transaction.get(runRef), transaction.get(templateRef)]);
+        if (runSnap.get("status") === "CREATED") return;
+
+        const attempts = Number(runSnap.get("attempts") || 0) + 1;
+        transaction.set(
+          runRef,
+          {
+            runDate,
+            status: "FAILED",
+            error: message,
+            attempts,
+            updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+        if (attempts >= RECURRING_MAX_ATTEMPTS && currentSnap.get("nextRunDate") === runDate) {
+          transaction.update(templateRef, {
+            nextRunDate: null,
+            suspendedRunDate: runDate,
+            updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+      });
+      results.push({ templateId: templateRef.id, runDate, status: "FAILED", invoiceId: null, jobId: null, error: message });
+      break;
+    }
+
+    if (!invoice) {
+      // Another run already produced this period.
+      results.push({ templateId: templateRef.id, runDate, status: "SKIPPED", invoiceId: null, jobId: null, error: null });
+      break;
+    }
+
+    const entry = { templateId: templateRef.id, runDate, status: "CREATED", invoiceId: invoice.id, jobId: null, error: null };
+    if (template.autoEmit && template.autoEmit !== "NONE") {
+      // Emission failures are recorded on the run; the invoice itself stays issued.
+      try {
+        const invoiceRef = await prepareCpeEmission({ uid, businessId, invoiceId: invoice.id, env: template.autoEmit });
+        const job = await enqueueCpeJob({ uid, businessId, invoiceId: invoice.id, env: template.autoEmit, invoiceRef });
+        entry.jobId = job.id;
+      } catch (error) {
+        const status = Number(error?.status) || 500;
+        entry.error = status >= 500 ? "Server error" : error?.message || "Billing error";
+      }
+      await runRef.update({
+        jobId: entry.jobId,
+        emitError: entry.error,
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    results.push(entry);
+  }
+  return results;
+};
+
+const runRecurringTemplates = async (templateSnaps, untilDate) => {
+  const results = [];
+  const budget = { periods: RECURRING_RUN_MAX_PERIODS, deadline: Date.now() + RECURRING_RUN_BUDGET_MS, exhausted: false };
+  for (const templateSnap of templateSnaps) {
+    results.push(...(await runRecurringTemplate(templateSnap.ref, untilDate, budget)));
+    if (budget.exhausted) break;
+  }
+  return { results, truncated: budget.exhausted };
+};
+
+app.get("/health", (req, res) => {
+  res.json({ ok: true });
+});
+
+app.post("/chat", requireAuth, async (req, res) => {
+  const { messages, model } = req.body || {};
+  const key = process.env.OPENAI_API_KEY;
+
+  if (!key) {
+    return res.status(400).json({ error: "Missing OPENAI_API_KEY" });
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({ error: "Missing messages" });
+  }
+
+  try {
+    const response = await fetch("https://api.openai.com/v1/chat/completions", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${key}`,
+      },
+      body: JSON.stringify({
+        model: model || "gpt-4o-mini",
+        messages,
+        temperature: 0.3,
+      }),
+      signal: AbortSignal.timeout(actionTimeout),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return res.status(response.status).json({
+        error: data?.error?.message || "OpenAI error",
+      });
+    }
+
+    const reply = data?.choices?.[0]?.message?.content || "";
+    return res.status(200).json({ reply: reply.trim() });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/paypal/create-subscription", requireAuth, async (req, res) => {
+  try {
+    const { planCode } = req.body || {};
+    const planId = getPlanId(planCode);
+    if (!planCode || !planId) {
+      return res.status(400).json({ error: "Invalid plan" });
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const returnUrl = `${baseUrl}/dashboard/plan?paypal=success`;
+    const cancelUrl = `${baseUrl}/dashboard/plan?paypal=cancel`;
+
+    const accessToken = await getPaypalToken();
+    const response = await fetch(`${getPaypalBaseUrl()}/v1/billing/subscriptions`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        plan_id: planId,
+        custom_id: `${req.user.uid}:${planCode}`,
+        application_context: {
+          brand_name: "ContApp Peru",
+          locale: "es-PE",
+          user_action: "SUBSCRIBE_NOW",
+          return_url: returnUrl,
+          cancel_url: cancelUrl,
+        },
+      }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      return res.status(response.status).json({ error: data?.message || "PayPal error" });
+    }
+
+    const approval = data?.links?.find((link) => link.rel === "approve");
+    if (!approval?.href) {
+      return res.status(500).json({ error: "No approval link" });
+    }
+
+    const userRef = firestore.collection("users").doc(req.user.uid);
+    await userRef.set(
+      {
+        paypalSubscriptionId: data.id,
+        paypalPlanId: planId,
+        pendingPlan: planCode,
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    return res.status(200).json({ approvalUrl: approval.href, subscriptionId: data.id });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/paypal/webhook", async (req, res) => {
+  try {
+    const event = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    const ok = await verifyPaypalWebhook(req.headers, event);
+    if (!ok) {
+      return res.status(400).json({ error: "Webhook not verified" });
+    }
+
+    const type = event?.event_type || "";
+    const resource = event?.resource || {};
+    const subscriptionId = resource?.id;
+    const planId = resource?.plan_id;
+    const planCode = planFromId(planId);
+    const customId = resource?.custom_id || "";
+    const [customUid, customPlan] = customId.split(":");
+    const uid = customUid || customId || null;
+
+    let userRef = null;
+    if (uid) {
+      userRef = firestore.collection("users").doc(uid);
+    } else if (subscriptionId) {
+      const snap = await firestore
+        .collection("users")
+        .where("paypalSubscriptionId", "==", subscriptionId)
+        .limit(1)
+        .get();
+      if (!snap.empty) {
+        userRef = snap.docs[0].ref;
+      }
+    }
+
+    if (!userRef) {
+      return res.status(200).json({ ok: true, ignored: true });
+    }
+
+    const updates = {
+      paypalSubscriptionId: subscriptionId || null,
+      paypalPlanId: planId || null,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (type === "BILLING.SUBSCRIPTION.ACTIVATED") {
+      updates.status = "ACTIVE";
+      updates.plan = planCode || customPlan || "PRO";
+      updates.pendingPlan = firebaseAdmin.firestore.FieldValue.delete();
+    }
+
+    if (
+      type === "BILLING.SUBSCRIPTION.CANCELLED" ||
+      type === "BILLING.SUBSCRIPTION.SUSPENDED" ||
+      type === "BILLING.SUBSCRIPTION.EXPIRED" ||
+      type === "BILLING.SUBSCRIPTION.PAYMENT.FAILED"
+    ) {
+      updates.status = "SUSPENDED";
+      updates.pendingPlan = firebaseAdmin.firestore.FieldValue.delete();
+    }
+
+    if (type === "BILLING.SUBSCRIPTION.UPDATED") {
+      if (resource?.status === "ACTIVE") {
+        updates.status = "ACTIVE";
+        updates.plan = planCode || customPlan || "PRO";
+        updates.pendingPlan = firebaseAdmin.firestore.FieldValue.delete();
+      }
+    }
+
+    await userRef.set(updates, { merge: true });
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Webhook error" });
+  }
+});
+
+app.post("/billing/invoices", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const body = req.body || {};
+    const payload = await resolveInvoicePayload(uid, body);
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+
+    if (body.draft !== true && body.draft !== "true") {
+      const invoice = await firestore.runTransaction((transaction) =>
+        issueInvoiceInTransaction(transaction, { uid, businessRef, payload })
+      );
+      return res.status(201).json({ ok: true, invoice });
+    }
+
+    // Drafts get a random id and no number: series, notes and the mirror are only touched on issue.
+    const draftRef = businessRef.collection("invoices").doc();
+    const referenceRef = payload.referenceInvoiceId ? businessRef.collection("invoices").doc(payload.referenceInvoiceId) : null;
+    const invoice = await firestore.runTransaction(async (transaction) => {
+      const [businessSnap, referenceSnap] = await Promise.all([
+        transaction.get(businessRef),
+        referenceRef ? transaction.get(referenceRef) : Promise.resolve(null),
+      ]);
+      if (!businessSnap.exists) {
+        throw asApiError(404, "Business not found");
+      }
+
+      let data = payload;
+      if (referenceRef) {
+        if (!referenceSnap.exists) {
+          throw asApiError(404, "Referenced invoice not found");
+        }
+        data = applyNoteReference(payload, referenceRef.id, referenceSnap.data() || {});
+      }
+
+      const record = {
+        ...buildInvoiceFields(data),
+        paidAmount: 0,
+        balance: 0,
+        paymentStatus: "BORRADOR",
+        status: "BORRADOR",
+        source: "BACKEND",
+        comprobanteId: null,
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.set(draftRef, record);
+      return mapInvoiceDoc(draftRef.id, record);
+    });
+
+    return res.status(201).json({ ok: true, invoice });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.put("/billing/invoices/:invoiceId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+    const currentSnap = await invoiceRef.get();
+    if (!currentSnap.exists) {
+      throw asApiError(404, "Invoice not found");
+    }
+
+    // The document identity defaults to the stored one; only drafts may change it.
+    const current = currentSnap.data() || {};
+    const payload = await resolveInvoicePayload(uid, {
+      documentType: current.documentType,
+      serie: current.serie,
+      numero: current.numero,
+      referenceInvoiceId: current.referenceInvoiceId,
+      noteReasonCode: current.noteReasonCode,
+      noteReason: current.noteReason,
+      ...req.body,
+    });
+    const referenceRef = payload.referenceInvoiceId ? businessRef.collection("invoices").doc(payload.referenceInvoiceId) : null;
+
+    const invoice = await firestore.runTransaction(async (transaction) => {
+      const [invoiceSnap, referenceSnap] = await Promise.all([
+        transaction.get(invoiceRef),
+        referenceRef ? transaction.get(referenceRef) : Promise.resolve(null),
+      ]);
+      if (!invoiceSnap.exists) {
+        throw asApiError(404, "Invoice not found");
+      }
+
+      const raw = invoiceSnap.data() || {};
+      assertEditable(raw);
+      const draft = isDraft(raw);
+      if (
+        !draft &&
+        (payload.documentType !== raw.documentType ||
+          payload.serie !== raw.serie ||
+          payload.numero !== normalizeNumero(raw.numero) ||
+          (payload.referenceInvoiceId || null) !== (raw.referenceInvoiceId || null))
+      ) {
+        throw asApiError(400, "documentType, serie, numero and referenceInvoiceId cannot change once issued");
+      }
+
+      // An issued invoice keeps its stored numero, which may be a legacy zero-padded spelling.
+      // An issued note is checked against the referenced invoice without its own previous total.
+      let data = draft ? payload : { ...payload, numero: raw.numero };
+      let reference = null;
+      if (referenceRef) {
+        if (!referenceSnap.exists) {
+          throw asApiError(404, "Referenced invoice not found");
+        }
+        reference = referenceSnap.data() || {};
+        if (!draft) {
+          const adjustmentField = raw.documentType === "NOTA_CREDITO" ? "creditedAmount" : "debitedAmount";
+          reference = {
+            ...reference,
+            [adjustmentField]: round2(Number(reference[adjustmentField] || 0) - Number(raw.total || 0)),
+          };
+        }
+        data = applyNoteReference(data, referenceRef.id, reference);
+      }
+
+      const fields = buildInvoiceFields(data);
+      if (draft) {
+        const record = {
+          ...fields,
+          paidAmount: 0,
+          balance: 0,
+          paymentStatus: "BORRADOR",
+          status: "BORRADOR",
+          source: raw.source || "BACKEND",
+          comprobanteId: null,
+          createdBy: raw.createdBy || uid,
+          createdAt: raw.createdAt || firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        };
+        transaction.set(invoiceRef, record);
+        return mapInvoiceDoc(invoiceId, record);
+      }
+
+      const isNote = isNoteType(data.documentType);
+      // Only BETA results can be left at this point (see assertEditable); they no longer describe the document.
+      const clearedCpe = Object.fromEntries(
+        ["Status", "Code", "Description", "Error", "Ticket"].map((name) => [cpeField("BETA", name), null])
+      );
+      const updates = {
+        ...EMPTY_WITHHOLDING_FIELDS,
+        ...fields,
+        ...clearedCpe,
+        cpeHash: null,
+        balance: isNote ? 0 : invoiceReceivable({ ...raw, ...fields }),
+        paymentStatus: isNote ? "PAGADO" : "PENDIENTE",
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      if (isNote) {
+        applyNoteToReference(transaction, businessRef, referenceRef, reference, data.documentType, data.total);
+      }
+      updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, updates);
+      if (raw.comprobanteId) {
+        transaction.set(
+          businessRef.collection("comprobantes").doc(raw.comprobanteId),
+          {
+            ...buildComprobanteMirror(invoiceId, { ...raw, ...fields }),
+            updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+      }
+      return mapInvoiceDoc(invoiceId, { ...raw, ...updates });
+    });
+
+    return res.status(200).json({ ok: true, invoice });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/issue", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const draftId = String(req.params.invoiceId || "").trim();
+    if (!draftId) throw asApiError(400, "Missing invoiceId");
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const draftRef = businessRef.collection("invoices").doc(draftId);
+    const currentSnap = await draftRef.get();
+    if (!currentSnap.exists) {
+      throw asApiError(404, "Invoice not found");
+    }
+    const current = currentSnap.data() || {};
+    if (!isDraft(current)) {
+      throw asApiError(409, "Invoice is not a draft");
+    }
+    // Items, totals, dates and exchange rate are validated again as for a new invoice.
+    const payload = await withExchangeRate(parseInvoicePayload(draftToBody(businessId, current)));
+
+    // The issued invoice gets its deterministic id; the draft document is removed in the same transaction.
+    const invoice = await firestore.runTransaction(async (transaction) => {
+      const draftSnap = await transaction.get(draftRef);
+      if (!draftSnap.exists) {
+        throw asApiError(404, "Invoice not found");
+      }
+      const raw = draftSnap.data() || {};
+      if (!isDraft(raw)) {
+        throw asApiError(409, "Invoice is not a draft");
+      }
+      if (toIsoOrNull(raw.updatedAt) !== toIsoOrNull(current.updatedAt)) {
+        throw asApiError(409, "Draft changed while issuing; retry");
+      }
+
+      const issued = await issueInvoiceInTransaction(transaction, { uid, businessRef, payload });
+      transaction.delete(draftRef);
+      return issued;
+    });
+
+    return res.status(201).json({ ok: true, invoice, draftId });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.delete("/billing/invoices/:invoiceId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+    const invoiceRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("invoices")
+      .doc(invoiceId);
+
+    await firestore.runTransaction(async (transaction) => {
+      const invoiceSnap = await transaction.get(invoiceRef);
+      if (!invoiceSnap.exists) {
+        throw asApiError(404, "Invoice not found");
+      }
+      if (!isDraft(invoiceSnap.data())) {
+        throw asApiError(409, "Only drafts can be deleted; void issued invoices");
+      }
+      transaction.delete(invoiceRef);
+    });
+
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/invoices", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const documentType = String(req.query.documentType || "").trim().toUpperCase();
+    const paymentStatus = String(req.query.paymentStatus || "").trim().toUpperCase();
+    const invoiceStatus = String(req.query.status || "").trim().toUpperCase();
+    const requestedLimit = Number(req.query.limit || 100);
+    const limit = Number.isFinite(requestedLimit)
+      ? Math.min(300, Math.max(1, Math.floor(requestedLimit)))
+      : 100;
+
+    if (documentType && !BILLING_DOC_TYPES.has(documentType)) {
+      throw asApiError(400, "Invalid documentType");
+    }
+    if (paymentStatus && !BILLING_PAYMENT_STATUSES.has(paymentStatus)) {
+      throw asApiError(400, "Invalid paymentStatus");
+    }
+    if (invoiceStatus && !BILLING_INVOICE_STATUSES.has(invoiceStatus)) {
+      throw asApiError(400, "Invalid status");
+    }
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    const fetchLimit = limit * 3;
+    const snap = await businessRef.collection("invoices").orderBy("issueDate", "desc").limit(fetchLimit).get();
+    const invoices = snap.docs
+      .map((docSnap) => mapInvoiceDoc(docSnap.id, docSnap.data()))
+      .filter((invoice) => (documentType ? invoice.documentType === documentType : true))
+      .filter((invoice) => (paymentStatus ? invoice.paymentStatus === paymentStatus : true))
+      .filter((invoice) => (invoiceStatus ? invoice.status === invoiceStatus : true))
+      .slice(0, limit);
+
+    return res.status(200).json({ ok: true, invoices });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/invoices/:invoiceId/payments", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+    const invoiceRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("invoices")
+      .doc(invoiceId);
+
+    const invoiceSnap = await invoiceRef.get();
+    if (!invoiceSnap.exists) {
+      throw asApiError(404, "Invoice not found");
+    }
+
+    const method = String(req.query?.method || "").trim().toUpperCase();
+    if (method && !PAYMENT_METHODS.has(method)) {
+      throw asApiError(400, "Invalid method");
+    }
+
+    // Filtered in memory: an invoice has few payments and legacy ones have no stored method.
+    const paymentsSnap = await invoiceRef.collection("payments").orderBy("paymentDate", "desc").limit(500).get();
+    const payments = paymentsSnap.docs
+      .map((docSnap) => mapPaymentDoc(docSnap.id, docSnap.data()))
+      .filter((payment) => !method || payment.method === method);
+
+    return res.status(200).json({ ok: true, payments });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/payments", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const payload = parsePaymentPayload(req.body || {});
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const result = await firestore.runTransaction((transaction) =>
+      registerPaymentInTransaction(transaction, { uid, businessRef, invoiceId, payload })
+    );
+
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/payments/:paymentId/void", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    const paymentId = String(req.params.paymentId || "").trim();
+    if (!invoiceId || !paymentId) throw asApiError(400, "Missing invoiceId or paymentId");
+    const payload = parsePaymentReversalPayload(req.body || {});
+
+    const result = await reverseInvoicePayment({ uid, invoiceId, paymentId, payload, mode: "VOID" });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.delete("/billing/invoices/:invoiceId/payments/:paymentId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    const paymentId = String(req.params.paymentId || "").trim();
+    if (!invoiceId || !paymentId) throw asApiError(400, "Missing invoiceId or paymentId");
+    // DELETE bodies are not always forwarded by proxies, so query values are accepted too.
+    const payload = parsePaymentReversalPayload({ ...req.query, ...(req.body || {}) });
+
+    const result = await reverseInvoicePayment({ uid, invoiceId, paymentId, payload, mode: "DELETE" });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/mark-paid", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+    const note = String(req.body?.note || "").trim() || "Pago total";
+    const method = String(req.body?.method || "OTRO").trim().toUpperCase();
+    if (!PAYMENT_METHODS.has(method) || method === "DETRACCION") {
+      throw asApiError(400, "Invalid method");
+    }
+
+    const paymentDate = parseDateInput(req.body?.paymentDate);
+    if (req.body?.paymentDate && !paymentDate) {
+      throw asApiError(400, "Invalid paymentDate");
+    }
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+
+    const result = await firestore.runTransaction(async (transaction) => {
+      const invoiceSnap = await transaction.get(invoiceRef);
+      if (!invoiceSnap.exists) {
+        throw asApiError(404, "Invoice not found");
+      }
+
+      const raw = invoiceSnap.data() || {};
+      if (isNoteType(raw.documentType)) {
+        throw asApiError(400, "Payments are not allowed on notes");
+      }
+      if (isVoided(raw)) {
+        throw asApiError(409, "Invoice is voided");
+      }
+      if (isVoidPending(raw)) {
+        throw asApiError(409, "Invoice has an annulment pending");
+      }
+      if (isDraft(raw)) {
+        throw asApiError(409, "Invoice is a draft");
+      }
+
+      const { paidAmount, balance, pending } = invoiceSettlement(raw);
+
+      if (balance <= DECIMAL_EPSILON) {
+        updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, {
+          balance: 0,
+          paymentStatus: "PAGADO",
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+        return {
+          paymentId: null,
+          paymentIds: [],
+          paidAmount,
+          balance: 0,
+          paymentStatus: "PAGADO",
+        };
+      }
+
+      // Settles each pending part with its own payment kind so detraccion/retencion stay traceable.
+      const updates = {};
+      const paymentIds = [];
+      const batchId = crypto.randomUUID();
+      Object.entries(pending).forEach(([kind, amount]) => {
+        if (amount <= DECIMAL_EPSILON) return;
+
+        const paymentRef = invoiceRef.collection("payments").doc();
+        const kindField = PAYMENT_KIND_FIELDS[kind];
+        transaction.set(paymentRef, {
+          amount,
+          kind,
+          currency: raw.currency || BASE_CURRENCY,
+          exchangeRate: Number(raw.exchangeRate || 1),
+          appliedAmount: amount,
+          paymentDate: paymentDate
+            ? firebaseAdmin.firestore.Timestamp.fromDate(paymentDate)
+            : firebaseAdmin.firestore.Timestamp.now(),
+          note,
+          method: kind === "DETRACCION" ? "DETRACCION" : kind === "COBRO" ? method : "OTRO",
+          status: "ACTIVO",
+          source: "MARK_PAID",
+          batchId,
+          createdBy: uid,
+          createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+        updates[kindField] = round2(
+          Number(raw[kindField] ?? (kindField === "collectedAmount" ? paidAmount : 0)) + amount
+        );
+        paymentIds.push(paymentRef.id);
+      });
+
+      const nextPaidAmount = round2(paidAmount + balance);
+      updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, {
+        ...updates,
+        paidAmount: nextPaidAmount,
+        balance: 0,
+        paymentStatus: "PAGADO",
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return {
+        paymentId: paymentIds[0] || null,
+        paymentIds,
+        paidAmount: nextPaidAmount,
+        balance: 0,
+        paymentStatus: "PAGADO",
+      };
+    });
+
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/emit-cpe-bulk", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const payload = parseBulkEmitPayload(req.body || {});
+    const authHeader = String(req.headers.authorization || "").trim();
+    if (!authHeader) throw asApiError(401, "Missing auth token");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const invoicesRef = businessRef.collection("invoices");
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    let snaps = [];
+    let truncated = false;
+    if (payload.invoiceIds) {
+      snaps = await firestore.getAll(...payload.invoiceIds.map((invoiceId) => invoicesRef.doc(invoiceId)));
+    } else {
+      const pending = [];
+      let last = null;
+      for (let pageIndex = 0; pending.length <= BULK_EMIT_LIMIT; pageIndex += 1) {
+        if (pageIndex === BULK_EMIT_SCAN_PAGES) {
+          truncated = true;
+          break;
+        }
+        let query = invoicesRef
+          .where("issueDate", ">=", firebaseAdmin.firestore.Timestamp.fromDate(payload.from))
+          .where("issueDate", "<=", firebaseAdmin.firestore.Timestamp.fromDate(payload.to))
+          .orderBy("issueDate", "asc")
+          .limit(BULK_EMIT_LIMIT);
+        if (last) query = query.startAfter(last);
+        const page = await query.get();
+        pending.push(
+          ...page.docs.filter(
+            (docSnap) => docSnap.get("cpeStatus") !== "ACEPTADO" && !isVoided(docSnap.data()) && !isDraft(docSnap.data())
+          )
+        );
+        if (page.docs.length < BULK_EMIT_LIMIT) break;
+        last = page.docs[page.docs.length - 1];
+      }
+      truncated = truncated || pending.length > BULK_EMIT_LIMIT;
+      snaps = pending.slice(0, BULK_EMIT_LIMIT);
+    }
+
+    const missing = snaps
+      .filter((snap) => !snap.exists)
+      .map((snap) => ({ invoiceId: snap.id, result: "OMITIDO", stage: null, reason: "Invoice not found", jobId: null }));
+    const existing = snaps.filter((snap) => snap.exists);
+
+    // Notes go after the documents they adjust, which must be accepted first. Invoices not started
+    // within the budget are left for a later call.
+    const deadline = Date.now() + BULK_EMIT_BUDGET_MS;
+    const emit = (invoiceSnap) =>
+      Date.now() > deadline
+        ? {
+            invoiceId: invoiceSnap.id,
+            documentType: invoiceSnap.get("documentType") || "",
+            serie: invoiceSnap.get("serie") || "",
+            numero: invoiceSnap.get("numero") || "",
+            result: "OMITIDO",
+            stage: null,
+            reason: "Bulk time budget exceeded",
+            jobId: null,
+          }
+        : bulkEmitInvoice({ uid, businessId: payload.businessId, authHeader, invoiceSnap });
+    const documents = await mapWithConcurrency(
+      existing.filter((snap) => !isNoteType(snap.get("documentType"))),
+      BULK_EMIT_CONCURRENCY,
+      emit
+    );
+    const notes = await mapWithConcurrency(
+      existing.filter((snap) => isNoteType(snap.get("documentType"))),
+      BULK_EMIT_CONCURRENCY,
+      emit
+    );
+
+    const results = [...documents, ...notes, ...missing];
+    const count = (result) => results.filter((entry) => entry.result === result).length;
+
+    return res.status(200).json({
+      ok: true,
+      total: results.length,
+      accepted: count("ACEPTADO"),
+      rejected: count("RECHAZADO"),
+      skipped: count("OMITIDO"),
+      pending: count("PENDIENTE"),
+      failed: count("ERROR"),
+      truncated: truncated || results.some((entry) => entry.reason === "Bulk time budget exceeded"),
+      results,
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+// Emission is queued and answered with 202; the job reports progress through the invoice cpeStatus.
+const queueCpeEmission = async (req, env) => {
+  const uid = req.user.uid;
+  const invoiceId = String(req.params.invoiceId || "").trim();
+  if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+  const businessId = String(req.body?.businessId || "").trim();
+  if (!businessId) throw asApiError(400, "Missing businessId");
+
+  const authHeader = String(req.headers.authorization || "").trim();
+  if (!authHeader) throw asApiError(401, "Missing auth token");
+
+  const invoiceRef = await prepareCpeEmission({ uid, businessId, invoiceId, env });
+  const job = await enqueueCpeJob({ uid, businessId, invoiceId, env, invoiceRef });
+
+  // First attempt runs within the request with the caller's token and a short budget; a timeout
+  // leaves the job queued for the scheduler. The job and invoice read below carry any failure.
+  if (job.status === "QUEUED" && job.attempts === 0) {
+    await processCpeJob(job.id, authHeader, CPE_FIRST_ATTEMPT_TIMEOUT_MS).catch(() => null);
+  }
+
+  const [jobSnap, invoiceSnap] = await Promise.all([firestore.collection("cpe_jobs").doc(job.id).get(), invoiceRef.get()]);
+  return {
+    job: mapCpeJobDoc(jobSnap.id, jobSnap.data() || {}),
+    invoice: mapInvoiceDoc(invoiceSnap.id, invoiceSnap.data() || {}),
+  };
+};
+
+app.get("/billing/purchases", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const period = String(req.query.period || "").trim();
+    const creditPeriod = String(req.query.creditPeriod || "").trim();
+    const supplierRuc = String(req.query.supplierRuc || "").trim();
+    const documentType = String(req.query.documentType || "").trim().toUpperCase();
+    const paymentStatus = String(req.query.paymentStatus || "").trim().toUpperCase();
+    const requestedLimit = Number(req.query.limit || 100);
+    const limit = Number.isFinite(requestedLimit) ? Math.min(500, Math.max(1, Math.floor(requestedLimit))) : 100;
+    const cursor = String(req.query.cursor || "").trim();
+
+    if (period && !/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      throw asApiError(400, "period must be YYYY-MM");
+    }
+    if (creditPeriod && !/^\d{4}-(0[1-9]|1[0-2])$/.test(creditPeriod)) {
+      throw asApiError(400, "creditPeriod must be YYYY-MM");
+    }
+    if (documentType && !BILLING_DOC_TYPES.has(documentType)) {
+      throw asApiError(400, "Invalid documentType");
+    }
+    if (paymentStatus && !BILLING_PAYMENT_STATUSES.has(paymentStatus)) {
+      throw asApiError(400, "Invalid paymentStatus");
+    }
+
+    const purchasesRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("purchases");
+    let query = purchasesRef.orderBy("issueDate", "desc");
+    if (creditPeriod) {
+      query = purchasesRef.where("creditPeriod", "==", creditPeriod).orderBy("issueDate", "desc");
+    } else if (period) {
+      const [year, month] = period.split("-").map(Number);
+      query = purchasesRef
+        .where("issueDate", ">=", firebaseAdmin.firestore.Timestamp.fromDate(new Date(Date.UTC(year, month - 1, 1))))
+        .where("issueDate", "<", firebaseAdmin.firestore.Timestamp.fromDate(new Date(Date.UTC(year, month, 1))))
+        .orderBy("issueDate", "desc");
+    }
+    if (cursor) {
+      const cursorSnap = await purchasesRef.doc(cursor).get();
+      if (!cursorSnap.exists) throw asApiError(400, "Invalid cursor");
+      query = query.startAfter(cursorSnap);
+    }
+
+    // paymentStatus turns VENCIDO at read time, so the filters run in memory over pages of the query;
+    // `nextCursor` resumes after the last purchase read when the page filled up or the scan stopped.
+    const matches = (purchase) =>
+      (!supplierRuc || purchase.supplierRuc === supplierRuc) &&
+      (!documentType || purchase.documentType === documentType) &&
+      (!paymentStatus || purchase.paymentStatus === paymentStatus);
+    const purchases = [];
+    let lastSnap = null;
+    let exhausted = false;
+    for (let page = 0; page < PURCHASE_LIST_SCAN_PAGES && purchases.length < limit; page += 1) {
+      const snap = await (lastSnap ? query.startAfter(lastSnap) : query).limit(limit).get();
+      let read = 0;
+      while (read < snap.size && purchases.length < limit) {
+        const docSnap = snap.docs[read];
+        const purchase = mapPurchaseDoc(docSnap.id, docSnap.data());
+        if (matches(purchase)) purchases.push(purchase);
+        read += 1;
+      }
+      if (read > 0) lastSnap = snap.docs[read - 1];
+      if (snap.size < limit && read === snap.size) {
+        exhausted = true;
+        break;
+      }
+    }
+    const nextCursor = exhausted || !lastSnap ? null : lastSnap.id;
+
+    const signed = (purchase, value) => (purchase.documentType === "NOTA_CREDITO" ? -value : value);
+    const totals = {
+      totalPen: round2(purchases.reduce((sum, purchase) => sum + signed(purchase, purchase.totalPen), 0)),
+      igvPen: round2(purchases.reduce((sum, purchase) => sum + signed(purchase, purchase.igvPen), 0)),
+      igvCreditPen: round2(purchases.reduce((sum, purchase) => sum + signed(purchase, purchase.igvCreditPen), 0)),
+    };
+
+    return res.status(200).json({ ok: true, purchases, totals, nextCursor });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/purchases/:purchaseId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const purchaseId = String(req.params.purchaseId || "").trim();
+    if (!purchaseId) throw asApiError(400, "Missing purchaseId");
+
+    const { purchaseRef } = purchaseRefs(uid, businessId, purchaseId);
+    const purchaseSnap = await purchaseRef.get();
+    if (!purchaseSnap.exists) {
+      throw asApiError(404, "Purchase not found");
+    }
+
+    return res.status(200).json({ ok: true, purchase: mapPurchaseDoc(purchaseSnap.id, purchaseSnap.data()) });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/purchases", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const payload = await resolvePurchasePayload(parsePurchasePayload(req.body || {}));
+
+    const purchaseId = buildPurchaseId(payload.supplierRuc, payload.documentType, payload.serie, payload.numero);
+    const { businessRef, purchaseRef } = purchaseRefs(uid, payload.businessId, purchaseId);
+    const referenceRef = payload.referencePurchaseId ? businessRef.collection("purchases").doc(payload.referencePurchaseId) : null;
+    const comprobanteRef = businessRef.collection("comprobantes").doc();
+
+    const purchase = await firestore.runTransaction(async (transaction) => {
+      const [businessSnap, purchaseSnap, referenceSnap] = await Promise.all([
+        transaction.get(businessRef),
+        transaction.get(purchaseRef),
+        referenceRef ? transaction.get(referenceRef) : Promise.resolve(null),
+      ]);
+      if (!businessSnap.exists) {
+        throw asApiError(404, "Business not found");
+      }
+      if (purchaseSnap.exists) {
+        throw asApiError(409, "Purchase already registered");
+      }
+
+      const fields = buildPurchaseFields(payload);
+      const isNote = isNoteType(payload.documentType);
+      const referenceUpdate = isNote
+        ? applyPurchaseNote(referenceSnap?.exists ? referenceSnap.data() : null, fields, payload.total)
+        : null;
+
+      const record = {
+        ...fields,
+        creditedAmount: 0,
+        debitedAmount: 0,
+        paidAmount: 0,
+        balance: isNote ? 0 : purchasePayable(fields),
+        paymentStatus: isNote ? null : "PENDIENTE",
+        comprobanteId: comprobanteRef.id,
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.set(purchaseRef, record);
+      if (referenceUpdate) {
+        transaction.update(referenceRef, referenceUpdate);
+      }
+      transaction.set(comprobanteRef, {
+        ...buildPurchaseMirror(purchaseId, fields),
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return mapPurchaseDoc(purchaseId, { ...record, createdAt: new Date(), updatedAt: new Date() });
+    });
+
+    return res.status(201).json({ ok: true, purchase });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.put("/billing/purchases/:purchaseId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const purchaseId = String(req.params.purchaseId || "").trim();
+    if (!purchaseId) throw asApiError(400, "Missing purchaseId");
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+
+    const { businessRef, purchaseRef } = purchaseRefs(uid, businessId, purchaseId);
+    const currentSnap = await purchaseRef.get();
+    if (!currentSnap.exists) {
+      throw asApiError(404, "Purchase not found");
+    }
+
+    // The id is derived from these fields, so changing them means registering another document.
+    const current = currentSnap.data() || {};
+    const identity = {
+      documentType: current.documentType,
+      serie: current.serie,
+      numero: current.numero,
+      supplierRuc: current.supplierRuc,
+      referencePurchaseId: current.referencePurchaseId || null,
+    };
+    const body = { ...identity, ...(req.body || {}) };
+    const payload = await resolvePurchasePayload(parsePurchasePayload(body));
+    if (Object.keys(identity).some((field) => String(payload[field] ?? "") !== String(identity[field] ?? ""))) {
+      throw asApiError(400, "documentType, serie, numero, supplierRuc and referencePurchaseId cannot change");
+    }
+    const referenceRef = payload.referencePurchaseId ? businessRef.collection("purchases").doc(payload.referencePurchaseId) : null;
+
+    const purchase = await firestore.runTransaction(async (transaction) => {
+      const [purchaseSnap, referenceSnap] = await Promise.all([
+        transaction.get(purchaseRef),
+        referenceRef ? transaction.get(referenceRef) : Promise.resolve(null),
+      ]);
+      if (!purchaseSnap.exists) {
+        throw asApiError(404, "Purchase not found");
+      }
+      const raw = purchaseSnap.data() || {};
+      assertPurchaseEditable(raw);
+
+      const fields = buildPurchaseFields(payload);
+      const isNote = isNoteType(payload.documentType);
+      const referenceUpdate = isNote
+        ? applyPurchaseNote(referenceSnap?.exists ? referenceSnap.data() : null, fields, round2(payload.total - Number(raw.total || 0)))
+        : null;
+
+      const updates = {
+        ...fields,
+        balance: isNote ? 0 : purchasePayable(fields),
+        paymentStatus: isNote ? null : "PENDIENTE",
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.update(purchaseRef, updates);
+      if (referenceUpdate) {
+        transaction.update(referenceRef, referenceUpdate);
+      }
+      if (raw.comprobanteId) {
+        transaction.set(
+          businessRef.collection("comprobantes").doc(raw.comprobanteId),
+          { ...buildPurchaseMirror(purchaseId, fields), updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() },
+          { merge: true }
+        );
+      }
+
+      return mapPurchaseDoc(purchaseId, { ...raw, ...updates, updatedAt: new Date() });
+    });
+
+    return res.status(200).json({ ok: true, purchase });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.delete("/billing/purchases/:purchaseId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const purchaseId = String(req.params.purchaseId || "").trim();
+    if (!purchaseId) throw asApiError(400, "Missing purchaseId");
+
+    const { businessRef, purchaseRef } = purchaseRefs(uid, businessId, purchaseId);
+    await firestore.runTransaction(async (transaction) => {
+      const [purchaseSnap, paymentsSnap] = await Promise.all([
+        transaction.get(purchaseRef),
+        transaction.get(purchaseRef.collection("payments")),
+      ]);
+      if (!purchaseSnap.exists) {
+        throw asApiError(404, "Purchase not found");
+      }
+      const raw = purchaseSnap.data() || {};
+      assertPurchaseEditable(raw);
+
+      const referenceRef = raw.referencePurchaseId ? businessRef.collection("purchases").doc(raw.referencePurchaseId) : null;
+      const referenceSnap = referenceRef ? await transaction.get(referenceRef) : null;
+      if (referenceSnap?.exists) {
+        transaction.update(referenceRef, applyPurchaseNote(referenceSnap.data(), raw, -Number(raw.total || 0)));
+      }
+
+      // Only voided payments can remain here (paidAmount is zero); they go with the purchase.
+      paymentsSnap.docs.forEach((docSnap) => transaction.delete(docSnap.ref));
+      if (raw.comprobanteId) {
+        transaction.delete(businessRef.collection("comprobantes").doc(raw.comprobanteId));
+      }
+      transaction.delete(purchaseRef);
+    });
+
+    return res.status(200).json({ ok: true, purchaseId });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/purchases/:purchaseId/payments", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const purchaseId = String(req.params.purchaseId || "").trim();
+    if (!purchaseId) throw asApiError(400, "Missing purchaseId");
+
+    const { purchaseRef } = purchaseRefs(uid, businessId, purchaseId);
+    const purchaseSnap = await purchaseRef.get();
+    if (!purchaseSnap.exists) {
+      throw asApiError(404, "Purchase not found");
+    }
+
+    const paymentsSnap = await purchaseRef.collection("payments").orderBy("paymentDate", "desc").limit(500).get();
+    const payments = paymentsSnap.docs.map((docSnap) => mapSupplierPaymentDoc(docSnap.id, docSnap.data()));
+
+    return res.status(200).json({ ok: true, payments });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/purchases/:purchaseId/payments", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const purchaseId = String(req.params.purchaseId || "").trim();
+    if (!purchaseId) throw asApiError(400, "Missing purchaseId");
+    const payload = parseSupplierPaymentPayload(req.body || {});
+
+    const { businessRef, purchaseRef } = purchaseRefs(uid, payload.businessId, purchaseId);
+    // Outgoing transfers are reserved apart from customer payments, keyed the same way.
+    const operationRef = payload.operationNumber
+      ? businessRef
+          .collection("supplier_payment_operations")
+          .doc(buildPaymentOperationId(payload.operationNumber, payload.bankAccount))
+      : null;
+    const result = await firestore.runTransaction(async (transaction) => {
+      const [purchaseSnap, operationSnap] = await Promise.all([
+        transaction.get(purchaseRef),
+        operationRef ? transaction.get(operationRef) : Promise.resolve(null),
+      ]);
+      if (!purchaseSnap.exists) {
+        throw asApiError(404, "Purchase not found");
+      }
+      if (isOperationReserved(operationSnap)) {
+        const existing = operationSnap.data() || {};
+        throw asApiError(
+          409,
+          `Operation number already registered (purchase ${existing.purchaseNumber || existing.purchaseId || "unknown"})`
+        );
+      }
+      const raw = purchaseSnap.data() || {};
+      if (isNoteType(raw.documentType)) {
+        throw asApiError(400, "Payments are not allowed on notes");
+      }
+
+      const paidAmount = round2(raw.paidAmount || 0);
+      const balance = round2(Math.max(0, purchasePayable(raw) - paidAmount));
+      const { paymentCurrency, paymentDate, exchangeRate, appliedAmount } = await convertPaymentAmount(raw, payload, balance);
+      if (appliedAmount > balance + DECIMAL_EPSILON) {
+        throw asApiError(400, "Amount exceeds balance");
+      }
+
+      const nextPaidAmount = round2(paidAmount + appliedAmount);
+      const nextBalance = round2(Math.max(0, purchasePayable(raw) - nextPaidAmount));
+      const nextStatus = resolvePaymentStatus(nextPaidAmount, nextBalance);
+      const paymentRef = purchaseRef.collection("payments").doc();
+      transaction.set(paymentRef, {
+        amount: payload.amount,
+        currency: paymentCurrency,
+        exchangeRate,
+        appliedAmount,
+        paymentDate: firebaseAdmin.firestore.Timestamp.fromDate(paymentDate),
+        note: payload.note,
+        method: payload.method,
+        bankAccount: payload.bankAccount,
+        operationNumber: payload.operationNumber,
+        attachmentRef: payload.attachmentRef,
+        status: "ACTIVO",
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (operationRef) {
+        transaction.set(operationRef, {
+          method: payload.method,
+          bankAccount: payload.bankAccount,
+          operationNumber: payload.operationNumber,
+          status: "ACTIVO",
+          purchaseId,
+          purchaseNumber: raw.serie && raw.numero ? `${raw.serie}-${raw.numero}` : "",
+          paymentId: paymentRef.id,
+          createdBy: uid,
+          createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      transaction.update(purchaseRef, {
+        paidAmount: nextPaidAmount,
+        balance: nextBalance,
+        paymentStatus: nextStatus,
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { paymentId: paymentRef.id, appliedAmount, paidAmount: nextPaidAmount, balance: nextBalance, paymentStatus: nextStatus };
+    });
+
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/purchases/:purchaseId/payments/:paymentId/void", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const purchaseId = String(req.params.purchaseId || "").trim();
+    const paymentId = String(req.params.paymentId || "").trim();
+    if (!purchaseId || !paymentId) throw asApiError(400, "Missing purchaseId or paymentId");
+    const payload = parsePaymentReversalPayload(req.body || {});
+
+    const { businessRef, purchaseRef } = purchaseRefs(uid, payload.businessId, purchaseId);
+    const result = await firestore.runTransaction(async (transaction) => {
+      const [purchaseSnap, paymentsSnap] = await Promise.all([
+        transaction.get(purchaseRef),
+        transaction.get(purchaseRef.collection("payments")),
+      ]);
+      if (!purchaseSnap.exists) {
+        throw asApiError(404, "Purchase not found");
+      }
+      const target = paymentsSnap.docs.find((docSnap) => docSnap.id === paymentId);
+      if (!target) {
+        throw asApiError(404, "Payment not found");
+      }
+      if (target.get("status") === "ANULADO") {
+        throw asApiError(409, "Payment is already voided");
+      }
+
+      const raw = purchaseSnap.data() || {};
+      const paidAmount = round2(
+        paymentsSnap.docs
+          .filter((docSnap) => docSnap.id !== paymentId && docSnap.get("status") !== "ANULADO")
+          .reduce((sum, docSnap) => sum + Number(docSnap.get("appliedAmount") ?? docSnap.get("amount") ?? 0), 0)
+      );
+      const balance = round2(Math.max(0, purchasePayable(raw) - paidAmount));
+      const paymentStatus = resolvePaymentStatus(paidAmount, balance);
+
+      const audit = {
+        status: "ANULADO",
+        voidReason: payload.reason,
+        voidedBy: uid,
+        voidedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.update(target.ref, audit);
+      // Frees the operation number so the payment can be registered again with the right data.
+      if (target.get("operationNumber")) {
+        transaction.set(
+          businessRef
+            .collection("supplier_payment_operations")
+            .doc(buildPaymentOperationId(target.get("operationNumber"), target.get("bankAccount"))),
+          audit,
+          { merge: true }
+        );
+      }
+      transaction.update(purchaseRef, {
+        paidAmount,
+        balance,
+        paymentStatus,
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { paymentIds: [paymentId], paidAmount, balance, paymentStatus };
+    });
+
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/summary", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const range = parseDashboardQuery(req.query);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const [snap, open] = await Promise.all([
+      businessRef.collection("invoice_stats").where("date", ">=", range.from).where("date", "<=", range.to).get(),
+      queryOpenInvoices(businessRef, RECEIVABLES_INVOICE_LIMIT),
+    ]);
+    const overdue = summarizeOverdueInvoices(
+      open.invoices.map(({ raw }) => raw),
+      { ...range, today: limaToday() }
+    );
+    const { totals, series } = buildDashboardSummary(snap.docs.map((docSnap) => docSnap.data() || {}), range, overdue);
+
+    return res
+      .status(200)
+      .json({ ok: true, ...range, currency: BASE_CURRENCY, totals, series, overdueTruncated: open.truncated });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+// Recomputes invoice_stats from the invoices, for data stored before the aggregates existed or after a
+// manual fix. Each day is replaced in its own transaction that reads the day's invoices and stats doc,
+// so invoice writes running meanwhile either land before it or retry after it.
+app.post("/billing/summary/rebuild", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    // Days to rebuild: those with invoices plus those that have a stats doc, read page by page.
+    const invoicesRef = businessRef.collection("invoices");
+    const statsRef = businessRef.collection("invoice_stats");
+    const dates = new Set();
+    for (const [collectionRef, toDate] of [
+      [invoicesRef, (docSnap) => toIsoOrNull(docSnap.get("issueDate"))?.slice(0, 10)],
+      [statsRef, (docSnap) => docSnap.id],
+    ]) {
+      let last = null;
+      for (;;) {
+        let query = collectionRef
+          .orderBy(firebaseAdmin.firestore.FieldPath.documentId())
+          .select("issueDate")
+          .limit(INVOICE_STATS_REBUILD_PAGE);
+        if (last) query = query.startAfter(last);
+        const page = await query.get();
+        page.docs.forEach((docSnap) => {
+          const date = toDate(docSnap);
+          if (date) dates.add(date);
+        });
+        if (page.docs.length < INVOICE_STATS_REBUILD_PAGE) break;
+        last = page.docs[page.docs.length - 1];
+      }
+    }
+
+    let invoiceCount = 0;
+    let dayCount = 0;
+    let removedCount = 0;
+    for (const date of [...dates].sort()) {
+      const dayStart = new Date(`${date}T00:00:00.000Z`);
+      const dayQuery = invoicesRef
+        .where("issueDate", ">=", firebaseAdmin.firestore.Timestamp.fromDate(dayStart))
+        .where("issueDate", "<", firebaseAdmin.firestore.Timestamp.fromMillis(dayStart.getTime() + 86400000));
+      const day = await firestore.runTransaction(async (transaction) => {
+        const [daySnap, statsSnap] = await Promise.all([transaction.get(dayQuery), transaction.get(statsRef.doc(date))]);
+        const entries = daySnap.docs.map((docSnap) => invoiceStatsContribution(docSnap.data())).filter(Boolean);
+        if (!entries.length) {
+          if (statsSnap.exists) transaction.delete(statsSnap.ref);
+          return { invoices: 0, removed: statsSnap.exists };
+        }
+        const stats = entries.reduce((sum, entry) => sumInvoiceStats(sum, entry.stats), {});
+        transaction.set(statsRef.doc(date), {
+          date,
+          ...nestInvoiceStats(stats, (value) => value),
+          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+          rebuiltAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { invoices: entries.length };
+      });
+      invoiceCount += day.invoices;
+      if (day.invoices) dayCount += 1;
+      if (day.removed) removedCount += 1;
+    }
+
+    return res.status(200).json({ ok: true, invoiceCount, dayCount, removedCount });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/receivables", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const asOf = String(req.query.asOf || "").trim() || limaToday();
+    if (!isDateKey(asOf)) {
+      throw asApiError(400, "asOf must be YYYY-MM-DD");
+    }
+    // Balances are the stored current ones, so a past asOf would age amounts paid since then.
+    if (asOf < limaToday()) {
+      throw asApiError(400, "asOf cannot be in the past");
+    }
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    const { invoices: openInvoices, truncated } = await queryOpenInvoices(businessRef, RECEIVABLES_INVOICE_LIMIT);
+    const report = buildReceivablesReport(openInvoices, asOf);
+
+    return res.status(200).json({ ok: true, asOf, truncated, ...report });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/receivables/:customerDocumentNumber/statement", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const customerDocumentNumber = String(req.params.customerDocumentNumber || "").trim();
+    if (!customerDocumentNumber) throw asApiError(400, "Missing customerDocumentNumber");
+    const query = parseStatementQuery(req.query);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const invoicesSnap = await businessRef
+      .collection("invoices")
+      .where("customerDocumentNumber", "==", customerDocumentNumber)
+      .limit(STATEMENT_INVOICE_LIMIT)
+      .get();
+    const documents = invoicesSnap.docs
+      .map((docSnap) => ({ id: docSnap.id, raw: docSnap.data() || {} }))
+      .filter(({ raw }) => !isVoided(raw) && !isDraft(raw));
+    if (!documents.length) {
+      throw asApiError(404, "Customer has no invoices");
+    }
+
+    const currencies = [...new Set(documents.map(({ raw }) => raw.currency || BASE_CURRENCY))];
+    if (!query.currency && currencies.length > 1) {
+      throw asApiError(400, "Customer has invoices in several currencies; pass currency");
+    }
+    const currency = query.currency || currencies[0];
+    const selected = documents.filter(({ raw }) => (raw.currency || BASE_CURRENCY) === currency);
+
+    const withPayments = await Promise.all(
+      selected.map(async ({ id, raw }) => {
+        if (isNoteType(raw.documentType)) return { id, raw, payments: [] };
+        const paymentsSnap = await businessRef.collection("invoices").doc(id).collection("payments").get();
+        return { id, raw, payments: paymentsSnap.docs.map((docSnap) => mapPaymentDoc(docSnap.id, docSnap.data())) };
+      })
+    );
+
+    const latest = [...selected].sort((a, b) => (toIsoOrNull(b.raw.issueDate) || "").localeCompare(toIsoOrNull(a.raw.issueDate) || ""))[0];
+    const statement = {
+      customer: {
+        documentType: latest?.raw.customerDocumentType || "",
+        documentNumber: customerDocumentNumber,
+        name: latest?.raw.customerName || "",
       },
-      body: JSON.stringify({
-        plan_id: planId,
-        custom_id: `${req.user.uid}:${planCode}`,
-        application_context: {
-          brand_name: "ContApp Peru",
-          locale: "es-PE",
-          user_action: "SUBSCRIBE_NOW",
-          return_url: returnUrl,
-          cancel_url: cancelUrl,
-        },
-      }),
+      currency,
+      from: query.from,
+      to: query.to,
+      ...buildCustomerStatement(withPayments, query),
+    };
+
+    if (query.format === "CSV") {
+      const filename = `estado-cuenta-${customerDocumentNumber}-${currency}-${query.to}.csv`;
+      const csv = buildStatementCsv(statement);
+      if (req.query.download === "true") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        return res.status(200).send(csv);
+      }
+      return res.status(200).json({ ok: true, filename, csv });
+    }
+
+    return res.status(200).json({ ok: true, ...statement });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/ple/ventas", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const period = String(req.query.period || "").trim().replace("-", "");
+    if (!/^\d{4}(0[1-9]|1[0-2])$/.test(period)) {
+      throw asApiError(400, "period must be YYYY-MM");
+    }
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+    const ruc = String(businessSnap.get("ruc") || "").trim();
+    if (!/^\d{11}$/.test(ruc)) {
+      throw asApiError(400, "Business RUC is required");
+    }
+
+    const year = Number(period.slice(0, 4));
+    const month = Number(period.slice(4));
+    const periodStart = new Date(Date.UTC(year, month - 1, 1));
+    const periodEnd = new Date(Date.UTC(year, month, 1));
+    const snap = await businessRef
+      .collection("invoices")
+      .where("issueDate", ">=", firebaseAdmin.firestore.Timestamp.fromDate(periodStart))
+      .where("issueDate", "<", firebaseAdmin.firestore.Timestamp.fromDate(periodEnd))
+      .get();
+
+    // Drafts never reached SUNAT and rejected comprobantes do not exist for it; anulados stay with state 2.
+    const entries = snap.docs
+      .map((docSnap) => mapInvoiceDoc(docSnap.id, docSnap.data()))
+      .filter((invoice) => invoice.status !== "BORRADOR" && invoice.cpeStatus !== "RECHAZADO")
+      .map((invoice) => ({
+        invoice,
+        typeCode: docTypeCode(invoice.documentType),
+        referenceTypeCode: docTypeCode(invoice.referenceDocumentType),
+      }))
+      .filter((entry) => entry.typeCode)
+      .sort(
+        (a, b) =>
+          a.typeCode.localeCompare(b.typeCode) ||
+          a.invoice.serie.localeCompare(b.invoice.serie) ||
+          a.invoice.numero.localeCompare(b.invoice.numero, undefined, { numeric: true })
+      );
+
+    const txt = buildPleVentasTxt(period, entries);
+    const filename = buildPleVentasFilename(ruc, period, entries.length > 0);
+
+    if (req.query.download === "true") {
+      res.setHeader("Content-Type", "text/plain; charset=ISO-8859-1");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.status(200).send(encodePleText(txt));
+    }
+
+    return res.status(200).json({ ok: true, filename, period, count: entries.length, txt });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/tax-liquidations/:period", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const period = String(req.params.period || "").trim();
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const [businessSnap, closedSnap] = await Promise.all([
+      businessRef.get(),
+      businessRef.collection("tax_liquidations").doc(period).get(),
+    ]);
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    const options = parseTaxLiquidationOptions(period, req.query, businessSnap.data() || {});
+    const liquidation = await collectTaxLiquidation(businessRef, options);
+
+    return res.status(200).json({
+      ok: true,
+      liquidation,
+      closed: mapTaxLiquidationClosing(closedSnap.exists ? closedSnap.data() : null),
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/tax-liquidations/:period/close", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+    const period = String(req.params.period || "").trim();
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    const options = parseTaxLiquidationOptions(period, req.body || {}, businessSnap.data() || {});
+    const liquidation = await collectTaxLiquidation(businessRef, options);
+
+    // Closing again replaces the snapshot; later periods keep the carryover they were closed with.
+    await businessRef.collection("tax_liquidations").doc(period).set({
+      ...liquidation,
+      coefficient: options.coefficient,
+      closedBy: uid,
+      closedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return res.status(200).json({
+      ok: true,
+      liquidation,
+      closed: { totalToPay: liquidation.totalToPay, closedBy: uid, closedAt: new Date().toISOString() },
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/bank-statements", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+
+    const snap = await firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("bank_statements")
+      .orderBy("createdAt", "desc")
+      .limit(100)
+      .get();
+    const statements = snap.docs.map((docSnap) => mapBankStatementDoc(docSnap.id, docSnap.data()));
+
+    return res.status(200).json({ ok: true, statements });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/bank-statements", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const payload = parseBankStatementPayload(req.body || {});
+    const windowDays = parseWindowDays(req.body?.windowDays);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    const occurrences = new Map();
+    const entries = payload.movements.map((movement) => {
+      const key = [movement.date, movement.amount, movement.operationNumber, movement.description].join("|");
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+      const id = buildBankMovementId(payload.bank, payload.bankAccount, movement, occurrence);
+      return { ref: businessRef.collection("bank_movements").doc(id), movement };
+    });
+    const existing = entries.length ? await firestore.getAll(...entries.map((entry) => entry.ref)) : [];
+    // Movements left by an import that failed or stopped midway belong to no usable statement and are
+    // taken over by this one.
+    const previousIds = [...new Set(existing.filter((snap) => snap.exists).map((snap) => snap.get("statementId")))];
+    const previousSnaps = previousIds.length
+      ? await firestore.getAll(...previousIds.map((id) => businessRef.collection("bank_statements").doc(id)))
+      : [];
+    const abandoned = new Set(
+      previousSnaps
+        .filter((snap) => {
+          const status = snap.get("status");
+          const createdAt = snap.get("createdAt")?.toMillis?.() || 0;
+          return status === "FAILED" || (status === "IMPORTING" && createdAt < Date.now() - BANK_STATEMENT_IMPORT_STALE_MS);
+        })
+        .map((snap) => snap.id)
+    );
+    const fresh = entries.filter((_, index) => {
+      const snap = existing[index];
+      return !snap.exists || (abandoned.has(snap.get("statementId")) && !(snap.get("matches") || []).length);
+    });
+
+    const statementRef = businessRef.collection("bank_statements").doc();
+    const statement = {
+      bank: payload.bank,
+      bankAccount: payload.bankAccount,
+      currency: payload.currency,
+      fileName: payload.fileName,
+      movementCount: fresh.length,
+      duplicateCount: entries.length - fresh.length,
+      skippedRows: payload.skipped,
+      debitRows: payload.debits,
+      totalAmount: round2(fresh.reduce((sum, entry) => sum + entry.movement.amount, 0)),
+      status: "IMPORTING",
+      createdBy: uid,
+      createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    };
+    // Movements span several batches, so the statement stays IMPORTING (not confirmable) until the
+    // last one is written; a failed import is marked FAILED and its movements removed.
+    await statementRef.set(statement);
+
+    const records = fresh.map((entry) => ({
+      ref: entry.ref,
+      data: {
+        ...entry.movement,
+        statementId: statementRef.id,
+        bank: payload.bank,
+        bankAccount: payload.bankAccount,
+        currency: payload.currency,
+        status: "UNMATCHED",
+        matchedAmount: 0,
+        matches: [],
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      },
+    }));
+    try {
+      for (let index = 0; index < records.length; index += BANK_STATEMENT_WRITE_BATCH) {
+        const batch = firestore.batch();
+        records.slice(index, index + BANK_STATEMENT_WRITE_BATCH).forEach((record) => batch.set(record.ref, record.data));
+        await batch.commit();
+      }
+      await statementRef.update({ status: "READY", updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() });
+      statement.status = "READY";
+    } catch (error) {
+      for (let index = 0; index < records.length; index += BANK_STATEMENT_WRITE_BATCH) {
+        const batch = firestore.batch();
+        records.slice(index, index + BANK_STATEMENT_WRITE_BATCH).forEach((record) => batch.delete(record.ref));
+        await batch.commit().catch(() => null);
+      }
+      await statementRef
+        .update({ status: "FAILED", updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() })
+        .catch(() => null);
+      throw error;
+    }
+
+    const openInvoices = await listOpenInvoices(businessRef, payload.currency);
+    const movements = withBankProposals(
+      records.map((record) => mapBankMovementDoc(record.ref.id, record.data)),
+      openInvoices,
+      windowDays
+    );
+
+    return res.status(201).json({
+      ok: true,
+      statement: mapBankStatementDoc(statementRef.id, { ...statement, createdAt: new Date() }),
+      movements,
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/bank-statements/:statementId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const statementId = String(req.params.statementId || "").trim();
+    if (!statementId) throw asApiError(400, "Missing statementId");
+    const windowDays = parseWindowDays(req.query.windowDays);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const statementSnap = await businessRef.collection("bank_statements").doc(statementId).get();
+    if (!statementSnap.exists) {
+      throw asApiError(404, "Statement not found");
+    }
+    const statement = mapBankStatementDoc(statementSnap.id, statementSnap.data());
+
+    const movementsSnap = await businessRef.collection("bank_movements").where("statementId", "==", statementId).get();
+    const movements = movementsSnap.docs
+      .map((docSnap) => mapBankMovementDoc(docSnap.id, docSnap.data()))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.line - b.line);
+    const openInvoices = movements.some((movement) => movement.pendingAmount > DECIMAL_EPSILON)
+      ? await listOpenInvoices(businessRef, statement.currency)
+      : [];
+
+    return res.status(200).json({ ok: true, statement, movements: withBankProposals(movements, openInvoices, windowDays) });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/bank-statements/:statementId/confirm", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const statementId = String(req.params.statementId || "").trim();
+    if (!statementId) throw asApiError(400, "Missing statementId");
+    const payload = parseBankMatchesPayload(req.body || {});
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const statementSnap = await businessRef.collection("bank_statements").doc(statementId).get();
+    if (!statementSnap.exists) {
+      throw asApiError(404, "Statement not found");
+    }
+    if (mapBankStatementDoc(statementSnap.id, statementSnap.data()).status !== "READY") {
+      throw asApiError(409, "Statement import did not finish; upload it again");
+    }
+
+    // Matches are confirmed one by one so a stale proposal does not block the rest of the batch.
+    const results = [];
+    for (const match of payload.matches) {
+      try {
+        const result = await confirmBankMatch({ uid, businessRef, statementId, match });
+        results.push({ movementId: match.movementId, invoiceId: match.invoiceId, ok: true, ...result });
+      } catch (error) {
+        const status = Number(error?.status) || 500;
+        results.push({
+          movementId: match.movementId,
+          invoiceId: match.invoiceId,
+          ok: false,
+          status,
+          error: status >= 500 ? "Server error" : error?.message || "Billing error",
+        });
+      }
+    }
+
+    return res.status(200).json({
+      ok: true,
+      confirmed: results.filter((result) => result.ok).length,
+      failed: results.filter((result) => !result.ok).length,
+      results,
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/emit-cpe", requireAuth, async (req, res) => {
+  try {
+    // Backward compatible: this endpoint validates in BETA.
+    const { job, invoice } = await queueCpeEmission(req, "BETA");
+    return res.status(202).json({ ok: true, job, invoice });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json(error?.issues ? { error: message, issues: error.issues } : { error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/emit-cpe-prod", requireAuth, async (req, res) => {
+  try {
+    const { job, invoice } = await queueCpeEmission(req, "PROD");
+    return res.status(202).json({ ok: true, job, invoice });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json(error?.issues ? { error: message, issues: error.issues } : { error: message });
+  }
+});
+
+app.get("/billing/cpe-jobs/:jobId", requireAuth, async (req, res) => {
+  try {
+    const jobId = String(req.params.jobId || "").trim();
+    if (!jobId) throw asApiError(400, "Missing jobId");
+
+    const jobSnap = await firestore.collection("cpe_jobs").doc(jobId).get();
+    if (!jobSnap.exists || jobSnap.get("uid") !== req.user.uid) {
+      throw asApiError(404, "Job not found");
+    }
+
+    return res.status(200).json({ ok: true, job: mapCpeJobDoc(jobSnap.id, jobSnap.data() || {}) });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/internal/cpe-jobs/run", requireSchedulerSecret, async (req, res) => {
+  try {
+    const requestedLimit = Number(req.body?.limit || CPE_JOB_RUN_BATCH);
+    const limit = Number.isFinite(requestedLimit) ? Math.min(100, Math.max(1, Math.floor(requestedLimit))) : CPE_JOB_RUN_BATCH;
+    const processed = await runDueCpeJobs(limit);
+    const voids = await runDueInvoiceVoids(limit);
+    const summaries = await runDueDailySummaries(limit);
+    return res
+      .status(200)
+      .json({ ok: true, processed: processed.length, jobIds: processed, voidInvoiceIds: voids, summaryIds: summaries });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/void", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const payload = parseVoidPayload(req.body || {});
+
+    const authHeader = String(req.headers.authorization || "").trim();
+    if (!authHeader) throw asApiError(401, "Missing auth token");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+
+    const invoiceSnap = await invoiceRef.get();
+    if (!invoiceSnap.exists) {
+      throw asApiError(404, "Invoice not found");
+    }
+    const current = invoiceSnap.data() || {};
+    assertVoidable(current);
+
+    // Documents SUNAT accepted in PROD must be annulled there: facturas (and their notes) through
+    // Comunicacion de Baja, boletas through a Resumen Diario line with status 3. Anything else is
+    // annulled locally only; BETA acceptance has no legal effect and never needs a baja.
+    const acceptedBySunat = current.cpeStatus === "ACEPTADO";
+    if (acceptedBySunat && payload.env !== "PROD") {
+      throw asApiError(409, "Invoice accepted in PROD; annul it with env PROD");
+    }
+    const voidMethod = !acceptedBySunat
+      ? "LOCAL"
+      : String(current.serie || "").startsWith("F")
+        ? "COMUNICACION_BAJA"
+        : "RESUMEN_DIARIO";
+
+    let result = null;
+    if (acceptedBySunat) {
+      const issueDate = current.issueDate?.toDate ? current.issueDate.toDate() : parseDateInput(current.issueDate);
+      const deadline = new Date(issueDate || Date.now());
+      deadline.setDate(deadline.getDate() + VOID_DEADLINE_DAYS);
+      deadline.setHours(23, 59, 59, 999);
+      if (deadline.getTime() < Date.now()) {
+        throw asApiError(409, `Void deadline exceeded (${VOID_DEADLINE_DAYS} days); issue a credit note instead`);
+      }
+
+      result = await postSunatWorker(
+        "/sunat/cpe/void",
+        authHeader,
+        { businessId: payload.businessId, invoiceId, env: "PROD", method: voidMethod, reason: payload.reason },
+        "CPE void failed"
+      );
+      if (!result?.ticket && !CPE_FINAL_STATUSES.has(String(result?.status || "").toUpperCase())) {
+        throw asApiError(502, "CPE void returned no ticket");
+      }
+    }
+    const outcome = acceptedBySunat ? String(result?.status || "").toUpperCase() : "LOCAL";
+
+    // The invoice stays issued until SUNAT accepts the baja; the ticket is polled like a Resumen Diario.
+    const invoice = await firestore.runTransaction(async (transaction) => {
+      const snap = await transaction.get(invoiceRef);
+      if (!snap.exists) {
+        throw asApiError(404, "Invoice not found");
+      }
+      const raw = snap.data() || {};
+      assertVoidable(raw);
+
+      const request = {
+        voidReason: payload.reason,
+        voidMethod,
+        voidEnv: acceptedBySunat ? "PROD" : null,
+        voidTicket: result?.ticket || null,
+        voidRequestedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        voidRequestedBy: uid,
+        voidPollCount: 0,
+        voidError: null,
+      };
+
+      if (!acceptedBySunat) {
+        return mapInvoiceDoc(
+          invoiceId,
+          await applyInvoiceVoidInTransaction(transaction, {
+            businessRef,
+            invoiceRef,
+            raw,
+            updates: { ...request, voidStatus: "LOCAL", voidedBy: uid },
+          })
+        );
+      }
+
+      const pending = { ...raw, ...request, voidStatus: "PENDIENTE" };
+      if (CPE_FINAL_STATUSES.has(outcome)) {
+        return mapInvoiceDoc(
+          invoiceId,
+          await settleInvoiceVoid(transaction, { businessRef, invoiceRef, raw: pending, outcome, result })
+        );
+      }
+
+      const updates = {
+        ...request,
+        voidStatus: "PENDIENTE",
+        voidNextPollAt: firebaseAdmin.firestore.Timestamp.fromMillis(Date.now() + CPE_JOB_BASE_DELAY_MS),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      updateInvoiceInTransaction(transaction, businessRef, invoiceRef, raw, updates);
+      return mapInvoiceDoc(invoiceId, { ...raw, ...updates });
+    });
+
+    return res.status(invoice.voidStatus === "PENDIENTE" ? 202 : 200).json({ ok: true, result, invoice });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/invoices/:invoiceId/void/poll", requireAuth, async (req, res) => {
+  try {
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+    const authHeader = String(req.headers.authorization || "").trim();
+    if (!authHeader) throw asApiError(401, "Missing auth token");
+
+    const invoice = await pollInvoiceVoid({ uid: req.user.uid, authHeader, businessId, invoiceId });
+    return res.status(200).json({ ok: true, invoice });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/invoices/:invoiceId/cdr", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+    const env = String(req.query.env || "PROD").trim().toUpperCase();
+    if (!SUNAT_CDR_ENVS.has(env)) {
+      throw asApiError(400, "Invalid env");
+    }
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+
+    const [businessSnap, invoiceSnap] = await Promise.all([businessRef.get(), invoiceRef.get()]);
+    if (!businessSnap.exists) throw asApiError(404, "Business not found");
+    if (!invoiceSnap.exists) throw asApiError(404, "Invoice not found");
+
+    const business = businessSnap.data() || {};
+    const invoice = invoiceSnap.data() || {};
+
+    const prefix = env === "PROD" ? "cpe" : "cpeBeta";
+    const zipBase64 = invoice?.[`${prefix}ZipBase64`] || null;
+    if (!zipBase64) {
+      throw asApiError(404, "CDR not found");
+    }
+
+    const ruc = String(business?.ruc || "").trim() || "RUC";
+    const typeCode = docTypeCode(invoice?.documentType) || "XX";
+    const serie = String(invoice?.serie || "S").trim().toUpperCase();
+    const numero = String(invoice?.numero || "0").trim().toUpperCase();
+    const filename = `R-${ruc}-${typeCode}-${serie}-${numero}.zip`;
+
+    return res.status(200).json({ ok: true, filename, zipBase64 });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/invoices/:invoiceId/xml", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+
+    const [businessSnap, invoiceSnap] = await Promise.all([businessRef.get(), invoiceRef.get()]);
+    if (!businessSnap.exists) throw asApiError(404, "Business not found");
+    if (!invoiceSnap.exists) throw asApiError(404, "Invoice not found");
+
+    const context = buildUblContext(businessSnap.data() || {}, invoiceId, invoiceSnap.data() || {});
+    const { errors, warnings } = validateUblInvoice(context);
+    const xml = buildUblXml(context);
+    const ruc = String(context.business?.ruc || "").trim() || "RUC";
+    const filename = buildUblFilename(ruc, context.typeCode || "XX", context.invoice);
+
+    return res.status(200).json({ ok: true, filename, xml, valid: errors.length === 0, issues: errors, warnings });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/invoices/:invoiceId/pdf", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const invoiceId = String(req.params.invoiceId || "").trim();
+    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+
+    const format = String(req.query.format || "A4").trim().toUpperCase();
+    if (!PDF_FORMATS.has(format)) {
+      throw asApiError(400, "Invalid format");
+    }
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+
+    const [businessSnap, invoiceSnap] = await Promise.all([businessRef.get(), invoiceRef.get()]);
+    if (!businessSnap.exists) throw asApiError(404, "Business not found");
+    if (!invoiceSnap.exists) throw asApiError(404, "Invoice not found");
+
+    const { business, invoice, typeCode } = buildUblContext(businessSnap.data() || {}, invoiceId, invoiceSnap.data() || {});
+    const pdf = await renderInvoicePdf({ business, invoice, typeCode, format });
+    const ruc = String(business?.ruc || "").trim() || "RUC";
+    const filename = `${ruc}-${typeCode || "XX"}-${invoice.serie}-${invoice.numero}${format === "TICKET" ? "-ticket" : ""}.pdf`;
+
+    if (req.query.download === "true") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.status(200).send(pdf);
+    }
+
+    return res.status(200).json({ ok: true, filename, pdfBase64: pdf.toString("base64") });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/products", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const search = normalizeSearchText(req.query.q);
+    const code = normalizeProductId(req.query.code);
+    const cursor = String(req.query.cursor || "").trim();
+    const requestedLimit = Number(req.query.limit || 100);
+    const limit = Number.isFinite(requestedLimit)
+      ? Math.min(500, Math.max(1, Math.floor(requestedLimit)))
+      : 100;
+    if (search && code) throw asApiError(400, "Send either q or code");
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
+    }
+
+    const { docs, nextCursor } = await queryPage(businessRef.collection("products"), {
+      field: code ? "code" : search ? "searchDescription" : "description",
+      prefix: code || search,
+      limit,
+      cursor,
+    });
+    const products = docs.map((docSnap) => mapProductDoc(docSnap.id, docSnap.data()));
+
+    return res.status(200).json({ ok: true, products, nextCursor });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/products/:productId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const productId = normalizeProductId(req.params.productId);
+    if (!productId) throw asApiError(400, "Missing productId");
+    if (!isProductDocId(productId)) throw asApiError(404, "Product not found");
+
+    const productSnap = await firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("products")
+      .doc(productId)
+      .get();
+    if (!productSnap.exists) {
+      throw asApiError(404, "Product not found");
+    }
+
+    return res.status(200).json({ ok: true, product: mapProductDoc(productSnap.id, productSnap.data() || {}) });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/products", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { businessId, ...payload } = parseProductPayload(req.body || {});
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const productRef = businessRef.collection("products").doc(payload.code);
+
+    const product = await firestore.runTransaction(async (transaction) => {
+      const [businessSnap, productSnap] = await Promise.all([transaction.get(businessRef), transaction.get(productRef)]);
+      if (!businessSnap.exists) {
+        throw asApiError(404, "Business not found");
+      }
+      if (productSnap.exists) {
+        throw asApiError(409, "Product already exists");
+      }
+
+      const record = {
+        ...payload,
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.set(productRef, record);
+      return mapProductDoc(productRef.id, record);
+    });
+
+    return res.status(201).json({ ok: true, product });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.put("/billing/products/:productId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const productId = normalizeProductId(req.params.productId);
+    if (!productId) throw asApiError(400, "Missing productId");
+    if (!isProductDocId(productId)) throw asApiError(404, "Product not found");
+    // The code is the product id and cannot change.
+    const { businessId, ...changes } = parseProductPayload(req.body || {}, { partial: true });
+
+    const productRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("products")
+      .doc(productId);
+
+    const product = await firestore.runTransaction(async (transaction) => {
+      const productSnap = await transaction.get(productRef);
+      if (!productSnap.exists) {
+        throw asApiError(404, "Product not found");
+      }
+
+      const updates = { ...changes, updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp() };
+      transaction.update(productRef, updates);
+      return mapProductDoc(productId, { ...productSnap.data(), ...updates });
     });
 
-    const data = await response.json();
-    if (!response.ok) {
-      return res.status(response.status).json({ error: data?.message || "PayPal error" });
+    return res.status(200).json({ ok: true, product });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.delete("/billing/products/:productId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const productId = normalizeProductId(req.params.productId);
+    if (!productId) throw asApiError(400, "Missing productId");
+    if (!isProductDocId(productId)) throw asApiError(404, "Product not found");
+
+    const productRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("products")
+      .doc(productId);
+    const productSnap = await productRef.get();
+    if (!productSnap.exists) {
+      throw asApiError(404, "Product not found");
     }
 
-    const approval = data?.links?.find((link) => link.rel === "approve");
-    if (!approval?.href) {
-      return res.status(500).json({ error: "No approval link" });
+    // Invoice items keep their own description, unit and tax data.
+    await productRef.delete();
+    return res.status(200).json({ ok: true, productId });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/recurring-invoices", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
     }
 
-    const userRef = firestore.collection("users").doc(req.user.uid);
-    await userRef.set(
-      {
-        paypalSubscriptionId: data.id,
-        paypalPlanId: planId,
-        pendingPlan: planCode,
-        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
+    const snap = await businessRef.collection("recurring_invoices").orderBy("name", "asc").get();
+    const templates = snap.docs.map((docSnap) => mapRecurringDoc(docSnap.id, docSnap.data()));
 
-    return res.status(200).json({ approvalUrl: approval.href, subscriptionId: data.id });
+    return res.status(200).json({ ok: true, templates });
   } catch (error) {
-    return res.status(500).json({ error: error?.message || "Server error" });
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
   }
 });
 
-app.post("/paypal/webhook", async (req, res) => {
+app.get("/billing/recurring-invoices/:templateId", requireAuth, async (req, res) => {
   try {
-    const event = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-    const ok = await verifyPaypalWebhook(req.headers, event);
-    if (!ok) {
-      return res.status(400).json({ error: "Webhook not verified" });
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const templateId = String(req.params.templateId || "").trim();
+    if (!templateId) throw asApiError(400, "Missing templateId");
+
+    const templateRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("recurring_invoices")
+      .doc(templateId);
+
+    const [templateSnap, runsSnap] = await Promise.all([
+      templateRef.get(),
+      templateRef.collection("runs").orderBy("runDate", "desc").limit(24).get(),
+    ]);
+    if (!templateSnap.exists) {
+      throw asApiError(404, "Recurring invoice not found");
     }
 
-    const type = event?.event_type || "";
-    const resource = event?.resource || {};
-    const subscriptionId = resource?.id;
-    const planId = resource?.plan_id;
-    const planCode = planFromId(planId);
-    const customId = resource?.custom_id || "";
-    const [customUid, customPlan] = customId.split(":");
-    const uid = customUid || customId || null;
+    return res.status(200).json({
+      ok: true,
+      template: mapRecurringDoc(templateSnap.id, templateSnap.data()),
+      runs: runsSnap.docs.map((docSnap) => mapRecurringRunDoc(docSnap.id, docSnap.data())),
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-    let userRef = null;
-    if (uid) {
-      userRef = firestore.collection("users").doc(uid);
-    } else if (subscriptionId) {
-      const snap = await firestore
-        .collection("users")
-        .where("paypalSubscriptionId", "==", subscriptionId)
-        .limit(1)
-        .get();
-      if (!snap.empty) {
-        userRef = snap.docs[0].ref;
-      }
-    }
+app.post("/billing/recurring-invoices", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const payload = parseRecurringPayload(req.body || {});
+    const template = { endDate: null, dueDays: null, active: true, ...payload };
+    await assertRecurringTemplate(uid, template);
 
-    if (!userRef) {
-      return res.status(200).json({ ok: true, ignored: true });
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const templateRef = businessRef.collection("recurring_invoices").doc();
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
     }
 
-    const updates = {
-      paypalSubscriptionId: subscriptionId || null,
-      paypalPlanId: planId || null,
+    // uid/businessId are stored so the scheduler can find templates through a collection group query.
+    const record = {
+      ...template,
+      uid,
+      nextRunDate: resolveNextRunDate(template, template.startDate),
+      lastRunDate: null,
+      lastInvoiceId: null,
+      suspendedRunDate: null,
+      createdBy: uid,
+      createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
       updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
     };
+    await templateRef.set(record);
 
-    if (type === "BILLING.SUBSCRIPTION.ACTIVATED") {
-      updates.status = "ACTIVE";
-      updates.plan = planCode || customPlan || "PRO";
-      updates.pendingPlan = firebaseAdmin.firestore.FieldValue.delete();
-    }
+    return res.status(201).json({ ok: true, template: mapRecurringDoc(templateRef.id, record) });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-    if (
-      type === "BILLING.SUBSCRIPTION.CANCELLED" ||
-      type === "BILLING.SUBSCRIPTION.SUSPENDED" ||
-      type === "BILLING.SUBSCRIPTION.EXPIRED" ||
-      type === "BILLING.SUBSCRIPTION.PAYMENT.FAILED"
-    ) {
-      updates.status = "SUSPENDED";
-      updates.pendingPlan = firebaseAdmin.firestore.FieldValue.delete();
+app.put("/billing/recurring-invoices/:templateId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const templateId = String(req.params.templateId || "").trim();
+    if (!templateId) throw asApiError(400, "Missing templateId");
+    const { businessId, ...changes } = parseRecurringPayload(req.body || {}, { partial: true });
+
+    const templateRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("recurring_invoices")
+      .doc(templateId);
+    const templateSnap = await templateRef.get();
+    if (!templateSnap.exists) {
+      throw asApiError(404, "Recurring invoice not found");
     }
 
-    if (type === "BILLING.SUBSCRIPTION.UPDATED") {
-      if (resource?.status === "ACTIVE") {
-        updates.status = "ACTIVE";
-        updates.plan = planCode || customPlan || "PRO";
-        updates.pendingPlan = firebaseAdmin.firestore.FieldValue.delete();
+    const current = templateSnap.data() || {};
+    const template = { ...current, ...changes, businessId };
+    await assertRecurringTemplate(uid, template);
+
+    // Schedule changes never regenerate periods already produced; reactivation also skips past dates.
+    const after = current.lastRunDate ? addDaysKey(current.lastRunDate, 1) : template.startDate;
+    const reactivated = current.active === false && template.active !== false;
+    const fromKey = [template.startDate, after, ...(reactivated ? [limaToday()] : [])].sort().pop();
+    // Saving also resumes a template suspended after repeated failures.
+    const updates = {
+      ...changes,
+      nextRunDate: resolveNextRunDate(template, fromKey),
+      suspendedRunDate: null,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await firestore.runTransaction(async (transaction) => {
+      const snap = await transaction.get(templateRef);
+      if (snap.get("lastRunDate") !== current.lastRunDate) {
+        throw asApiError(409, "Recurring invoice changed while running; retry");
       }
+      transaction.update(templateRef, updates);
+    });
+
+    return res.status(200).json({ ok: true, template: mapRecurringDoc(templateId, { ...current, ...updates }) });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.delete("/billing/recurring-invoices/:templateId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const templateId = String(req.params.templateId || "").trim();
+    if (!templateId) throw asApiError(400, "Missing templateId");
+
+    const templateRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("recurring_invoices")
+      .doc(templateId);
+    const templateSnap = await templateRef.get();
+    if (!templateSnap.exists) {
+      throw asApiError(404, "Recurring invoice not found");
     }
 
-    await userRef.set(updates, { merge: true });
+    // Issued invoices keep recurringTemplateId; the run history is left for audit.
+    await templateRef.delete();
     return res.status(200).json({ ok: true });
   } catch (error) {
-    return res.status(500).json({ error: error?.message || "Webhook error" });
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
   }
 });
 
-app.post("/billing/invoices", requireAuth, async (req, res) => {
+app.post("/billing/recurring-invoices/run", requireAuth, async (req, res) => {
   try {
-    const payload = parseInvoicePayload(req.body || {});
     const uid = req.user.uid;
-    const invoiceId = buildInvoiceId(payload.documentType, payload.serie, payload.numero);
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+    const today = limaToday();
+    const date = String(req.body?.date || today).trim();
+    if (!isDateKey(date)) throw asApiError(400, "Invalid date");
+    if (date > today) throw asApiError(400, "date cannot be in the future");
+    const templateId = String(req.body?.templateId || "").trim();
 
-    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
-    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
-    const comprobanteRef = businessRef.collection("comprobantes").doc();
+    const templatesRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("recurring_invoices");
+    const snaps = templateId
+      ? [await templatesRef.doc(templateId).get()].filter((snap) => snap.exists)
+      : (await templatesRef.where("nextRunDate", "<=", date).get()).docs;
+    if (templateId && !snaps.length) {
+      throw asApiError(404, "Recurring invoice not found");
+    }
 
-    await firestore.runTransaction(async (transaction) => {
-      const [businessSnap, invoiceSnap] = await Promise.all([
-        transaction.get(businessRef),
-        transaction.get(invoiceRef),
-      ]);
+    const { results, truncated } = await runRecurringTemplates(snaps, date);
+    return res.status(200).json({ ok: true, date, truncated, results });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-      if (!businessSnap.exists) {
-        throw asApiError(404, "Business not found");
-      }
+app.post("/internal/recurring-invoices/run", requireSchedulerSecret, async (req, res) => {
+  try {
+    const today = limaToday();
+    const date = String(req.body?.date || today).trim();
+    if (!isDateKey(date)) throw asApiError(400, "Invalid date");
+    if (date > today) throw asApiError(400, "date cannot be in the future");
+    const requestedLimit = Number(req.body?.limit || RECURRING_RUN_BATCH);
+    const limit = Number.isFinite(requestedLimit) ? Math.min(200, Math.max(1, Math.floor(requestedLimit))) : RECURRING_RUN_BATCH;
+
+    const snap = await firestore
+      .collectionGroup("recurring_invoices")
+      .where("nextRunDate", "<=", date)
+      .orderBy("nextRunDate", "asc")
+      .limit(limit)
+      .get();
+    const { results, truncated } = await runRecurringTemplates(snap.docs, date);
+    return res.status(200).json({ ok: true, date, templates: snap.size, truncated, results });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-      if (invoiceSnap.exists) {
-        throw asApiError(409, "Invoice already exists");
-      }
+app.get("/billing/summaries", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const date = String(req.query.date || "").trim();
+    const env = String(req.query.env || "").trim().toUpperCase();
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw asApiError(400, "Invalid date");
+    }
+    if (env && !SUNAT_CDR_ENVS.has(env)) {
+      throw asApiError(400, "Invalid env");
+    }
 
-      transaction.set(invoiceRef, {
-        documentType: payload.documentType,
-        serie: payload.serie,
-        numero: payload.numero,
-        customerName: payload.customerName,
-        customerDocumentType: payload.customerDocumentType,
-        customerDocumentNumber: payload.customerDocumentNumber,
-        issueDate: firebaseAdmin.firestore.Timestamp.fromDate(payload.issueDate),
-        dueDate: payload.dueDate ? firebaseAdmin.firestore.Timestamp.fromDate(payload.dueDate) : null,
-        currency: "PEN",
-        subtotal: payload.subtotal,
-        igv: payload.igv,
-        total: payload.total,
-        paidAmount: 0,
-        balance: payload.total,
-        paymentStatus: "PENDIENTE",
-        status: "EMITIDO",
-        source: "BACKEND",
-        items: payload.items,
-        createdBy: uid,
-        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      });
+    const summariesRef = firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("summaries");
+    const snap = await (date ? summariesRef.where("summaryDate", "==", date) : summariesRef)
+      .orderBy("createdAt", "desc")
+      .limit(100)
+      .get();
+    const summaries = snap.docs
+      .map((docSnap) => mapSummaryDoc(docSnap.id, docSnap.data()))
+      .filter((summary) => (env ? summary.env === env : true));
+
+    return res.status(200).json({ ok: true, summaries });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-      // Preserve compatibility with existing dashboards based on comprobantes.
-      transaction.set(comprobanteRef, {
-        type: "VENTA",
-        serie: payload.serie,
-        numero: payload.numero,
-        fecha: firebaseAdmin.firestore.Timestamp.fromDate(payload.issueDate),
-        cliente: payload.customerName,
-        monto: payload.total,
-        igv: payload.igv,
-        source: "FACTURACION_BACKEND",
-        invoiceId,
-        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      });
-    });
+app.post("/billing/summaries", requireAuth, async (req, res) => {
+  try {
+    const payload = parseSummaryPayload(req.body || {});
+    const authHeader = String(req.headers.authorization || "").trim();
+    if (!authHeader) throw asApiError(401, "Missing auth token");
 
-    return res.status(201).json({
+    const summary = await sendDailySummary({ uid: req.user.uid, authHeader, ...payload });
+    return res.status(201).json({ ok: true, summary });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/summaries/:summaryId", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+    const summaryId = String(req.params.summaryId || "").trim();
+    if (!summaryId) throw asApiError(400, "Missing summaryId");
+
+    const summarySnap = await firestore
+      .collection("users")
+      .doc(uid)
+      .collection("businesses")
+      .doc(businessId)
+      .collection("summaries")
+      .doc(summaryId)
+      .get();
+    if (!summarySnap.exists) {
+      throw asApiError(404, "Summary not found");
+    }
+
+    return res.status(200).json({
       ok: true,
-      invoice: {
-        id: invoiceId,
-        documentType: payload.documentType,
-        serie: payload.serie,
-        numero: payload.numero,
-        customerName: payload.customerName,
-        customerDocumentType: payload.customerDocumentType,
-        customerDocumentNumber: payload.customerDocumentNumber,
-        issueDate: payload.issueDate.toISOString(),
-        dueDate: payload.dueDate ? payload.dueDate.toISOString() : null,
-        subtotal: payload.subtotal,
-        igv: payload.igv,
-        total: payload.total,
-        paidAmount: 0,
-        balance: payload.total,
-        paymentStatus: "PENDIENTE",
-        status: "EMITIDO",
-        cpeStatus: null,
-        cpeProvider: null,
-        cpeTicket: null,
-        cpeCode: null,
-        cpeDescription: null,
-        cpeError: null,
-        cpeLastAttemptAt: null,
-        cpeAcceptedAt: null,
-        cpeBetaStatus: null,
-        cpeBetaProvider: null,
-        cpeBetaTicket: null,
-        cpeBetaCode: null,
-        cpeBetaDescription: null,
-        cpeBetaError: null,
-        cpeBetaLastAttemptAt: null,
-        cpeBetaAcceptedAt: null,
-      },
+      summary: mapSummaryDoc(summarySnap.id, summarySnap.data() || {}, { includeCdr: true }),
     });
   } catch (error) {
     const status = Number(error?.status) || 500;
@@ -596,39 +6706,51 @@ app.post("/billing/invoices", requireAuth, async (req, res) => {
   }
 });
 
-app.get("/billing/invoices", requireAuth, async (req, res) => {
+app.post("/billing/summaries/:summaryId/poll", requireAuth, async (req, res) => {
+  try {
+    const summaryId = String(req.params.summaryId || "").trim();
+    if (!summaryId) throw asApiError(400, "Missing summaryId");
+    const businessId = String(req.body?.businessId || "").trim();
+    if (!businessId) throw asApiError(400, "Missing businessId");
+    const authHeader = String(req.headers.authorization || "").trim();
+    if (!authHeader) throw asApiError(401, "Missing auth token");
+
+    const summary = await pollDailySummary({ uid: req.user.uid, authHeader, businessId, summaryId });
+    return res.status(200).json({ ok: true, summary });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.get("/billing/customers", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
-    const businessId = parseBusinessQuery(req);
-    const documentType = String(req.query.documentType || "").trim().toUpperCase();
-    const paymentStatus = String(req.query.paymentStatus || "").trim().toUpperCase();
+    const businessId = parseBusinessQuery(req);
+    const search = normalizeSearchText(req.query.q);
+    const cursor = String(req.query.cursor || "").trim();
     const requestedLimit = Number(req.query.limit || 100);
     const limit = Number.isFinite(requestedLimit)
-      ? Math.min(300, Math.max(1, Math.floor(requestedLimit)))
+      ? Math.min(500, Math.max(1, Math.floor(requestedLimit)))
       : 100;
 
-    if (documentType && !BILLING_DOC_TYPES.has(documentType)) {
-      throw asApiError(400, "Invalid documentType");
-    }
-    if (paymentStatus && !BILLING_PAYMENT_STATUSES.has(paymentStatus)) {
-      throw asApiError(400, "Invalid paymentStatus");
-    }
-
     const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
     const businessSnap = await businessRef.get();
     if (!businessSnap.exists) {
       throw asApiError(404, "Business not found");
     }
 
-    const fetchLimit = limit * 3;
-    const snap = await businessRef.collection("invoices").orderBy("issueDate", "desc").limit(fetchLimit).get();
-    const invoices = snap.docs
-      .map((docSnap) => mapInvoiceDoc(docSnap.id, docSnap.data()))
-      .filter((invoice) => (documentType ? invoice.documentType === documentType : true))
-      .filter((invoice) => (paymentStatus ? invoice.paymentStatus === paymentStatus : true))
-      .slice(0, limit);
+    // Digits search document numbers; anything else searches names by prefix.
+    const { docs, nextCursor } = await queryPage(businessRef.collection("customers"), {
+      field: !search ? "name" : /^\d+$/.test(search) ? "documentNumber" : "searchName",
+      prefix: search,
+      limit,
+      cursor,
+    });
+    const customers = docs.map((docSnap) => mapCustomerDoc(docSnap.id, docSnap.data()));
 
-    return res.status(200).json({ ok: true, invoices });
+    return res.status(200).json({ ok: true, customers, nextCursor });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -636,30 +6758,26 @@ app.get("/billing/invoices", requireAuth, async (req, res) => {
   }
 });
 
-app.get("/billing/invoices/:invoiceId/payments", requireAuth, async (req, res) => {
+app.get("/billing/customers/:customerId", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
     const businessId = parseBusinessQuery(req);
-    const invoiceId = String(req.params.invoiceId || "").trim();
-    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const customerId = String(req.params.customerId || "").trim();
+    if (!customerId) throw asApiError(400, "Missing customerId");
 
-    const invoiceRef = firestore
+    const customerSnap = await firestore
       .collection("users")
       .doc(uid)
       .collection("businesses")
       .doc(businessId)
-      .collection("invoices")
-      .doc(invoiceId);
-
-    const invoiceSnap = await invoiceRef.get();
-    if (!invoiceSnap.exists) {
-      throw asApiError(404, "Invoice not found");
+      .collection("customers")
+      .doc(customerId)
+      .get();
+    if (!customerSnap.exists) {
+      throw asApiError(404, "Customer not found");
     }
 
-    const paymentsSnap = await invoiceRef.collection("payments").orderBy("paymentDate", "desc").limit(500).get();
-    const payments = paymentsSnap.docs.map((docSnap) => mapPaymentDoc(docSnap.id, docSnap.data()));
-
-    return res.status(200).json({ ok: true, payments });
+    return res.status(200).json({ ok: true, customer: mapCustomerDoc(customerSnap.id, customerSnap.data() || {}) });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -667,67 +6785,48 @@ app.get("/billing/invoices/:invoiceId/payments", requireAuth, async (req, res) =
   }
 });
 
-app.post("/billing/invoices/:invoiceId/payments", requireAuth, async (req, res) => {
+app.post("/billing/customers", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
-    const invoiceId = String(req.params.invoiceId || "").trim();
-    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
-    const payload = parsePaymentPayload(req.body || {});
+    const payload = await enrichFromRucCache(parseCustomerPayload(req.body || {}));
+    if (!payload.name) {
+      throw asApiError(400, "Missing name");
+    }
 
-    const invoiceRef = firestore
-      .collection("users")
-      .doc(uid)
-      .collection("businesses")
-      .doc(payload.businessId)
-      .collection("invoices")
-      .doc(invoiceId);
+    const customerId = buildCustomerId(payload.documentType, payload.documentNumber);
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const customerRef = businessRef.collection("customers").doc(customerId);
 
-    const result = await firestore.runTransaction(async (transaction) => {
-      const invoiceSnap = await transaction.get(invoiceRef);
-      if (!invoiceSnap.exists) {
-        throw asApiError(404, "Invoice not found");
+    const customer = await firestore.runTransaction(async (transaction) => {
+      const [businessSnap, customerSnap] = await Promise.all([transaction.get(businessRef), transaction.get(customerRef)]);
+      if (!businessSnap.exists) {
+        throw asApiError(404, "Business not found");
       }
-
-      const raw = invoiceSnap.data() || {};
-      const total = round2(raw.total || 0);
-      const paidAmount = round2(raw.paidAmount || 0);
-      const balance = round2(raw.balance ?? total - paidAmount);
-
-      if (payload.amount > balance + DECIMAL_EPSILON) {
-        throw asApiError(400, "Amount exceeds balance");
+      if (customerSnap.exists) {
+        throw asApiError(409, "Customer already exists");
       }
 
-      const nextPaidAmount = round2(paidAmount + payload.amount);
-      const nextBalance = round2(Math.max(0, total - nextPaidAmount));
-      const nextStatus = nextBalance <= DECIMAL_EPSILON ? "PAGADO" : "PARCIAL";
-      const paymentRef = invoiceRef.collection("payments").doc();
-
-      transaction.set(paymentRef, {
-        amount: payload.amount,
-        paymentDate: payload.paymentDate
-          ? firebaseAdmin.firestore.Timestamp.fromDate(payload.paymentDate)
-          : firebaseAdmin.firestore.Timestamp.now(),
-        note: payload.note,
+      const record = {
+        documentType: payload.documentType,
+        documentNumber: payload.documentNumber,
+        name: payload.name,
+        searchName: normalizeSearchText(payload.name),
+        address: payload.address || "",
+        ubigeo: payload.ubigeo || null,
+        email: payload.email || "",
+        phone: payload.phone || "",
+        sunatStatus: payload.sunatStatus || null,
+        sunatCondition: payload.sunatCondition || null,
+        source: payload.source,
         createdBy: uid,
         createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      transaction.update(invoiceRef, {
-        paidAmount: nextPaidAmount,
-        balance: nextBalance,
-        paymentStatus: nextStatus,
         updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      return {
-        paymentId: paymentRef.id,
-        paidAmount: nextPaidAmount,
-        balance: nextBalance,
-        paymentStatus: nextStatus,
       };
+      transaction.set(customerRef, record);
+      return mapCustomerDoc(customerId, record);
     });
 
-    return res.status(200).json({ ok: true, ...result });
+    return res.status(201).json({ ok: true, customer });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -735,84 +6834,39 @@ app.post("/billing/invoices/:invoiceId/payments", requireAuth, async (req, res)
   }
 });
 
-app.post("/billing/invoices/:invoiceId/mark-paid", requireAuth, async (req, res) => {
+app.put("/billing/customers/:customerId", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
-    const invoiceId = String(req.params.invoiceId || "").trim();
-    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
-
-    const businessId = String(req.body?.businessId || "").trim();
-    if (!businessId) throw asApiError(400, "Missing businessId");
-    const note = String(req.body?.note || "").trim() || "Pago total";
-
-    const paymentDate = parseDateInput(req.body?.paymentDate);
-    if (req.body?.paymentDate && !paymentDate) {
-      throw asApiError(400, "Invalid paymentDate");
-    }
+    const customerId = String(req.params.customerId || "").trim();
+    if (!customerId) throw asApiError(400, "Missing customerId");
+    // Document type and number form the customer id and cannot change.
+    const { businessId, ...changes } = parseCustomerPayload(req.body || {}, { partial: true });
 
-    const invoiceRef = firestore
+    const customerRef = firestore
       .collection("users")
       .doc(uid)
       .collection("businesses")
       .doc(businessId)
-      .collection("invoices")
-      .doc(invoiceId);
-
-    const result = await firestore.runTransaction(async (transaction) => {
-      const invoiceSnap = await transaction.get(invoiceRef);
-      if (!invoiceSnap.exists) {
-        throw asApiError(404, "Invoice not found");
-      }
+      .collection("customers")
+      .doc(customerId);
 
-      const raw = invoiceSnap.data() || {};
-      const total = round2(raw.total || 0);
-      const paidAmount = round2(raw.paidAmount || 0);
-      const balance = round2(raw.balance ?? total - paidAmount);
-
-      if (balance <= DECIMAL_EPSILON) {
-        transaction.update(invoiceRef, {
-          paidAmount: total,
-          balance: 0,
-          paymentStatus: "PAGADO",
-          updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-        });
-        return {
-          paymentId: null,
-          paidAmount: total,
-          balance: 0,
-          paymentStatus: "PAGADO",
-        };
+    const customer = await firestore.runTransaction(async (transaction) => {
+      const customerSnap = await transaction.get(customerRef);
+      if (!customerSnap.exists) {
+        throw asApiError(404, "Customer not found");
       }
 
-      const paymentRef = invoiceRef.collection("payments").doc();
-      const nextPaidAmount = round2(total);
-
-      transaction.set(paymentRef, {
-        amount: balance,
-        paymentDate: paymentDate
-          ? firebaseAdmin.firestore.Timestamp.fromDate(paymentDate)
-          : firebaseAdmin.firestore.Timestamp.now(),
-        note,
-        createdBy: uid,
-        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      transaction.update(invoiceRef, {
-        paidAmount: nextPaidAmount,
-        balance: 0,
-        paymentStatus: "PAGADO",
+      const name = changes.name ?? customerSnap.get("name");
+      const updates = {
+        ...changes,
+        searchName: normalizeSearchText(name),
         updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      return {
-        paymentId: paymentRef.id,
-        paidAmount: nextPaidAmount,
-        balance: 0,
-        paymentStatus: "PAGADO",
       };
+      transaction.update(customerRef, updates);
+      return mapCustomerDoc(customerId, { ...customerSnap.data(), ...updates });
     });
 
-    return res.status(200).json({ ok: true, ...result });
+    return res.status(200).json({ ok: true, customer });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -820,50 +6874,52 @@ app.post("/billing/invoices/:invoiceId/mark-paid", requireAuth, async (req, res)
   }
 });
 
-app.post("/billing/invoices/:invoiceId/emit-cpe", requireAuth, async (req, res) => {
+app.delete("/billing/customers/:customerId", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
-    const invoiceId = String(req.params.invoiceId || "").trim();
-    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
-
-    const businessId = String(req.body?.businessId || "").trim();
-    if (!businessId) throw asApiError(400, "Missing businessId");
-
-    const authHeader = String(req.headers.authorization || "").trim();
-    if (!authHeader) throw asApiError(401, "Missing auth token");
+    const businessId = parseBusinessQuery(req);
+    const customerId = String(req.params.customerId || "").trim();
+    if (!customerId) throw asApiError(400, "Missing customerId");
 
-    const invoiceRef = firestore
+    const customerRef = firestore
       .collection("users")
       .doc(uid)
       .collection("businesses")
       .doc(businessId)
-      .collection("invoices")
-      .doc(invoiceId);
-
-    const invoiceSnap = await invoiceRef.get();
-    if (!invoiceSnap.exists) {
-      throw asApiError(404, "Invoice not found");
+      .collection("customers")
+      .doc(customerId);
+    const customerSnap = await customerRef.get();
+    if (!customerSnap.exists) {
+      throw asApiError(404, "Customer not found");
     }
 
-    // Backward compatible: this endpoint validates in BETA.
-    const response = await fetch(`${getSunatWorkerUrl()}/sunat/cpe/emit`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader,
-      },
-      body: JSON.stringify({ businessId, invoiceId, env: "BETA" }),
-      signal: AbortSignal.timeout(actionTimeout),
-    });
+    // Invoices keep their own copy of the customer data, so deleting the master is safe.
+    await customerRef.delete();
+    return res.status(200).json({ ok: true, customerId });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-    const data = await response.json().catch(() => ({}));
-    if (!response.ok) {
-      throw asApiError(response.status, data?.error || "CPE emit failed");
+app.get("/billing/series", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const businessId = parseBusinessQuery(req);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const businessSnap = await businessRef.get();
+    if (!businessSnap.exists) {
+      throw asApiError(404, "Business not found");
     }
 
-    const updatedInvoiceSnap = await invoiceRef.get();
-    const invoice = mapInvoiceDoc(updatedInvoiceSnap.id, updatedInvoiceSnap.data() || {});
-    return res.status(200).json({ ok: true, result: data?.result || null, invoice });
+    const snap = await businessRef.collection("series").get();
+    const series = snap.docs
+      .map((docSnap) => mapSeriesDoc(docSnap.id, docSnap.data()))
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    return res.status(200).json({ ok: true, series });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -871,49 +6927,76 @@ app.post("/billing/invoices/:invoiceId/emit-cpe", requireAuth, async (req, res)
   }
 });
 
-app.post("/billing/invoices/:invoiceId/emit-cpe-prod", requireAuth, async (req, res) => {
+app.post("/billing/series", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
-    const invoiceId = String(req.params.invoiceId || "").trim();
-    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const payload = parseSeriesPayload(req.body || {});
+    const seriesId = buildSeriesId(payload.documentType, payload.serie);
+
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(payload.businessId);
+    const seriesRef = businessRef.collection("series").doc(seriesId);
+
+    const series = await firestore.runTransaction(async (transaction) => {
+      const [businessSnap, seriesSnap] = await Promise.all([transaction.get(businessRef), transaction.get(seriesRef)]);
+      if (!businessSnap.exists) {
+        throw asApiError(404, "Business not found");
+      }
+      if (seriesSnap.exists) {
+        throw asApiError(409, "Series already exists");
+      }
+
+      const record = {
+        documentType: payload.documentType,
+        serie: payload.serie,
+        // Numbers before startNumber were issued outside this backend and are not reported as gaps.
+        startNumber: payload.lastNumber + 1,
+        lastNumber: payload.lastNumber,
+        active: true,
+        createdBy: uid,
+        createdAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      };
+      transaction.set(seriesRef, record);
+      return mapSeriesDoc(seriesId, record);
+    });
+
+    return res.status(201).json({ ok: true, series });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
+
+app.post("/billing/series/:seriesId/deactivate", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const seriesId = String(req.params.seriesId || "").trim();
+    if (!seriesId) throw asApiError(400, "Missing seriesId");
 
     const businessId = String(req.body?.businessId || "").trim();
     if (!businessId) throw asApiError(400, "Missing businessId");
 
-    const authHeader = String(req.headers.authorization || "").trim();
-    if (!authHeader) throw asApiError(401, "Missing auth token");
-
-    const invoiceRef = firestore
+    const seriesRef = firestore
       .collection("users")
       .doc(uid)
       .collection("businesses")
       .doc(businessId)
-      .collection("invoices")
-      .doc(invoiceId);
+      .collection("series")
+      .doc(seriesId);
 
-    const invoiceSnap = await invoiceRef.get();
-    if (!invoiceSnap.exists) {
-      throw asApiError(404, "Invoice not found");
+    const seriesSnap = await seriesRef.get();
+    if (!seriesSnap.exists) {
+      throw asApiError(404, "Series not found");
     }
 
-    const response = await fetch(`${getSunatWorkerUrl()}/sunat/cpe/emit`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader,
-      },
-      body: JSON.stringify({ businessId, invoiceId, env: "PROD" }),
-      signal: AbortSignal.timeout(actionTimeout),
+    await seriesRef.update({
+      active: false,
+      updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
     });
 
-    const data = await response.json().catch(() => ({}));
-    if (!response.ok) {
-      throw asApiError(response.status, data?.error || "CPE emit failed");
-    }
-
-    const updatedInvoiceSnap = await invoiceRef.get();
-    const invoice = mapInvoiceDoc(updatedInvoiceSnap.id, updatedInvoiceSnap.data() || {});
-    return res.status(200).json({ ok: true, result: data?.result || null, invoice });
+    const series = mapSeriesDoc(seriesId, { ...seriesSnap.data(), active: false });
+    return res.status(200).json({ ok: true, series });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -921,41 +7004,90 @@ app.post("/billing/invoices/:invoiceId/emit-cpe-prod", requireAuth, async (req,
   }
 });
 
-app.get("/billing/invoices/:invoiceId/cdr", requireAuth, async (req, res) => {
+app.get("/billing/series/:seriesId/gaps", requireAuth, async (req, res) => {
   try {
     const uid = req.user.uid;
     const businessId = parseBusinessQuery(req);
-    const invoiceId = String(req.params.invoiceId || "").trim();
-    if (!invoiceId) throw asApiError(400, "Missing invoiceId");
+    const seriesId = String(req.params.seriesId || "").trim();
+    if (!seriesId) throw asApiError(400, "Missing seriesId");
 
-    const env = String(req.query.env || "PROD").trim().toUpperCase();
-    if (!SUNAT_CDR_ENVS.has(env)) {
-      throw asApiError(400, "Invalid env");
+    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
+    const seriesSnap = await businessRef.collection("series").doc(seriesId).get();
+    if (!seriesSnap.exists) {
+      throw asApiError(404, "Series not found");
     }
 
-    const businessRef = firestore.collection("users").doc(uid).collection("businesses").doc(businessId);
-    const invoiceRef = businessRef.collection("invoices").doc(invoiceId);
+    const series = mapSeriesDoc(seriesId, seriesSnap.data());
+    const invoicesSnap = await businessRef
+      .collection("invoices")
+      .where("documentType", "==", series.documentType)
+      .where("serie", "==", series.serie)
+      .select("numero")
+      .get();
 
-    const [businessSnap, invoiceSnap] = await Promise.all([businessRef.get(), invoiceRef.get()]);
-    if (!businessSnap.exists) throw asApiError(404, "Business not found");
-    if (!invoiceSnap.exists) throw asApiError(404, "Invoice not found");
+    const used = new Set(
+      invoicesSnap.docs.map((docSnap) => parseCorrelative(docSnap.get("numero"))).filter((value) => value !== null)
+    );
+    const { missing, missingCount } = findCorrelativeGaps(used, series.startNumber, series.lastNumber);
 
-    const business = businessSnap.data() || {};
-    const invoice = invoiceSnap.data() || {};
+    return res.status(200).json({
+      ok: true,
+      series,
+      issuedCount: used.size,
+      missingCount,
+      missing,
+      truncated: missingCount > missing.length,
+    });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-    const prefix = env === "PROD" ? "cpe" : "cpeBeta";
-    const zipBase64 = invoice?.[`${prefix}ZipBase64`] || null;
-    if (!zipBase64) {
-      throw asApiError(404, "CDR not found");
+app.get("/billing/exchange-rates", requireAuth, async (req, res) => {
+  try {
+    const { currency, date } = parseExchangeRateParams({
+      currency: req.query.currency || "USD",
+      date: req.query.date || toDateKey(new Date()),
+    });
+
+    const rate = await findExchangeRate(currency, new Date(date));
+    if (!rate) {
+      throw asApiError(404, "Exchange rate not found");
     }
 
-    const ruc = String(business?.ruc || "").trim() || "RUC";
-    const typeCode = docTypeCode(invoice?.documentType) || "XX";
-    const serie = String(invoice?.serie || "S").trim().toUpperCase();
-    const numero = String(invoice?.numero || "0").trim().toUpperCase();
-    const filename = `R-${ruc}-${typeCode}-${serie}-${numero}.zip`;
+    return res.status(200).json({ ok: true, currency, date, rate });
+  } catch (error) {
+    const status = Number(error?.status) || 500;
+    const message = status >= 500 ? "Server error" : error?.message || "Billing error";
+    return res.status(status).json({ error: message });
+  }
+});
 
-    return res.status(200).json({ ok: true, filename, zipBase64 });
+app.put("/billing/exchange-rates/:currency/:date", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { currency, date } = parseExchangeRateParams(req.params);
+    const buy = parseExchangeRate(req.body?.buy);
+    const sell = parseExchangeRate(req.body?.sell);
+    if (!buy || !sell) {
+      throw asApiError(400, "Invalid buy or sell");
+    }
+
+    await firestore
+      .collection("exchange_rates")
+      .doc(currency)
+      .collection("daily")
+      .doc(date)
+      .set({
+        buy,
+        sell,
+        source: String(req.body?.source || "MANUAL").trim().toUpperCase(),
+        updatedBy: req.user.uid,
+        updatedAt: firebaseAdmin.firestore.FieldValue.serverTimestamp(),
+      });
+
+    return res.status(200).json({ ok: true, currency, date, buy, sell });
   } catch (error) {
     const status = Number(error?.status) || 500;
     const message = status >= 500 ? "Server error" : error?.message || "Billing error";
@@ -0,0 +1,250 @@
+// Invoice line parsing and SUNAT operation totals. Pure functions over request bodies, so the
+// rounding rules can be tested without Firestore.
+
+import { asApiError, round2 } from "./utils.js";
+
+export const DEFAULT_IGV_RATE = 0.18;
+// ICBPER: soles per plastic bag since 2023 (Ley 30884).
+export const ICBPER_RATE = 0.5;
+// SUNAT catalogo 07: tipo de afectacion del IGV.
+export const IGV_AFFECTATIONS = {
+  10: { group: "GRAVADO", free: false },
+  11: { group: "GRAVADO", free: true },
+  12: { group: "GRAVADO", free: true },
+  13: { group: "GRAVADO", free: true },
+  14: { group: "GRAVADO", free: true },
+  15: { group: "GRAVADO", free: true },
+  16: { group: "GRAVADO", free: true },
+  20: { group: "EXONERADO", free: false },
+  21: { group: "EXONERADO", free: true },
+  30: { group: "INAFECTO", free: false },
+  31: { group: "INAFECTO", free: true },
+  32: { group: "INAFECTO", free: true },
+  33: { group: "INAFECTO", free: true },
+  34: { group: "INAFECTO", free: true },
+  35: { group: "INAFECTO", free: true },
+  36: { group: "INAFECTO", free: true },
+  40: { group: "EXPORTACION", free: false },
+};
+// SUNAT catalogo 03 (UN/ECE rec. 20): units most used in Peruvian invoicing.
+export const UNIT_CODES = new Set([
+  "NIU", "ZZ", "C62", "KGM", "GRM", "TNE", "LTR", "MLT", "GLL", "MTR", "CMT", "KTM", "MTK", "MTQ",
+  "BX", "PK", "BG", "BO", "BE", "CT", "DZN", "SET", "PR", "CEN", "MIL", "UM", "HUR", "DAY", "MON", "ANN",
+  "KWH", "KT", "4A",
+]);
+
+export const parseDecimal = (value) => {
+  const normalized = String(value ?? "").trim().replace(",", ".");
+  const parsed = Number(normalized);
+  if (!Number.isFinite(parsed)) return null;
+  return parsed;
+};
+
+export const parseTaxRate = (value) => {
+  const parsed = parseDecimal(value);
+  if (parsed === null || parsed < 0) return null;
+  if (parsed > 100) return null;
+  return parsed > 1 ? parsed / 100 : parsed;
+};
+
+// Unit values derived from gross prices keep SUNAT's 10 decimals so quantity x value reproduces the line.
+const round10 = (value) => Math.round(Number(value || 0) * 1e10) / 1e10;
+
+export const parseInvoiceItem = (item, { pricesIncludeTax = false } = {}) => {
+  const description = String(item?.description || "").trim();
+  const quantity = parseDecimal(item?.quantity);
+  const unitPrice = parseDecimal(item?.unitPrice);
+  const hasTaxRate = item?.taxRate !== undefined && item?.taxRate !== null && item?.taxRate !== "";
+  const parsedRate = hasTaxRate ? parseTaxRate(item.taxRate) : null;
+  const hasAffectation = Boolean(item?.igvAffectation);
+  // A rate can only be inferred from an explicit igvAffectation; otherwise it is required.
+  if (!description || quantity === null || unitPrice === null || (hasTaxRate ? parsedRate === null : !hasAffectation)) {
+    throw asApiError(400, "Invalid item fields");
+  }
+  if (quantity <= 0 || unitPrice < 0) {
+    throw asApiError(400, "Invalid item values");
+  }
+
+  // Without an explicit code, items with a positive rate are gravados and items at 0% are exonerados.
+  const igvAffectation = hasAffectation ? String(item.igvAffectation).trim() : parsedRate > 0 ? "10" : "20";
+  const affectation = IGV_AFFECTATIONS[igvAffectation];
+  if (!affectation) {
+    throw asApiError(400, "Invalid igvAffectation");
+  }
+
+  const isGravado = affectation.group === "GRAVADO";
+  const taxRate = parsedRate ?? (isGravado ? DEFAULT_IGV_RATE : 0);
+  if (isGravado ? taxRate <= 0 : taxRate !== 0) {
+    throw asApiError(400, `taxRate is not consistent with igvAffectation ${igvAffectation}`);
+  }
+
+  const unitCode = String(item?.unitCode || "NIU").trim().toUpperCase();
+  if (!UNIT_CODES.has(unitCode)) {
+    throw asApiError(400, "Invalid unitCode");
+  }
+
+  const hasDiscount = item?.discount !== undefined && item?.discount !== null && item?.discount !== "";
+  const discountInput = hasDiscount ? parseDecimal(item.discount) : 0;
+  if (discountInput === null || discountInput < 0 || round2(discountInput) > round2(quantity * unitPrice)) {
+    throw asApiError(400, "Invalid item discount");
+  }
+  const discount = round2(discountInput);
+  if (discount > 0 && affectation.free) {
+    throw asApiError(400, "Free items cannot have a discount");
+  }
+
+  // With gross prices the entered line amount is kept exactly: the net value is rounded once and
+  // IGV takes the remainder, so subtotal + igv always equals quantity x unitPrice - discount.
+  // Discounts use the same basis as unitPrice and are stored net for the CPE (SUNAT code 00).
+  const gross = pricesIncludeTax ? round2(round2(quantity * unitPrice) - discount) : null;
+  const subtotal = pricesIncludeTax ? round2(gross / (1 + taxRate)) : round2(round2(quantity * unitPrice) - discount);
+  const igv = pricesIncludeTax ? round2(gross - subtotal) : round2(subtotal * taxRate);
+  const netValue = pricesIncludeTax ? round2(round2(quantity * unitPrice) / (1 + taxRate)) : round2(quantity * unitPrice);
+  const netDiscount = round2(netValue - subtotal);
+  const icbper = item?.icbper === true || item?.icbper === "true";
+  // The tax is per bag, so the quantity of an ICBPER line is a bag count.
+  if (icbper && !Number.isInteger(quantity)) {
+    throw asApiError(400, "ICBPER items need a whole number of bags");
+  }
+  const icbperAmount = icbper ? round2(quantity * ICBPER_RATE) : 0;
+  return {
+    ...(item?.productId ? { productId: item.productId, productCode: item.productCode || "" } : {}),
+    description,
+    unitCode,
+    quantity: round2(quantity),
+    unitPrice: pricesIncludeTax ? round10(netValue / quantity) : round2(unitPrice),
+    ...(pricesIncludeTax ? { unitPriceWithTax: round2(unitPrice) } : {}),
+    taxRate: round2(taxRate),
+    igvAffectation,
+    free: affectation.free,
+    ...(discount > 0 ? { discount: netDiscount } : {}),
+    ...(discount > 0 && pricesIncludeTax ? { discountWithTax: discount } : {}),
+    ...(icbper ? { icbper: true, icbperAmount } : {}),
+    subtotal,
+    igv,
+    total: round2(subtotal + igv + icbperAmount),
+  };
+};
+
+// Splits item values into SUNAT operation totals. Free (gratuita) lines are reported but not charged.
+export const summarizeInvoiceItems = (items = []) => {
+  const totals = {
+    opGravadas: 0,
+    opExoneradas: 0,
+    opInafectas: 0,
+    opExportacion: 0,
+    opGratuitas: 0,
+    igvGratuitas: 0,
+    lineDiscounts: 0,
+    icbper: 0,
+    subtotal: 0,
+    igv: 0,
+    total: 0,
+  };
+
+  items.forEach((item) => {
+    const code = item?.igvAffectation || (Number(item?.taxRate || 0) > 0 ? "10" : "20");
+    const affectation = IGV_AFFECTATIONS[code] || IGV_AFFECTATIONS["10"];
+    const subtotal = Number(item?.subtotal || 0);
+    const igv = Number(item?.igv || 0);
+    // ICBPER is charged per bag even when the bag itself is given away.
+    totals.icbper += Number(item?.icbperAmount || 0);
+    totals.lineDiscounts += Number(item?.discount || 0);
+
+    if (affectation.free) {
+      totals.opGratuitas += subtotal;
+      totals.igvGratuitas += igv;
+      return;
+    }
+
+    if (affectation.group === "GRAVADO") totals.opGravadas += subtotal;
+    if (affectation.group === "EXONERADO") totals.opExoneradas += subtotal;
+    if (affectation.group === "INAFECTO") totals.opInafectas += subtotal;
+    if (affectation.group === "EXPORTACION") totals.opExportacion += subtotal;
+    totals.subtotal += subtotal;
+    totals.igv += igv;
+  });
+
+  totals.total = totals.subtotal + totals.igv + totals.icbper;
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round2(value)]));
+};
+
+// Operation groups a code 02 discount can lower; free lines are not charged, so they are left out.
+const DISCOUNT_GROUPS = ["opGravadas", "opExoneradas", "opInafectas", "opExportacion"];
+
+// Global discount and other charges on top of the item totals. A discount that affects the base
+// (SUNAT code 02) is entered on the same basis as the line prices and spread over the operation groups
+// in proportion to their amounts, lowering the gravado IGV with it; otherwise (code 03) it only lowers
+// the total. The stored `globalDiscount` of a code 02 discount is net, with `globalDiscountWithTax` as
+// entered on gross prices.
+export const applyGlobalAdjustments = (body, totals, { pricesIncludeTax = false } = {}) => {
+  const discountInput = body.globalDiscount || null;
+  const chargesInput = body.otherCharges || null;
+  const adjusted = {
+    ...totals,
+    globalDiscount: 0,
+    globalDiscountWithTax: 0,
+    globalDiscountAffectsBase: null,
+    globalDiscountIgv: 0,
+    otherCharges: 0,
+    otherChargesDescription: null,
+  };
+
+  if (discountInput) {
+    const amount = parseDecimal(discountInput.amount);
+    if (amount === null || amount <= 0) {
+      throw asApiError(400, "Invalid globalDiscount amount");
+    }
+    const affectsBase = discountInput.affectsBase !== false && discountInput.affectsBase !== "false";
+    const discount = round2(amount);
+    if (affectsBase) {
+      const groups = DISCOUNT_GROUPS.filter((field) => totals[field] > 0);
+      const basis = (field) => (field === "opGravadas" && pricesIncludeTax ? round2(totals.opGravadas + totals.igv) : totals[field]);
+      const discountable = round2(groups.reduce((sum, field) => sum + basis(field), 0));
+      if (discount > discountable) {
+        throw asApiError(400, "globalDiscount exceeds the discountable amount");
+      }
+      // The last group takes the rounding remainder so the shares add up to the discount.
+      let remaining = discount;
+      let netDiscount = 0;
+      let igvReduction = 0;
+      groups.forEach((field, index) => {
+        const share = index === groups.length - 1 ? remaining : Math.min(remaining, round2((discount * basis(field)) / discountable));
+        remaining = round2(remaining - share);
+        let net = share;
+        if (field === "opGravadas") {
+          // Gross shares are split like a gross line; net shares reduce IGV in the same proportion.
+          net = pricesIncludeTax ? round2((share * totals.opGravadas) / basis(field)) : share;
+          igvReduction = pricesIncludeTax ? round2(share - net) : round2((totals.igv * share) / totals.opGravadas);
+        }
+        adjusted[field] = round2(totals[field] - net);
+        netDiscount = round2(netDiscount + net);
+      });
+      Object.assign(adjusted, {
+        subtotal: round2(totals.subtotal - netDiscount),
+        igv: round2(totals.igv - igvReduction),
+        globalDiscount: netDiscount,
+        globalDiscountWithTax: pricesIncludeTax ? discount : 0,
+        globalDiscountIgv: igvReduction,
+      });
+    } else if (discount > totals.total) {
+      throw asApiError(400, "globalDiscount exceeds total");
+    } else {
+      adjusted.globalDiscount = discount;
+    }
+    adjusted.globalDiscountAffectsBase = affectsBase;
+  }
+
+  if (chargesInput) {
+    const amount = parseDecimal(chargesInput.amount);
+    if (amount === null || amount <= 0) {
+      throw asApiError(400, "Invalid otherCharges amount");
+    }
+    adjusted.otherCharges = round2(amount);
+    adjusted.otherChargesDescription = String(chargesInput.description || "").trim() || "Otros cargos";
+  }
+
+  const unbasedDiscount = adjusted.globalDiscountAffectsBase === false ? adjusted.globalDiscount : 0;
+  adjusted.total = round2(adjusted.subtotal + adjusted.igv + adjusted.icbper + adjusted.otherCharges - unbasedDiscount);
+  return adjusted;
+};
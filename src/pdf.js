@@ -0,0 +1,324 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+
+const DOCUMENT_TITLES = {
+  "01": "FACTURA ELECTRÓNICA",
+  "03": "BOLETA DE VENTA ELECTRÓNICA",
+  "07": "NOTA DE CRÉDITO ELECTRÓNICA",
+  "08": "NOTA DE DÉBITO ELECTRÓNICA",
+};
+
+const CURRENCY_WORDS = { PEN: "SOLES", USD: "DÓLARES AMERICANOS" };
+const CURRENCY_SYMBOLS = { PEN: "S/", USD: "US$" };
+
+// SUNAT catalogo 06.
+const CUSTOMER_DOC_CODES = { RUC: "6", DNI: "1", OTRO: "0" };
+
+const UNITS = [
+  "", "UNO", "DOS", "TRES", "CUATRO", "CINCO", "SEIS", "SIETE", "OCHO", "NUEVE", "DIEZ",
+  "ONCE", "DOCE", "TRECE", "CATORCE", "QUINCE", "DIECISÉIS", "DIECISIETE", "DIECIOCHO", "DIECINUEVE", "VEINTE",
+  "VEINTIUNO", "VEINTIDÓS", "VEINTITRÉS", "VEINTICUATRO", "VEINTICINCO", "VEINTISÉIS", "VEINTISIETE", "VEINTIOCHO", "VEINTINUEVE",
+];
+const TENS = ["", "", "", "TREINTA", "CUARENTA", "CINCUENTA", "SESENTA", "SETENTA", "OCHENTA", "NOVENTA"];
+const HUNDREDS = [
+  "", "CIENTO", "DOSCIENTOS", "TRESCIENTOS", "CUATROCIENTOS", "QUINIENTOS", "SEISCIENTOS", "SETECIENTOS", "OCHOCIENTOS", "NOVECIENTOS",
+];
+
+const belowThousand = (value) => {
+  if (value === 100) return "CIEN";
+  const hundreds = Math.floor(value / 100);
+  const rest = value % 100;
+  let words = HUNDREDS[hundreds];
+  if (rest > 0) {
+    const restWords = rest < 30 ? UNITS[rest] : `${TENS[Math.floor(rest / 10)]}${rest % 10 ? ` Y ${UNITS[rest % 10]}` : ""}`;
+    words = words ? `${words} ${restWords}` : restWords;
+  }
+  return words;
+};
+
+// "UNO" shortens to "UN" before MIL and MILLON(ES).
+const apocope = (words) => words.replace(/VEINTIUNO$/, "VEINTIÚN").replace(/UNO$/, "UN");
+
+const integerToWords = (value) => {
+  if (value === 0) return "CERO";
+
+  const millions = Math.floor(value / 1000000);
+  const thousands = Math.floor((value % 1000000) / 1000);
+  const rest = value % 1000;
+  const parts = [];
+
+  if (millions) {
+    parts.push(millions === 1 ? "UN MILLÓN" : `${apocope(integerToWords(millions))} MILLONES`);
+  }
+  if (thousands) {
+    parts.push(thousands === 1 ? "MIL" : `${apocope(belowThousand(thousands))} MIL`);
+  }
+  if (rest) {
+    parts.push(belowThousand(rest));
+  }
+  return parts.join(" ");
+};
+
+export const amountToWords = (amount, currency = "PEN") => {
+  const cents = Math.round(Math.abs(Number(amount || 0)) * 100);
+  const integer = Math.floor(cents / 100);
+  const decimals = String(cents % 100).padStart(2, "0");
+  return `SON: ${integerToWords(integer)} CON ${decimals}/100 ${CURRENCY_WORDS[currency] || currency}`;
+};
+
+// Payload printed in the QR per SUNAT: RUC|TIPO|SERIE|NUMERO|IGV|TOTAL|FECHA|TIPO DOC ADQ|NUM DOC ADQ|HASH|
+export const buildQrPayload = ({ ruc, typeCode, invoice }) =>
+  [
+    ruc,
+    typeCode,
+    invoice.serie,
+    invoice.numero,
+    Number(invoice.igv || 0).toFixed(2),
+    Number(invoice.total || 0).toFixed(2),
+    String(invoice.issueDate || "").slice(0, 10),
+    CUSTOMER_DOC_CODES[invoice.customerDocumentType] || "0",
+    invoice.customerDocumentNumber || "",
+    invoice.cpeHash || "",
+  ].join("|") + "|";
+
+const money = (value) =>
+  Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const percent = (rate) => Math.round(Number(rate || 0) * 10000) / 100;
+
+const formatDate = (iso) => {
+  const value = String(iso || "").slice(0, 10);
+  if (!value) return "-";
+  const [year, month, day] = value.split("-");
+  return `${day}/${month}/${year}`;
+};
+
+const cpeStatusLabel = (invoice) => {
+  if (invoice.status === "ANULADO") return "Comprobante ANULADO";
+  if (invoice.status === "BORRADOR") return "BORRADOR - sin validez tributaria";
+  if (invoice.cpeStatus === "ACEPTADO") return "Aceptado por SUNAT";
+  if (invoice.cpeStatus === "RECHAZADO") return "Rechazado por SUNAT";
+  if (invoice.cpeStatus) return `Estado SUNAT: ${invoice.cpeStatus}`;
+  return "Pendiente de envío a SUNAT";
+};
+
+const totalsRows = (invoice) => {
+  const symbol = CURRENCY_SYMBOLS[invoice.currency] || invoice.currency;
+  const rows = [];
+  const push = (label, value, always = false) => {
+    if (always || Number(value || 0) !== 0) rows.push([label, `${symbol} ${money(value)}`]);
+  };
+
+  push("Op. Gravadas", invoice.opGravadas, true);
+  push("Op. Exoneradas", invoice.opExoneradas);
+  push("Op. Inafectas", invoice.opInafectas);
+  push("Op. Exportación", invoice.opExportacion);
+  push("Op. Gratuitas", invoice.opGratuitas);
+  push("Descuentos", Number(invoice.lineDiscounts || 0) + Number(invoice.globalDiscount || 0));
+  push("IGV", invoice.igv, true);
+  push("ICBPER", invoice.icbper);
+  push(invoice.otherChargesDescription || "Otros cargos", invoice.otherCharges);
+  push("Importe Total", invoice.total, true);
+  push("Percepción", invoice.percepcionAmount);
+  return rows;
+};
+
+const withholdingLines = (invoice) => {
+  const lines = [];
+  if (invoice.detraccionCode) {
+    lines.push(
+      `Operación sujeta a detracción (${invoice.detraccionCode}) ${percent(invoice.detraccionRate)}%: ` +
+        `S/ ${money(invoice.detraccionAmountPen)} - Cta. Banco de la Nación ${invoice.detraccionBankAccount}`
+    );
+  }
+  if (invoice.retencionAmount > 0) {
+    lines.push(`Retención ${percent(invoice.retencionRate)}%: ${money(invoice.retencionAmount)}`);
+  }
+  return lines;
+};
+
+const renderA4 = (doc, { business, invoice, typeCode, qrImage }) => {
+  const title = DOCUMENT_TITLES[typeCode] || "COMPROBANTE ELECTRÓNICO";
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font("Helvetica-Bold").fontSize(14).text(business.name || "", left, 40, { width: 300 });
+  doc.font("Helvetica").fontSize(9);
+  if (business.address) doc.text(business.address, { width: 300 });
+
+  doc.rect(left + width - 200, 40, 200, 70).stroke();
+  doc.font("Helvetica-Bold").fontSize(11);
+  doc.text(`RUC ${business.ruc || ""}`, left + width - 200, 50, { width: 200, align: "center" });
+  doc.text(title, { width: 200, align: "center" });
+  doc.text(`${invoice.serie}-${invoice.numero}`, { width: 200, align: "center" });
+
+  doc.font("Helvetica").fontSize(9);
+  let y = 130;
+  const field = (label, value) => {
+    doc.font("Helvetica-Bold").text(label, left, y, { width: 110 });
+    doc.font("Helvetica").text(value || "-", left + 110, y, { width: width - 110 });
+    y = doc.y + 2;
+  };
+  field("Cliente:", invoice.customerName);
+  field(`${invoice.customerDocumentType}:`, invoice.customerDocumentNumber);
+  if (invoice.customerAddress) field("Dirección:", invoice.customerAddress);
+  field("Fecha de emisión:", formatDate(invoice.issueDate));
+  if (invoice.dueDate) field("Fecha de vencimiento:", formatDate(invoice.dueDate));
+  field("Moneda:", invoice.currency);
+  if (invoice.referenceSerie) {
+    field("Documento que modifica:", `${invoice.referenceSerie}-${invoice.referenceNumero}`);
+    field("Motivo:", `${invoice.noteReasonCode} - ${invoice.noteReason || ""}`);
+  }
+
+  y += 10;
+  const columns = [
+    { label: "Cant.", width: 45, align: "right" },
+    { label: "Unid.", width: 40, align: "left" },
+    { label: "Descripción", width: width - 275, align: "left" },
+    { label: "V. Unit.", width: 60, align: "right" },
+    { label: "P. Unit.", width: 60, align: "right" },
+    { label: "Importe", width: 70, align: "right" },
+  ];
+  const drawRow = (values, bold = false) => {
+    let x = left;
+    let rowBottom = y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    values.forEach((value, index) => {
+      const column = columns[index];
+      doc.text(value, x + 2, y, { width: column.width - 4, align: column.align });
+      rowBottom = Math.max(rowBottom, doc.y);
+      x += column.width;
+    });
+    y = rowBottom + 4;
+  };
+
+  drawRow(columns.map((column) => column.label), true);
+  doc.moveTo(left, y - 2).lineTo(left + width, y - 2).stroke();
+  (invoice.items || []).forEach((item) => {
+    const quantity = Number(item.quantity || 0);
+    const unitValue = quantity ? (Number(item.subtotal || 0) + Number(item.discount || 0)) / quantity : 0;
+    const unitPrice = quantity ? (Number(item.subtotal || 0) + Number(item.igv || 0)) / quantity : 0;
+    if (y > doc.page.height - 220) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    drawRow([
+      String(quantity),
+      item.unitCode || "NIU",
+      [
+        item.description,
+        item.free ? "(gratuito)" : "",
+        item.discount ? `(dscto. ${money(item.discount)})` : "",
+        item.icbperAmount ? `(ICBPER ${money(item.icbperAmount)})` : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+      money(unitValue),
+      money(unitPrice),
+      money(item.free ? 0 : item.total),
+    ]);
+  });
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+
+  y += 8;
+  totalsRows(invoice).forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").text(label, left + width - 220, y, { width: 120, align: "right" });
+    doc.font("Helvetica").text(value, left + width - 100, y, { width: 100, align: "right" });
+    y = doc.y + 2;
+  });
+
+  y += 6;
+  doc.font("Helvetica-Bold").text(amountToWords(invoice.total, invoice.currency), left, y, { width });
+  y = doc.y + 4;
+  doc.font("Helvetica");
+  withholdingLines(invoice).forEach((line) => {
+    doc.text(line, left, y, { width });
+    y = doc.y + 2;
+  });
+
+  y += 10;
+  doc.image(qrImage, left, y, { width: 90 });
+  doc.text(cpeStatusLabel(invoice), left + 100, y + 10, { width: width - 100 });
+  if (invoice.cpeHash) doc.text(`Resumen: ${invoice.cpeHash}`, left + 100, doc.y + 2, { width: width - 100 });
+  doc.text(`Representación impresa de la ${title.toLowerCase()}.`, left + 100, doc.y + 2, { width: width - 100 });
+};
+
+const TICKET_WIDTH = 226;
+
+const renderTicket = (doc, { business, invoice, typeCode, qrImage }) => {
+  const title = DOCUMENT_TITLES[typeCode] || "COMPROBANTE ELECTRÓNICO";
+  const left = 10;
+  const width = TICKET_WIDTH - 20;
+  const center = { width, align: "center" };
+
+  doc.font("Helvetica-Bold").fontSize(9).text(business.name || "", left, 10, center);
+  doc.font("Helvetica").fontSize(7).text(`RUC ${business.ruc || ""}`, center);
+  if (business.address) doc.text(business.address, center);
+  doc.moveDown(0.5).font("Helvetica-Bold").text(title, center).text(`${invoice.serie}-${invoice.numero}`, center);
+
+  doc.moveDown(0.5).font("Helvetica");
+  doc.text(`Fecha: ${formatDate(invoice.issueDate)}`, left, doc.y, { width });
+  doc.text(`Cliente: ${invoice.customerName || "-"}`, { width });
+  doc.text(`${invoice.customerDocumentType}: ${invoice.customerDocumentNumber || "-"}`, { width });
+  if (invoice.referenceSerie) {
+    doc.text(`Modifica: ${invoice.referenceSerie}-${invoice.referenceNumero} (${invoice.noteReasonCode})`, { width });
+  }
+
+  doc.moveDown(0.5);
+  (invoice.items || []).forEach((item) => {
+    doc.text(item.description, left, doc.y, { width });
+    const lineY = doc.y;
+    doc.text(`${item.quantity} x ${money(Number(item.total || 0) / Number(item.quantity || 1))}`, left, lineY, { width: width / 2 });
+    doc.text(money(item.free ? 0 : item.total), left + width / 2, lineY, { width: width / 2, align: "right" });
+  });
+
+  doc.moveDown(0.5);
+  totalsRows(invoice).forEach(([label, value]) => {
+    const lineY = doc.y;
+    doc.text(label, left, lineY, { width: width / 2 });
+    doc.text(value, left + width / 2, lineY, { width: width / 2, align: "right" });
+  });
+
+  doc.moveDown(0.5).font("Helvetica-Bold").text(amountToWords(invoice.total, invoice.currency), left, doc.y, { width });
+  doc.font("Helvetica");
+  withholdingLines(invoice).forEach((line) => doc.text(line, { width }));
+
+  doc.moveDown(0.5);
+  doc.image(qrImage, left + (width - 90) / 2, doc.y, { width: 90 });
+  doc.moveDown(0.5).text(cpeStatusLabel(invoice), left, doc.y, center);
+  if (invoice.cpeHash) doc.text(`Resumen: ${invoice.cpeHash}`, center);
+  doc.text(`Representación impresa de la ${title.toLowerCase()}.`, center);
+};
+
+// The ticket height grows with the number of lines so the roll is not cut mid-document.
+const ticketHeight = (invoice) => 420 + (invoice.items || []).length * 24;
+
+export const renderInvoicePdf = async ({ business, invoice, typeCode, format = "A4" }) => {
+  const qrImage = await QRCode.toBuffer(buildQrPayload({ ruc: business.ruc, typeCode, invoice }), {
+    errorCorrectionLevel: "Q",
+    margin: 1,
+    width: 240,
+  });
+
+  const isTicket = format === "TICKET";
+  const doc = new PDFDocument(
+    isTicket ? { size: [TICKET_WIDTH, ticketHeight(invoice)], margin: 10 } : { size: "A4", margin: 40 }
+  );
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const context = { business, invoice, typeCode, qrImage };
+  if (isTicket) {
+    renderTicket(doc, context);
+  } else {
+    renderA4(doc, context);
+  }
+  doc.end();
+
+  return done;
+};
@@ -0,0 +1,97 @@
+// PLE (Programa de Libros Electronicos) text exports. Format 14.1: Registro de Ventas e Ingresos,
+// one pipe-terminated line per comprobante with amounts in soles. The PLE reads the files as
+// ISO-8859-1 text, so they are written with encodePleText rather than as UTF-8.
+
+import { round2 } from "./utils.js";
+
+const VENTAS_BOOK_CODE = "140100";
+
+// SUNAT tabla 2 (tipo de documento de identidad).
+const CUSTOMER_DOC_CODES = { RUC: "6", DNI: "1", OTRO: "0" };
+
+// Estado de la anotacion: 1 = comprobante of the period, 2 = anulado in the period.
+const ENTRY_STATE_ISSUED = "1";
+const ENTRY_STATE_VOIDED = "2";
+
+const formatAmount = (value) => round2(value).toFixed(2);
+
+// ISO date or YYYY-MM-DD -> DD/MM/AAAA.
+const formatDate = (value) => {
+  const key = String(value || "").slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) return "";
+  const [year, month, day] = key.split("-");
+  return `${day}/${month}/${year}`;
+};
+
+// PLE fields cannot contain the separator or line breaks.
+const cleanText = (value, maxLength) =>
+  String(value || "")
+    .replace(/[|\s]+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+
+const toPen = (invoice, amount) =>
+  invoice.currency === "PEN" ? round2(amount) : round2(Number(amount || 0) * Number(invoice.exchangeRate || 1));
+
+/**
+ * Builds one 14.1 line. `entry` = { invoice (mapInvoiceDoc shape), typeCode, referenceTypeCode, sequence }.
+ * Credit notes are negative; anulados keep their identification with zero amounts.
+ */
+const buildVentasLine = (period, { invoice, typeCode, referenceTypeCode, sequence }) => {
+  const voided = invoice.status === "ANULADO";
+  const sign = typeCode === "07" ? -1 : 1;
+  const amount = (value) => formatAmount(voided ? 0 : sign * toPen(invoice, value));
+  const total = voided ? 0 : sign * round2(invoice.totalPen ?? toPen(invoice, invoice.total));
+  const isNote = typeCode === "07" || typeCode === "08";
+
+  return [
+    `${period}00`,
+    cleanText(invoice.id, 40),
+    `M${sequence}`,
+    formatDate(invoice.issueDate),
+    formatDate(invoice.dueDate),
+    typeCode,
+    invoice.serie,
+    invoice.numero,
+    "",
+    CUSTOMER_DOC_CODES[invoice.customerDocumentType] || "0",
+    cleanText(invoice.customerDocumentNumber, 15) || "-",
+    cleanText(invoice.customerName, 100) || "-",
+    amount(invoice.opExportacion),
+    amount(invoice.opGravadas),
+    formatAmount(0),
+    amount(invoice.igv),
+    formatAmount(0),
+    amount(invoice.opExoneradas),
+    amount(invoice.opInafectas),
+    formatAmount(0),
+    formatAmount(0),
+    formatAmount(0),
+    amount(invoice.icbper),
+    amount(invoice.otherCharges),
+    formatAmount(total),
+    invoice.currency,
+    Number(invoice.currency === "PEN" ? 1 : invoice.exchangeRate || 1).toFixed(3),
+    isNote ? formatDate(invoice.referenceIssueDate) : "",
+    isNote ? referenceTypeCode || "" : "",
+    isNote ? invoice.referenceSerie || "" : "",
+    isNote ? invoice.referenceNumero || "" : "",
+    "",
+    "",
+    "",
+    voided ? ENTRY_STATE_VOIDED : ENTRY_STATE_ISSUED,
+  ].join("|") + "|";
+};
+
+/** `period` is AAAAMM; entries are already filtered to the period and sorted. */
+export const buildPleVentasTxt = (period, entries) =>
+  entries.map((entry, index) => buildVentasLine(period, { ...entry, sequence: index + 1 })).join("\r\n");
+
+// LE + RUC + AAAAMM00 + libro + oportunidad (00) + operaciones (1) + contenido (1/0) + moneda (1 = soles) + generado por PLE (1).
+export const buildPleVentasFilename = (ruc, period, hasContent) =>
+  `LE${ruc}${period}00${VENTAS_BOOK_CODE}001${hasContent ? "1" : "0"}11.txt`;
+
+// Accents are composed first so they map to single ISO-8859-1 bytes; anything outside that set
+// (emoji, curly quotes) becomes "?" instead of a mangled byte.
+export const encodePleText = (txt) =>
+  Buffer.from(String(txt).normalize("NFC").replace(/[^\u0000-\u00ff]/g, "?"), "latin1");
@@ -0,0 +1,12 @@
+// RUC (Registro Unico de Contribuyentes) checks shared by customer, supplier and issuer validation.
+
+const RUC_PREFIXES = new Set(["10", "15", "16", "17", "20"]);
+const RUC_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// RUC check digit (modulo 11) over the first ten digits.
+export const isValidRuc = (value) => {
+  if (!/^\d{11}$/.test(value) || !RUC_PREFIXES.has(value.slice(0, 2))) return false;
+  const sum = RUC_WEIGHTS.reduce((acc, weight, index) => acc + weight * Number(value[index]), 0);
+  const check = (11 - (sum % 11)) % 10;
+  return check === Number(value[10]);
+};
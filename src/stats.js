@@ -0,0 +1,152 @@
+// Dashboard aggregates. Each issue day has an invoice_stats/{YYYY-MM-DD} doc that the route file keeps
+// with increments in the same transaction that writes the invoice; this module only computes the values.
+
+import { round2 } from "./utils.js";
+
+export const INVOICE_STATS_AMOUNTS = ["count", "salesPen", "subtotalPen", "igvPen", "collectedPen", "pendingPen"];
+
+const NOTE_TYPES = new Set(["NOTA_CREDITO", "NOTA_DEBITO"]);
+
+const toPen = (amount, exchangeRate) => round2(Number(amount || 0) * Number(exchangeRate || 1));
+
+// Firestore Timestamp, Date or ISO string -> YYYY-MM-DD (UTC, as issue dates are stored at midnight UTC).
+const toDateKey = (value) => {
+  if (!value) return null;
+  const date = typeof value?.toDate === "function" ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const nextDayKey = (dateKey) => new Date(new Date(`${dateKey}T00:00:00.000Z`).getTime() + 86400000).toISOString().slice(0, 10);
+
+// Invoices stored before `balance` existed: receivable after notes and percepcion, minus payments.
+const openBalance = (raw) =>
+  raw.balance ??
+  round2(
+    Math.max(
+      0,
+      Number(raw.total || 0) +
+        Number(raw.debitedAmount || 0) -
+        Number(raw.creditedAmount || 0) +
+        Number(raw.percepcionAmount || 0) -
+        Number(raw.paidAmount || 0)
+    )
+  );
+
+/**
+ * What one stored invoice adds to its issue day, as flat `group.name` keys, or null when it does not
+ * count. Amounts are in soles; drafts do not count, voided invoices only count in `count` and the status
+ * tallies, and notes only count towards sales. `pendingPen` is the balance at the last write, so it is
+ * what is still owed today, not what was owed at the end of the range.
+ */
+export const invoiceStatsContribution = (raw) => {
+  if (!raw || raw.status === "BORRADOR") return null;
+  const date = toDateKey(raw.issueDate);
+  if (!date) return null;
+
+  const voided = raw.status === "ANULADO";
+  const isNote = NOTE_TYPES.has(raw.documentType);
+  const sign = raw.documentType === "NOTA_CREDITO" ? -1 : 1;
+  const rate = raw.exchangeRate;
+  const sales = (penField, field) => (voided ? 0 : sign * Number(raw[penField] ?? toPen(raw[field], rate)));
+  const settled = !voided && !isNote;
+
+  const stats = {
+    count: 1,
+    salesPen: sales("totalPen", "total"),
+    subtotalPen: sales("subtotalPen", "subtotal"),
+    igvPen: sales("igvPen", "igv"),
+    collectedPen: settled ? toPen(raw.paidAmount, rate) : 0,
+    pendingPen: settled ? toPen(openBalance(raw), rate) : 0,
+    [`cpeStatus.${raw.cpeStatus || "NONE"}`]: 1,
+  };
+  if (!isNote) {
+    stats[`paymentStatus.${voided ? "ANULADO" : raw.paymentStatus || "PENDIENTE"}`] = 1;
+  }
+  return { date, stats };
+};
+
+// Adds contributions into one flat map per day, e.g. to rebuild a day from its invoices.
+export const sumInvoiceStats = (target, stats, sign = 1) => {
+  Object.entries(stats).forEach(([key, value]) => {
+    target[key] = round2(Number(target[key] || 0) + sign * value);
+  });
+  return target;
+};
+
+// `paymentStatus.PAGADO` -> { paymentStatus: { PAGADO } }, as Firestore merges nested maps.
+export const nestInvoiceStats = (flat, mapValue) => {
+  const nested = {};
+  Object.entries(flat).forEach(([key, value]) => {
+    const [group, name] = key.split(".");
+    if (name) {
+      nested[group] = { ...(nested[group] || {}), [name]: mapValue(value) };
+    } else {
+      nested[group] = mapValue(value);
+    }
+  });
+  return nested;
+};
+
+/**
+ * Overdue is a matter of time, so stored stats never hold it. Counts the open invoices issued in
+ * [from, to] that the invoice list shows as VENCIDO: unpaid (not PARCIAL) with a due date before `today`.
+ * `openInvoices` are stored invoice docs with a balance.
+ */
+export const summarizeOverdueInvoices = (openInvoices, { from, to, today }) =>
+  openInvoices.reduce(
+    (overdue, raw) => {
+      const issueDate = toDateKey(raw.issueDate);
+      const dueDate = toDateKey(raw.dueDate);
+      if (!issueDate || issueDate < from || issueDate > to || !dueDate || dueDate >= today) return overdue;
+      if (raw.status === "BORRADOR" || raw.status === "ANULADO" || NOTE_TYPES.has(raw.documentType)) return overdue;
+      if (raw.paymentStatus === "PARCIAL" || Number(raw.balance || 0) <= 0) return overdue;
+      return { count: overdue.count + 1, pendingPen: round2(overdue.pendingPen + toPen(raw.balance, raw.exchangeRate)) };
+    },
+    { count: 0, pendingPen: 0 }
+  );
+
+const emptyDashboardTotals = () => Object.fromEntries(INVOICE_STATS_AMOUNTS.map((field) => [field, 0]));
+
+const addDashboardTotals = (target, stats) => {
+  INVOICE_STATS_AMOUNTS.forEach((field) => {
+    target[field] = round2(target[field] + Number(stats[field] || 0));
+  });
+};
+
+/**
+ * Totals and a zero-filled series (one entry per day or month of the range) from invoice_stats docs.
+ * With `overdue` (see summarizeOverdueInvoices) the overdue invoices move from the PENDIENTE tally to
+ * VENCIDO and their balance is reported as `overduePen`.
+ */
+export const buildDashboardSummary = (statsDocs, { from, to, groupBy }, overdue = null) => {
+  const totals = { ...emptyDashboardTotals(), paymentStatus: {}, cpeStatus: {} };
+  const series = new Map();
+  for (let key = from; key <= to; key = nextDayKey(key)) {
+    const period = groupBy === "MONTH" ? key.slice(0, 7) : key;
+    if (!series.has(period)) series.set(period, { period, ...emptyDashboardTotals() });
+  }
+
+  statsDocs.forEach((stats) => {
+    addDashboardTotals(totals, stats);
+    ["paymentStatus", "cpeStatus"].forEach((group) => {
+      Object.entries(stats[group] || {}).forEach(([status, count]) => {
+        totals[group][status] = Number(totals[group][status] || 0) + Number(count || 0);
+      });
+    });
+    const entry = series.get(groupBy === "MONTH" ? stats.date.slice(0, 7) : stats.date);
+    if (entry) addDashboardTotals(entry, stats);
+  });
+
+  if (overdue) {
+    const moved = Math.min(overdue.count, Number(totals.paymentStatus.PENDIENTE || 0));
+    totals.paymentStatus.PENDIENTE = Number(totals.paymentStatus.PENDIENTE || 0) - moved;
+    totals.paymentStatus.VENCIDO = Number(totals.paymentStatus.VENCIDO || 0) + moved;
+    totals.overduePen = overdue.pendingPen;
+  }
+
+  // Tallies drop to zero when every invoice leaves a status; those keys are noise for charts.
+  ["paymentStatus", "cpeStatus"].forEach((group) => {
+    totals[group] = Object.fromEntries(Object.entries(totals[group]).filter(([, count]) => count > 0));
+  });
+  return { totals, series: [...series.values()] };
+};
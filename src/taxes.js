@@ -0,0 +1,211 @@
+// Monthly tax liquidation: IGV (debito - credito fiscal) and the renta payment on account per regime,
+// laid out like the Formulario Virtual 621. Declared amounts are whole soles, so boxes are rounded first
+// and every result is derived from the rounded boxes.
+
+import { round2 } from "./utils.js";
+
+export const TAX_REGIMES = ["RUS", "RER", "MYPE", "GENERAL"];
+
+// UIT per year; later years fall back to the latest known value.
+const UIT_BY_YEAR = { 2024: 5150, 2025: 5350, 2026: 5500 };
+
+// Nuevo RUS categories by monthly income or purchases (whichever is higher).
+const RUS_CATEGORIES = [
+  { category: 1, limit: 5000, cuota: 20 },
+  { category: 2, limit: 8000, cuota: 50 },
+];
+
+const RER_RATE = 0.015;
+const MYPE_REDUCED_RATE = 0.01;
+const MYPE_REDUCED_LIMIT_UIT = 300;
+const GENERAL_MIN_RATE = 0.015;
+
+const box = (value) => Math.round(Number(value || 0));
+
+const toPen = (invoice, amount) =>
+  invoice.currency === "PEN" ? round2(amount) : round2(Number(amount || 0) * Number(invoice.exchangeRate || 1));
+
+const uitForYear = (year) => {
+  const known = Object.keys(UIT_BY_YEAR).map(Number).sort((a, b) => a - b);
+  const match = known.filter((candidate) => candidate <= year).pop() ?? known[0];
+  return UIT_BY_YEAR[match];
+};
+
+/**
+ * Sales of the period in soles from issued invoices (mapInvoiceDoc shape, drafts and anulados already
+ * excluded). Credit notes are kept apart (casillas 102/103); debit notes add to the sales. `icbper` is
+ * the bag tax charged and `retenciones` what customers withheld as IGV retention agents.
+ */
+export const summarizeSales = (invoices) => {
+  const sales = {
+    gravadas: 0,
+    igv: 0,
+    creditNotesBase: 0,
+    creditNotesIgv: 0,
+    noGravadas: 0,
+    exportaciones: 0,
+    icbper: 0,
+    retenciones: 0,
+    count: 0,
+  };
+  invoices.forEach((invoice) => {
+    const gravadas = toPen(invoice, invoice.opGravadas);
+    const igv = toPen(invoice, invoice.igv);
+    const noGravadas = toPen(invoice, Number(invoice.opExoneradas || 0) + Number(invoice.opInafectas || 0));
+    const exportaciones = toPen(invoice, invoice.opExportacion);
+    const sign = invoice.documentType === "NOTA_CREDITO" ? -1 : 1;
+    if (sign < 0) {
+      sales.creditNotesBase += gravadas;
+      sales.creditNotesIgv += igv;
+    } else {
+      sales.gravadas += gravadas;
+      sales.igv += igv;
+    }
+    sales.noGravadas += sign * noGravadas;
+    sales.exportaciones += sign * exportaciones;
+    sales.icbper += sign * Number(invoice.icbper || 0);
+    sales.retenciones += toPen(invoice, invoice.retencionAmount);
+    sales.count += 1;
+  });
+  return Object.fromEntries(Object.entries(sales).map(([key, value]) => [key, key === "count" ? value : round2(value)]));
+};
+
+/**
+ * `entries` = [{ base, igv, noGravadas, total, percepciones }] in soles, negative for credit notes;
+ * `percepciones` is what suppliers charged as IGV perception agents.
+ */
+export const summarizePurchases = (entries) => {
+  const purchases = { base: 0, igv: 0, noGravadas: 0, total: 0, percepciones: 0, count: 0 };
+  entries.forEach((entry) => {
+    purchases.base += Number(entry.base || 0);
+    purchases.igv += Number(entry.igv || 0);
+    purchases.noGravadas += Number(entry.noGravadas || 0);
+    purchases.total += Number(entry.total || 0);
+    purchases.percepciones += Number(entry.percepciones || 0);
+    purchases.count += 1;
+  });
+  return Object.fromEntries(Object.entries(purchases).map(([key, value]) => [key, key === "count" ? value : round2(value)]));
+};
+
+// Ingresos netos for renta: all sales without IGV, net of credit notes.
+export const salesNetIncome = (sales) =>
+  round2(sales.gravadas - sales.creditNotesBase + sales.noGravadas + sales.exportaciones);
+
+const buildIgv = (sales, purchases, carryover) => {
+  const boxes = {
+    100: box(sales.gravadas),
+    101: box(sales.igv),
+    102: box(sales.creditNotesBase),
+    103: box(sales.creditNotesIgv),
+    105: box(sales.noGravadas),
+    106: box(sales.exportaciones),
+    107: box(purchases.base),
+    108: box(purchases.igv),
+    120: box(purchases.noGravadas),
+    145: box(carryover),
+    171: box(purchases.percepciones),
+    179: box(sales.retenciones),
+  };
+  const debito = boxes[101] - boxes[103];
+  const credito = boxes[108];
+  boxes[140] = debito - credito;
+  // The saldo a favor goes first, then percepciones and retenciones of the period; what they do not
+  // cover is reported as unapplied and does not enter the IGV carryover.
+  const afterCarryover = Math.max(0, boxes[140] - boxes[145]);
+  const percepcionesApplied = Math.min(boxes[171], afterCarryover);
+  const retencionesApplied = Math.min(boxes[179], afterCarryover - percepcionesApplied);
+  boxes[184] = afterCarryover - percepcionesApplied - retencionesApplied;
+
+  return {
+    debito,
+    credito,
+    resultante: boxes[140],
+    carryover: boxes[145],
+    percepciones: boxes[171],
+    retenciones: boxes[179],
+    unappliedPercepciones: boxes[171] - percepcionesApplied,
+    unappliedRetenciones: boxes[179] - retencionesApplied,
+    toPay: boxes[184],
+    nextCarryover: Math.max(0, boxes[145] - boxes[140]),
+    boxes,
+  };
+};
+
+// ICBPER is paid in full every period (tributo 7152); credit notes only lower it within the period.
+const buildIcbper = (sales) => {
+  const amount = box(Math.max(0, sales.icbper));
+  return { amount, toPay: amount };
+};
+
+const resolveRentaRate = ({ regime, ytdIncome, year, coefficient }) => {
+  if (regime === "RER") return { rate: RER_RATE, basis: "RER" };
+  if (regime === "MYPE" && ytdIncome <= MYPE_REDUCED_LIMIT_UIT * uitForYear(year)) {
+    return { rate: MYPE_REDUCED_RATE, basis: "MYPE_300_UIT" };
+  }
+  // General regime (and MYPE above 300 UIT): the higher of the coefficient and 1.5%.
+  const rate = Number(coefficient || 0);
+  return rate > GENERAL_MIN_RATE ? { rate, basis: "COEFFICIENT" } : { rate: GENERAL_MIN_RATE, basis: "MINIMUM_RATE" };
+};
+
+const buildRenta = ({ regime, netIncome, ytdIncome, year, coefficient }) => {
+  const { rate, basis } = resolveRentaRate({ regime, ytdIncome, year, coefficient });
+  const boxes = { 301: box(Math.max(0, netIncome)), 312: rate };
+  return { netIncome: boxes[301], rate, basis, ytdIncome: round2(ytdIncome), toPay: box(boxes[301] * rate), boxes };
+};
+
+// RUS pays a fixed cuota (Formulario 1611) instead of IGV and renta; above category 2 the business
+// must move to another regime.
+const buildRus = (netIncome, purchasesTotal) => {
+  const basis = round2(Math.max(netIncome, purchasesTotal, 0));
+  const match = RUS_CATEGORIES.find((category) => basis <= category.limit);
+  return {
+    basis,
+    category: match ? match.category : null,
+    toPay: match ? match.cuota : null,
+    exceedsLimit: !match,
+  };
+};
+
+/**
+ * `sales` from summarizeSales, `purchases` from summarizePurchases, `carryover` = saldo a favor of the
+ * previous period, `ytdIncome` = net income from January through the period (MYPE only).
+ */
+export const buildTaxLiquidation = ({ period, regime, sales, purchases, carryover = 0, ytdIncome = 0, coefficient = null }) => {
+  const year = Number(period.slice(0, 4));
+  const netIncome = salesNetIncome(sales);
+
+  const icbper = buildIcbper(sales);
+
+  if (regime === "RUS") {
+    const rus = buildRus(netIncome, purchases.total);
+    return {
+      period,
+      regime,
+      sales,
+      purchases,
+      netIncome,
+      igv: null,
+      renta: null,
+      icbper,
+      rus,
+      form621: null,
+      totalToPay: rus.toPay === null ? null : rus.toPay + icbper.toPay,
+    };
+  }
+
+  const igv = buildIgv(sales, purchases, carryover);
+  const renta = buildRenta({ regime, netIncome, ytdIncome, year, coefficient });
+  return {
+    period,
+    regime,
+    sales,
+    purchases,
+    netIncome,
+    igv,
+    renta,
+    icbper,
+    rus: null,
+    form621: { ...igv.boxes, ...renta.boxes },
+    totalToPay: igv.toPay + renta.toPay + icbper.toPay,
+  };
+};
@@ -0,0 +1,452 @@
+import { isValidRuc } from "./ruc.js";
+
+const NAMESPACES = {
+  cac: "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2",
+  cbc: "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2",
+  ds: "http://www.w3.org/2000/09/xmldsig#",
+  ext: "urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2",
+};
+
+const ROOTS = {
+  "01": { tag: "Invoice", ns: "urn:oasis:names:specification:ubl:schema:xsd:Invoice-2", line: "InvoiceLine", quantity: "InvoicedQuantity", total: "LegalMonetaryTotal" },
+  "03": { tag: "Invoice", ns: "urn:oasis:names:specification:ubl:schema:xsd:Invoice-2", line: "InvoiceLine", quantity: "InvoicedQuantity", total: "LegalMonetaryTotal" },
+  "07": { tag: "CreditNote", ns: "urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2", line: "CreditNoteLine", quantity: "CreditedQuantity", total: "LegalMonetaryTotal" },
+  "08": { tag: "DebitNote", ns: "urn:oasis:names:specification:ubl:schema:xsd:DebitNote-2", line: "DebitNoteLine", quantity: "DebitedQuantity", total: "RequestedMonetaryTotal" },
+};
+
+// SUNAT catalogo 06.
+const CUSTOMER_DOC_CODES = { RUC: "6", DNI: "1", OTRO: "0" };
+
+// SUNAT catalogo 05, keyed by the catalogo 07 affectation group.
+const TAX_SCHEMES = {
+  GRAVADO: { id: "1000", name: "IGV", code: "VAT" },
+  EXONERADO: { id: "9997", name: "EXO", code: "VAT" },
+  INAFECTO: { id: "9998", name: "INA", code: "FRE" },
+  EXPORTACION: { id: "9995", name: "EXP", code: "FRE" },
+  GRATUITO: { id: "9996", name: "GRA", code: "FRE" },
+  ICBPER: { id: "7152", name: "ICBPER", code: "OTH" },
+};
+
+const affectationGroup = (code) => {
+  const value = Number(code);
+  if (value >= 10 && value < 20) return "GRAVADO";
+  if (value >= 20 && value < 30) return "EXONERADO";
+  if (value >= 30 && value < 40) return "INAFECTO";
+  if (value === 40) return "EXPORTACION";
+  return null;
+};
+
+const isFreeAffectation = (code) => !["10", "20", "30", "40"].includes(String(code));
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const money = (value) => Number(value || 0).toFixed(2);
+const decimal = (value) => String(Math.round(Number(value || 0) * 1e10) / 1e10);
+const dateOnly = (iso) => String(iso || "").slice(0, 10);
+
+const el = (name, value, attrs = {}) => {
+  const attrText = Object.entries(attrs)
+    .filter(([, attrValue]) => attrValue !== undefined && attrValue !== null)
+    .map(([key, attrValue]) => ` ${key}="${escapeXml(attrValue)}"`)
+    .join("");
+  return `<${name}${attrText}>${escapeXml(value)}</${name}>`;
+};
+
+const taxSubtotal = (currency, taxable, tax, scheme, extra = "") =>
+  "<cac:TaxSubtotal>" +
+  el("cbc:TaxableAmount", money(taxable), { currencyID: currency }) +
+  el("cbc:TaxAmount", money(tax), { currencyID: currency }) +
+  "<cac:TaxCategory>" +
+  extra +
+  "<cac:TaxScheme>" +
+  el("cbc:ID", scheme.id) +
+  el("cbc:Name", scheme.name) +
+  el("cbc:TaxTypeCode", scheme.code) +
+  "</cac:TaxScheme></cac:TaxCategory></cac:TaxSubtotal>";
+
+// ICBPER is a per-unit tax: it carries no taxable amount, only the tax and (per line) the bag count and rate.
+const icbperSubtotal = (currency, tax, extra = "") =>
+  "<cac:TaxSubtotal>" +
+  el("cbc:TaxAmount", money(tax), { currencyID: currency }) +
+  extra +
+  "<cac:TaxCategory><cac:TaxScheme>" +
+  el("cbc:ID", TAX_SCHEMES.ICBPER.id) +
+  el("cbc:Name", TAX_SCHEMES.ICBPER.name) +
+  el("cbc:TaxTypeCode", TAX_SCHEMES.ICBPER.code) +
+  "</cac:TaxScheme></cac:TaxCategory></cac:TaxSubtotal>";
+
+const allowanceCharge = (isCharge, reasonCode, amount, baseAmount, currency) =>
+  "<cac:AllowanceCharge>" +
+  el("cbc:ChargeIndicator", isCharge ? "true" : "false") +
+  el("cbc:AllowanceChargeReasonCode", reasonCode) +
+  el("cbc:MultiplierFactorNumeric", decimal(baseAmount > 0 ? Math.round((amount / baseAmount) * 1e5) / 1e5 : 0)) +
+  el("cbc:Amount", money(amount), { currencyID: currency }) +
+  el("cbc:BaseAmount", money(baseAmount), { currencyID: currency }) +
+  "</cac:AllowanceCharge>";
+
+const party = (tag, schemeId, documentNumber, name, address) =>
+  `<cac:${tag}><cac:Party>` +
+  `<cac:PartyIdentification>${el("cbc:ID", documentNumber, { schemeID: schemeId })}</cac:PartyIdentification>` +
+  "<cac:PartyLegalEntity>" +
+  el("cbc:RegistrationName", name) +
+  (address ? `<cac:RegistrationAddress>${address}</cac:RegistrationAddress>` : "") +
+  `</cac:PartyLegalEntity></cac:Party></cac:${tag}>`;
+
+const buildLine = (root, currency, item, index) => {
+  const code = String(item?.igvAffectation || (Number(item?.taxRate || 0) > 0 ? "10" : "20"));
+  const group = affectationGroup(code) || "GRAVADO";
+  const free = item?.free ?? isFreeAffectation(code);
+  const quantity = Number(item?.quantity || 0);
+  const subtotal = Number(item?.subtotal || 0);
+  const igv = Number(item?.igv || 0);
+  const discount = Number(item?.discount || 0);
+  const icbperAmount = Number(item?.icbperAmount || 0);
+  // Price is the unit value before the line discount; LineExtensionAmount is already discounted.
+  const unitValue = quantity > 0 ? (subtotal + discount) / quantity : 0;
+  const unitPriceWithTax = quantity > 0 ? (subtotal + igv) / quantity : 0;
+  const scheme = free ? TAX_SCHEMES.GRATUITO : TAX_SCHEMES[group];
+  const lineTax = group === "GRAVADO" ? igv : 0;
+
+  return (
+    `<cac:${root.line}>` +
+    el("cbc:ID", index + 1) +
+    el(`cbc:${root.quantity}`, decimal(quantity), { unitCode: item?.unitCode || "NIU" }) +
+    el("cbc:LineExtensionAmount", money(subtotal), { currencyID: currency }) +
+    "<cac:PricingReference><cac:AlternativeConditionPrice>" +
+    el("cbc:PriceAmount", decimal(free ? unitValue : unitPriceWithTax), { currencyID: currency }) +
+    el("cbc:PriceTypeCode", free ? "02" : "01") +
+    "</cac:AlternativeConditionPrice></cac:PricingReference>" +
+    (discount > 0 ? allowanceCharge(false, "00", discount, subtotal + discount, currency) : "") +
+    "<cac:TaxTotal>" +
+    el("cbc:TaxAmount", money(lineTax + icbperAmount), { currencyID: currency }) +
+    taxSubtotal(
+      currency,
+      subtotal,
+      lineTax,
+      scheme,
+      el("cbc:Percent", decimal(Number(item?.taxRate || 0) * 100)) + el("cbc:TaxExemptionReasonCode", code)
+    ) +
+    (icbperAmount > 0
+      ? icbperSubtotal(
+          currency,
+          icbperAmount,
+          el("cbc:BaseUnitMeasure", decimal(quantity), { unitCode: item?.unitCode || "NIU" }) +
+            el("cbc:PerUnitAmount", money(icbperAmount / quantity), { currencyID: currency })
+        )
+      : "") +
+    "</cac:TaxTotal>" +
+    `<cac:Item>${el("cbc:Description", item?.description || "")}</cac:Item>` +
+    `<cac:Price>${el("cbc:PriceAmount", decimal(free ? 0 : unitValue), { currencyID: currency })}</cac:Price>` +
+    `</cac:${root.line}>`
+  );
+};
+
+const buildDocumentTaxTotal = (invoice) => {
+  const currency = invoice.currency;
+  const subtotals = [];
+  if (invoice.opGravadas > 0 || invoice.igv > 0) {
+    subtotals.push(taxSubtotal(currency, invoice.opGravadas, invoice.igv, TAX_SCHEMES.GRAVADO));
+  }
+  if (invoice.opExoneradas > 0) subtotals.push(taxSubtotal(currency, invoice.opExoneradas, 0, TAX_SCHEMES.EXONERADO));
+  if (invoice.opInafectas > 0) subtotals.push(taxSubtotal(currency, invoice.opInafectas, 0, TAX_SCHEMES.INAFECTO));
+  if (invoice.opExportacion > 0) subtotals.push(taxSubtotal(currency, invoice.opExportacion, 0, TAX_SCHEMES.EXPORTACION));
+  if (invoice.opGratuitas > 0) {
+    subtotals.push(taxSubtotal(currency, invoice.opGratuitas, invoice.igvGratuitas, TAX_SCHEMES.GRATUITO));
+  }
+  if (!subtotals.length) subtotals.push(taxSubtotal(currency, 0, 0, TAX_SCHEMES.GRAVADO));
+  if (invoice.icbper > 0) subtotals.push(icbperSubtotal(currency, invoice.icbper));
+
+  const taxAmount = Number(invoice.igv || 0) + Number(invoice.icbper || 0);
+  return `<cac:TaxTotal>${el("cbc:TaxAmount", money(taxAmount), { currencyID: currency })}${subtotals.join("")}</cac:TaxTotal>`;
+};
+
+const buildPaymentTerms = (invoice) => {
+  const parts = [];
+  if (invoice.detraccionCode) {
+    parts.push(
+      "<cac:PaymentMeans>" +
+        el("cbc:ID", "Detraccion") +
+        el("cbc:PaymentMeansCode", "001") +
+        `<cac:PayeeFinancialAccount>${el("cbc:ID", invoice.detraccionBankAccount)}</cac:PayeeFinancialAccount>` +
+        "</cac:PaymentMeans>" +
+        "<cac:PaymentTerms>" +
+        el("cbc:ID", "Detraccion") +
+        el("cbc:PaymentMeansID", invoice.detraccionCode) +
+        el("cbc:PaymentPercent", decimal(Number(invoice.detraccionRate || 0) * 100)) +
+        el("cbc:Amount", money(invoice.detraccionAmountPen), { currencyID: "PEN" }) +
+        "</cac:PaymentTerms>"
+    );
+  }
+
+  const netPayable = Number(invoice.netReceivable ?? invoice.total);
+  if (invoice.dueDate && dateOnly(invoice.dueDate) > dateOnly(invoice.issueDate)) {
+    parts.push(
+      "<cac:PaymentTerms>" +
+        el("cbc:ID", "FormaPago") +
+        el("cbc:PaymentMeansID", "Credito") +
+        el("cbc:Amount", money(netPayable), { currencyID: invoice.currency }) +
+        "</cac:PaymentTerms>" +
+        "<cac:PaymentTerms>" +
+        el("cbc:ID", "FormaPago") +
+        el("cbc:PaymentMeansID", "Cuota001") +
+        el("cbc:Amount", money(netPayable), { currencyID: invoice.currency }) +
+        el("cbc:PaymentDueDate", dateOnly(invoice.dueDate)) +
+        "</cac:PaymentTerms>"
+    );
+  } else {
+    parts.push(`<cac:PaymentTerms>${el("cbc:ID", "FormaPago")}${el("cbc:PaymentMeansID", "Contado")}</cac:PaymentTerms>`);
+  }
+  return parts.join("");
+};
+
+// Amount charged before the global discount that does not affect the base (code 03).
+const unbasedDiscount = (invoice) => (invoice.globalDiscountAffectsBase === false ? Number(invoice.globalDiscount || 0) : 0);
+
+const buildAllowanceCharges = (invoice) => {
+  const parts = [];
+  const currency = invoice.currency;
+  if (invoice.globalDiscount > 0) {
+    parts.push(
+      invoice.globalDiscountAffectsBase === false
+        ? allowanceCharge(false, "03", invoice.globalDiscount, Number(invoice.total) + invoice.globalDiscount, currency)
+        : allowanceCharge(false, "02", invoice.globalDiscount, Number(invoice.subtotal) + invoice.globalDiscount, currency)
+    );
+  }
+  if (invoice.otherCharges > 0) {
+    parts.push(allowanceCharge(true, "50", invoice.otherCharges, invoice.subtotal, currency));
+  }
+  if (invoice.retencionAmount > 0) {
+    parts.push(
+      "<cac:AllowanceCharge>" +
+        el("cbc:ChargeIndicator", "false") +
+        el("cbc:AllowanceChargeReasonCode", "62") +
+        el("cbc:MultiplierFactorNumeric", decimal(invoice.retencionRate)) +
+        el("cbc:Amount", money(invoice.retencionAmount), { currencyID: invoice.currency }) +
+        el("cbc:BaseAmount", money(invoice.total), { currencyID: invoice.currency }) +
+        "</cac:AllowanceCharge>"
+    );
+  }
+  if (invoice.percepcionAmount > 0) {
+    parts.push(
+      "<cac:AllowanceCharge>" +
+        el("cbc:ChargeIndicator", "true") +
+        el("cbc:AllowanceChargeReasonCode", "51") +
+        el("cbc:MultiplierFactorNumeric", decimal(invoice.percepcionRate)) +
+        el("cbc:Amount", money(invoice.percepcionAmount), { currencyID: "PEN" }) +
+        el("cbc:BaseAmount", money(invoice.totalPen), { currencyID: "PEN" }) +
+        "</cac:AllowanceCharge>"
+    );
+  }
+  return parts.join("");
+};
+
+const invoiceTypeListId = (invoice) => {
+  if (invoice.detraccionCode) return "1001";
+  if (invoice.opExportacion > 0) return "0200";
+  return "0101";
+};
+
+export const buildUblFilename = (ruc, typeCode, invoice) => `${ruc}-${typeCode}-${invoice.serie}-${invoice.numero}.xml`;
+
+// Builds the unsigned UBL 2.1 document; the SUNAT worker adds the signature in ext:ExtensionContent.
+export const buildUblXml = ({ business, invoice, typeCode, referenceTypeCode }) => {
+  const root = ROOTS[typeCode];
+  if (!root) {
+    throw new Error("Unsupported document type");
+  }
+
+  const currency = invoice.currency || "PEN";
+  const ruc = String(business?.ruc || "").trim();
+  const businessName = String(business?.name || "").trim();
+  const documentId = `${invoice.serie}-${invoice.numero}`;
+  const isNote = typeCode === "07" || typeCode === "08";
+  const referenceId = `${invoice.referenceSerie || ""}-${invoice.referenceNumero || ""}`;
+  const supplierAddress =
+    el("cbc:AddressTypeCode", business?.addressTypeCode || "0000") +
+    (business?.address ? `<cac:AddressLine>${el("cbc:Line", business.address)}</cac:AddressLine>` : "");
+  const customerAddress = invoice.customerAddress
+    ? `<cac:AddressLine>${el("cbc:Line", invoice.customerAddress)}</cac:AddressLine>`
+    : "";
+
+  const header = [
+    "<ext:UBLExtensions><ext:UBLExtension><ext:ExtensionContent/></ext:UBLExtension></ext:UBLExtensions>",
+    el("cbc:UBLVersionID", "2.1"),
+    el("cbc:CustomizationID", "2.0"),
+    el("cbc:ID", documentId),
+    el("cbc:IssueDate", dateOnly(invoice.issueDate)),
+    !isNote && invoice.dueDate ? el("cbc:DueDate", dateOnly(invoice.dueDate)) : "",
+    !isNote ? el("cbc:InvoiceTypeCode", typeCode, { listID: invoiceTypeListId(invoice) }) : "",
+    el("cbc:DocumentCurrencyCode", currency),
+    isNote
+      ? "<cac:DiscrepancyResponse>" +
+        el("cbc:ReferenceID", referenceId) +
+        el("cbc:ResponseCode", invoice.noteReasonCode) +
+        el("cbc:Description", invoice.noteReason) +
+        "</cac:DiscrepancyResponse>" +
+        "<cac:BillingReference><cac:InvoiceDocumentReference>" +
+        el("cbc:ID", referenceId) +
+        el("cbc:DocumentTypeCode", referenceTypeCode) +
+        "</cac:InvoiceDocumentReference></cac:BillingReference>"
+      : "",
+    "<cac:Signature>" +
+      el("cbc:ID", ruc) +
+      `<cac:SignatoryParty><cac:PartyIdentification>${el("cbc:ID", ruc)}</cac:PartyIdentification>` +
+      `<cac:PartyName>${el("cbc:Name", businessName)}</cac:PartyName></cac:SignatoryParty>` +
+      `<cac:DigitalSignatureAttachment><cac:ExternalReference>${el("cbc:URI", `#SIGN-${ruc}`)}</cac:ExternalReference></cac:DigitalSignatureAttachment>` +
+      "</cac:Signature>",
+    party("AccountingSupplierParty", "6", ruc, businessName, supplierAddress),
+    party(
+      "AccountingCustomerParty",
+      CUSTOMER_DOC_CODES[invoice.customerDocumentType] || "0",
+      invoice.customerDocumentNumber,
+      invoice.customerName,
+      customerAddress
+    ),
+    !isNote ? buildPaymentTerms(invoice) : "",
+    buildAllowanceCharges(invoice),
+    buildDocumentTaxTotal(invoice),
+    `<cac:${root.total}>` +
+      el("cbc:LineExtensionAmount", money(invoice.subtotal), { currencyID: currency }) +
+      el(
+        "cbc:TaxInclusiveAmount",
+        money(Number(invoice.subtotal || 0) + Number(invoice.igv || 0) + Number(invoice.icbper || 0)),
+        { currencyID: currency }
+      ) +
+      (unbasedDiscount(invoice) > 0
+        ? el("cbc:AllowanceTotalAmount", money(unbasedDiscount(invoice)), { currencyID: currency })
+        : "") +
+      (invoice.otherCharges > 0 ? el("cbc:ChargeTotalAmount", money(invoice.otherCharges), { currencyID: currency }) : "") +
+      el("cbc:PayableAmount", money(invoice.total), { currencyID: currency }) +
+      `</cac:${root.total}>`,
+  ];
+
+  const lines = (invoice.items || []).map((item, index) => buildLine(root, currency, item, index));
+  const xmlns = Object.entries(NAMESPACES)
+    .map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`)
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<${root.tag} xmlns="${root.ns}"${xmlns}>` +
+    header.join("") +
+    lines.join("") +
+    `</${root.tag}>`
+  );
+};
+
+// One centimo of tolerance (plus float noise): lines entered with IGV included derive igv by difference.
+const near = (a, b) => Math.abs(Number(a || 0) - Number(b || 0)) <= 0.01 + 1e-9;
+
+// Structural checks SUNAT applies to the XML, run locally so failures are reported before the worker is called.
+// `errors` are data SUNAT rejects (identity, serie-numero, customer, amounts) and block the emission;
+// `warnings` are advisory checks (rounding of single lines, limits SUNAT only observes) shown by the preview.
+export const validateUblInvoice = ({ business, invoice, typeCode, referenceTypeCode }) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const add = (field, message) => warnings.push({ field, message });
+
+  if (!isValidRuc(String(business?.ruc || "").trim())) fail("business.ruc", "Invalid issuer RUC");
+  if (!String(business?.name || "").trim()) fail("business.name", "Missing issuer name");
+
+  if (!ROOTS[typeCode]) fail("documentType", "Unsupported document type");
+  if (!/^[FB][A-Z0-9]{3}$/.test(String(invoice.serie || ""))) fail("serie", "Invalid serie");
+  if (!/^\d{1,8}$/.test(String(invoice.numero || ""))) fail("numero", "numero must have 1 to 8 digits");
+  if (!invoice.issueDate) fail("issueDate", "Missing issueDate");
+
+  const customerType = invoice.customerDocumentType;
+  const customerNumber = String(invoice.customerDocumentNumber || "");
+  if (!String(invoice.customerName || "").trim()) fail("customerName", "Missing customerName");
+  if (customerType === "RUC" && !/^\d{11}$/.test(customerNumber)) fail("customerDocumentNumber", "Customer RUC must have 11 digits");
+  if (customerType === "DNI" && !/^\d{8}$/.test(customerNumber)) fail("customerDocumentNumber", "Customer DNI must have 8 digits");
+
+  const seriesPrefix = String(invoice.serie || "").charAt(0);
+  if (typeCode === "01" && customerType !== "RUC") fail("customerDocumentType", "Factura requires customerDocumentType RUC");
+  if (typeCode === "01" && seriesPrefix !== "F") fail("serie", "Factura serie must start with F");
+  if (typeCode === "03" && seriesPrefix !== "B") fail("serie", "Boleta serie must start with B");
+  if (typeCode === "03" && Number(invoice.totalPen ?? invoice.total) > 700 && customerType === "OTRO") {
+    add("customerDocumentType", "Boleta above S/ 700 requires an identified customer");
+  }
+
+  if (typeCode === "07" || typeCode === "08") {
+    if (!invoice.referenceSerie || !invoice.referenceNumero) fail("referenceInvoiceId", "Missing referenced invoice");
+    if (!referenceTypeCode) fail("referenceDocumentType", "Invalid referenced document type");
+    if (!invoice.noteReasonCode) fail("noteReasonCode", "Missing noteReasonCode");
+    if (!String(invoice.noteReason || "").trim()) fail("noteReason", "Missing noteReason");
+  }
+
+  const items = Array.isArray(invoice.items) ? invoice.items : [];
+  if (!items.length) fail("items", "Missing items");
+
+  let lineSubtotal = 0;
+  let lineIgv = 0;
+  let lineIcbper = 0;
+  items.forEach((item, index) => {
+    const field = `items[${index}]`;
+    const description = String(item?.description || "").trim();
+    if (!description) fail(`${field}.description`, "Missing description");
+    if (description.length > 500) add(`${field}.description`, "Description exceeds 500 characters");
+    if (!(Number(item?.quantity) > 0)) fail(`${field}.quantity`, "Quantity must be greater than zero");
+
+    const code = String(item?.igvAffectation || (Number(item?.taxRate || 0) > 0 ? "10" : "20"));
+    const group = affectationGroup(code);
+    if (!group) fail(`${field}.igvAffectation`, "Invalid igvAffectation");
+    if (group === "GRAVADO" && !(Number(item?.taxRate) > 0)) fail(`${field}.taxRate`, "Gravado item requires taxRate");
+    if (group && group !== "GRAVADO" && Number(item?.taxRate || 0) !== 0) fail(`${field}.taxRate`, "Non-gravado item cannot have taxRate");
+    if (!near(Number(item?.subtotal || 0) * Number(item?.taxRate || 0), item?.igv)) add(`${field}.igv`, "Line igv does not match taxRate");
+    if (Number(item?.discount || 0) < 0) fail(`${field}.discount`, "Line discount cannot be negative");
+    lineIcbper += Number(item?.icbperAmount || 0);
+
+    if (!(item?.free ?? isFreeAffectation(code))) {
+      lineSubtotal += Number(item?.subtotal || 0);
+      lineIgv += Number(item?.igv || 0);
+    }
+  });
+
+  const baseDiscount = invoice.globalDiscountAffectsBase === false ? 0 : Number(invoice.globalDiscount || 0);
+  const expectedTotal =
+    Number(invoice.subtotal || 0) +
+    Number(invoice.igv || 0) +
+    Number(invoice.icbper || 0) +
+    Number(invoice.otherCharges || 0) -
+    unbasedDiscount(invoice);
+  if (!near(lineSubtotal - baseDiscount, invoice.subtotal)) fail("subtotal", "subtotal does not match items");
+  if (!near(lineIgv - Number(invoice.globalDiscountIgv || 0), invoice.igv)) fail("igv", "igv does not match items");
+  if (!near(lineIcbper, invoice.icbper)) fail("icbper", "icbper does not match items");
+  if (lineIcbper > 0 && invoice.currency !== "PEN") fail("icbper", "ICBPER requires PEN currency");
+  if (!near(expectedTotal, invoice.total)) fail("total", "total does not match subtotal + taxes + charges - discounts");
+  if (invoice.detraccionCode && !invoice.detraccionBankAccount) add("detraccionBankAccount", "Missing detraccion bank account");
+
+  return { errors, warnings };
+};
+
+// One SummaryDocumentsLine of a Resumen Diario (RC). statusCode follows catalogo 19:
+// "1" adds the document, "2" modifies it and "3" annuls it.
+export const buildSummaryLine = ({ invoice, typeCode, referenceTypeCode, statusCode = "1" }) => ({
+  documentTypeCode: typeCode,
+  serie: invoice.serie,
+  numero: invoice.numero,
+  customerDocumentType: CUSTOMER_DOC_CODES[invoice.customerDocumentType] || "0",
+  customerDocumentNumber: invoice.customerDocumentNumber || "-",
+  currency: invoice.currency,
+  statusCode,
+  total: money(invoice.total),
+  opGravadas: money(invoice.opGravadas),
+  opExoneradas: money(invoice.opExoneradas),
+  opInafectas: money(invoice.opInafectas),
+  opExportacion: money(invoice.opExportacion),
+  opGratuitas: money(invoice.opGratuitas),
+  igv: money(invoice.igv),
+  icbper: invoice.icbper ? money(invoice.icbper) : null,
+  otherCharges: invoice.otherCharges ? money(invoice.otherCharges) : null,
+  percepcionAmount: invoice.percepcionAmount ? money(invoice.percepcionAmount) : null,
+  reference: referenceTypeCode
+    ? { documentTypeCode: referenceTypeCode, serie: invoice.referenceSerie, numero: invoice.referenceNumero }
+    : null,
+});
@@ -0,0 +1,9 @@
+// Helpers shared by the route file and the pure billing modules.
+
+export const asApiError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const round2 = (value) => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { detectDecimalSeparator, parseBankStatement, parseStatementAmount, parseStatementDate } from "../src/bank.js";
+
+test("amounts keep an explicit sign", () => {
+  assert.equal(parseStatementAmount("1,234.56"), 1234.56);
+  assert.equal(parseStatementAmount("-1,234.56"), -1234.56);
+  assert.equal(parseStatementAmount("(1,234.56)"), -1234.56);
+  assert.equal(parseStatementAmount("1234.56-"), -1234.56);
+  assert.equal(parseStatementAmount("S/ -50.00"), -50);
+  assert.equal(parseStatementAmount("-S/ 50.00"), -50);
+  assert.equal(parseStatementAmount("US$ 1,000.00"), 1000);
+});
+
+test("amounts with a sign in the middle or two signs are rejected", () => {
+  assert.equal(parseStatementAmount("12-34"), null);
+  assert.equal(parseStatementAmount("(-12.00)"), null);
+  assert.equal(parseStatementAmount("-12.00-"), null);
+  assert.equal(parseStatementAmount("OP 123"), null);
+  assert.equal(parseStatementAmount(""), null);
+});
+
+test("amounts follow the file's decimal separator", () => {
+  assert.equal(parseStatementAmount("1.234,56", ","), 1234.56);
+  assert.equal(parseStatementAmount("1.234", ","), 1234);
+  assert.equal(parseStatementAmount("1,234", "."), 1234);
+  assert.equal(parseStatementAmount("1,5", ","), 1.5);
+  // The other convention, or thousands groups that are not three digits, do not parse.
+  assert.equal(parseStatementAmount("1.234,56", "."), null);
+  assert.equal(parseStatementAmount("1,5", "."), null);
+  assert.equal(parseStatementAmount("12,34,567.00", "."), null);
+});
+
+test("the decimal separator is decided once per file", () => {
+  assert.equal(detectDecimalSeparator(["1,234", "10.50", ""]), ".");
+  assert.equal(detectDecimalSeparator(["1.234", "10,50"]), ",");
+  assert.equal(detectDecimalSeparator(["1.234.567", "200"]), ",");
+  assert.equal(detectDecimalSeparator(["1,234", "1.234", "200"]), null);
+  assert.throws(() => detectDecimalSeparator(["10.50", "10,50"]), { status: 400, message: "Statement mixes decimal separators" });
+});
+
+test("dates are day first and may carry a time", () => {
+  assert.equal(parseStatementDate("05/10/2026"), "2026-10-05");
+  assert.equal(parseStatementDate("5-10-26"), "2026-10-05");
+  assert.equal(parseStatementDate("05/10/2026 14:32"), "2026-10-05");
+  assert.equal(parseStatementDate("05/10/2026 02:32:10 p.m."), "2026-10-05");
+  assert.equal(parseStatementDate("2026-10-05"), "2026-10-05");
+  assert.equal(parseStatementDate("2026-10-05T14:32:10.000Z"), "2026-10-05");
+  assert.equal(parseStatementDate("2026-10-05 14:32:10"), "2026-10-05");
+});
+
+test("invalid dates are rejected", () => {
+  assert.equal(parseStatementDate("31/02/2026"), null);
+  assert.equal(parseStatementDate("2026-13-01"), null);
+  assert.equal(parseStatementDate("05/10/2026 abc"), null);
+  assert.equal(parseStatementDate("Saldo final"), null);
+});
+
+test("a BCP export yields its deposits and counts debits and footers", () => {
+  const content = [
+    "Cuenta: 191-1234567-0-12",
+    "Fecha,Descripcion operacion,Monto,Operacion Numero,Referencia2",
+    "05/10/2026,TRAN.CTAS.TERC.20100070970,\"1,180.00\",00012345,",
+    "06/10/2026 09:15,PAGO SERVICIO,-250.00,00012346,",
+    "07/10/2026,DEPOSITO EFECTIVO,\"1,000\",00012347,",
+    "Total,,\"1,930.00\",,",
+  ].join("\n");
+  const parsed = parseBankStatement(content);
+  assert.equal(parsed.bank, "BCP");
+  assert.equal(parsed.debits, 1);
+  assert.equal(parsed.skipped, 1);
+  assert.deepEqual(
+    parsed.movements.map((movement) => [movement.line, movement.date, movement.amount, movement.operationNumber]),
+    [
+      [3, "2026-10-05", 1180, "00012345"],
+      [5, "2026-10-07", 1000, "00012347"],
+    ]
+  );
+});
+
+test("an Interbank export with decimal commas reads credit and debit columns", () => {
+  const content = [
+    "Fecha de operacion;Descripcion;Cargo;Abono;Nro de operacion;Canal",
+    "05/10/2026;ABONO TRANSF;;1.180,00;778899;BANCA MOVIL",
+    "06/10/2026;COMISION;12,50;;778900;",
+    "07/10/2026;ABONO TRANSF;;1.000;778901;",
+  ].join("\r\n");
+  const parsed = parseBankStatement(content);
+  assert.equal(parsed.bank, "INTERBANK");
+  assert.equal(parsed.debits, 1);
+  assert.deepEqual(
+    parsed.movements.map((movement) => [movement.date, movement.amount, movement.reference]),
+    [
+      ["2026-10-05", 1180, "BANCA MOVIL"],
+      ["2026-10-07", 1000, null],
+    ]
+  );
+});
+
+test("a file that mixes separators is rejected", () => {
+  const content = ["Fecha,Descripcion,Monto", "05/10/2026,A,\"1,180.00\"", "06/10/2026,B,\"12,50\""].join("\n");
+  assert.throws(() => parseBankStatement(content), { status: 400 });
+});
+
+test("unknown layouts are reported without movements", () => {
+  assert.deepEqual(parseBankStatement("a,b,c\n1,2,3"), { bank: null, movements: [], skipped: 0, debits: 0 });
+});
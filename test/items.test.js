@@ -0,0 +1,178 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { applyGlobalAdjustments, parseInvoiceItem, summarizeInvoiceItems } from "../src/items.js";
+
+const gross = (item) => parseInvoiceItem({ description: "Item", taxRate: 0.18, ...item }, { pricesIncludeTax: true });
+
+const cents = (value) => Math.round(value * 100);
+
+test("1.00 with IGV included splits into 0.85 + 0.15", () => {
+  const item = gross({ quantity: 1, unitPrice: 1 });
+  assert.equal(item.subtotal, 0.85);
+  assert.equal(item.igv, 0.15);
+  assert.equal(item.total, 1);
+  assert.equal(item.unitPriceWithTax, 1);
+  assert.equal(item.unitPrice, 0.85);
+});
+
+test("0.10 x 3 keeps the 0.30 entered", () => {
+  const item = gross({ quantity: 3, unitPrice: 0.1 });
+  assert.equal(item.subtotal, 0.25);
+  assert.equal(item.igv, 0.05);
+  assert.equal(item.total, 0.3);
+  // The unit value keeps 10 decimals so quantity x value reproduces the net line.
+  assert.equal(item.unitPrice, 0.0833333333);
+});
+
+test("large quantities do not drift from the gross amount", () => {
+  const round = gross({ quantity: 1000, unitPrice: 11.8 });
+  assert.equal(round.subtotal, 10000);
+  assert.equal(round.igv, 1800);
+  assert.equal(round.total, 11800);
+
+  const odd = gross({ quantity: 12345, unitPrice: 0.99 });
+  assert.equal(odd.total, 12221.55);
+  assert.equal(cents(odd.subtotal) + cents(odd.igv), cents(12221.55));
+  assert.equal(odd.subtotal, 10357.25);
+});
+
+test("line totals add up exactly to the entered gross", () => {
+  const prices = [0.01, 0.1, 0.33, 0.99, 1, 1.5, 2.36, 9.99, 19.9, 118, 333.33];
+  const quantities = [1, 2, 3, 7, 13, 0.5, 1.25];
+  prices.forEach((unitPrice) => {
+    quantities.forEach((quantity) => {
+      const item = gross({ quantity, unitPrice });
+      const entered = cents(quantity * unitPrice);
+      assert.equal(cents(item.subtotal) + cents(item.igv), entered, `${quantity} x ${unitPrice}`);
+      assert.equal(cents(item.total), entered, `${quantity} x ${unitPrice}`);
+    });
+  });
+});
+
+test("discounts with IGV included are taken from the gross line", () => {
+  const item = gross({ quantity: 2, unitPrice: 5.9, discount: 1.18 });
+  assert.equal(item.total, 10.62);
+  assert.equal(item.subtotal, 9);
+  assert.equal(item.igv, 1.62);
+  assert.equal(item.discountWithTax, 1.18);
+  assert.equal(item.discount, 1);
+});
+
+test("mixed gravado and exonerado lines total the entered gross", () => {
+  const items = [
+    gross({ quantity: 3, unitPrice: 0.1 }),
+    gross({ quantity: 1, unitPrice: 1 }),
+    parseInvoiceItem({ description: "Libro", quantity: 2, unitPrice: 25.5, igvAffectation: "20" }, { pricesIncludeTax: true }),
+    parseInvoiceItem({ description: "Pan", quantity: 7, unitPrice: 0.33, taxRate: 0 }, { pricesIncludeTax: true }),
+  ];
+  assert.equal(items[2].igv, 0);
+  assert.equal(items[2].subtotal, 51);
+  assert.equal(items[3].igvAffectation, "20");
+
+  const totals = summarizeInvoiceItems(items);
+  assert.equal(totals.opGravadas, 1.1);
+  assert.equal(totals.igv, 0.2);
+  assert.equal(totals.opExoneradas, 53.31);
+  assert.equal(totals.total, 54.61);
+  assert.equal(applyGlobalAdjustments({}, totals).total, 54.61);
+});
+
+test("net prices still add IGV on top", () => {
+  const item = parseInvoiceItem({ description: "Item", quantity: 3, unitPrice: 0.1, taxRate: 18 });
+  assert.equal(item.subtotal, 0.3);
+  assert.equal(item.igv, 0.05);
+  assert.equal(item.total, 0.35);
+  assert.equal(item.unitPrice, 0.1);
+});
+
+test("items need a taxRate unless igvAffectation is explicit", () => {
+  assert.throws(() => parseInvoiceItem({ description: "Item", quantity: 1, unitPrice: 10 }), {
+    message: "Invalid item fields",
+  });
+
+  const gravado = parseInvoiceItem({ description: "Item", quantity: 1, unitPrice: 10, igvAffectation: "10" });
+  assert.equal(gravado.taxRate, 0.18);
+  assert.equal(gravado.igv, 1.8);
+});
+
+const net = (item) => parseInvoiceItem({ description: "Item", taxRate: 0.18, ...item });
+
+test("a global discount on net prices lowers op. gravadas and IGV in proportion", () => {
+  const totals = applyGlobalAdjustments({ globalDiscount: { amount: 10 } }, summarizeInvoiceItems([net({ quantity: 1, unitPrice: 100 })]));
+  assert.equal(totals.opGravadas, 90);
+  assert.equal(totals.subtotal, 90);
+  assert.equal(totals.igv, 16.2);
+  assert.equal(totals.globalDiscount, 10);
+  assert.equal(totals.globalDiscountIgv, 1.8);
+  assert.equal(totals.globalDiscountWithTax, 0);
+  assert.equal(totals.total, 106.2);
+});
+
+test("a global discount on gross prices is taken with IGV, like line discounts", () => {
+  const items = [gross({ quantity: 1, unitPrice: 118 })];
+  const totals = applyGlobalAdjustments({ globalDiscount: { amount: 11.8 } }, summarizeInvoiceItems(items), { pricesIncludeTax: true });
+  assert.equal(totals.total, 106.2);
+  assert.equal(totals.opGravadas, 90);
+  assert.equal(totals.igv, 16.2);
+  assert.equal(totals.globalDiscount, 10);
+  assert.equal(totals.globalDiscountWithTax, 11.8);
+  assert.equal(totals.globalDiscountIgv, 1.8);
+
+  const line = summarizeInvoiceItems([gross({ quantity: 1, unitPrice: 118, discount: 11.8 })]);
+  assert.equal(line.total, totals.total);
+});
+
+test("a global discount is spread over the groups the invoice has", () => {
+  const exonerado = parseInvoiceItem({ description: "Libro", quantity: 1, unitPrice: 50, igvAffectation: "20" });
+  const onlyExonerado = applyGlobalAdjustments({ globalDiscount: { amount: 5 } }, summarizeInvoiceItems([exonerado]));
+  assert.equal(onlyExonerado.opExoneradas, 45);
+  assert.equal(onlyExonerado.igv, 0);
+  assert.equal(onlyExonerado.total, 45);
+
+  const mixed = applyGlobalAdjustments(
+    { globalDiscount: { amount: 15 } },
+    summarizeInvoiceItems([net({ quantity: 1, unitPrice: 100 }), exonerado])
+  );
+  assert.equal(mixed.opGravadas, 90);
+  assert.equal(mixed.opExoneradas, 45);
+  assert.equal(mixed.globalDiscount, 15);
+  assert.equal(mixed.igv, 16.2);
+  assert.equal(mixed.total, 151.2);
+
+  assert.throws(() => applyGlobalAdjustments({ globalDiscount: { amount: 50.01 } }, summarizeInvoiceItems([exonerado])), {
+    status: 400,
+    message: "globalDiscount exceeds the discountable amount",
+  });
+});
+
+test("a discount outside the base and other charges only move the total", () => {
+  const totals = applyGlobalAdjustments(
+    { globalDiscount: { amount: 18, affectsBase: false }, otherCharges: { amount: 5 } },
+    summarizeInvoiceItems([net({ quantity: 1, unitPrice: 100 })])
+  );
+  assert.equal(totals.subtotal, 100);
+  assert.equal(totals.igv, 18);
+  assert.equal(totals.globalDiscount, 18);
+  assert.equal(totals.globalDiscountAffectsBase, false);
+  assert.equal(totals.otherCharges, 5);
+  assert.equal(totals.otherChargesDescription, "Otros cargos");
+  assert.equal(totals.total, 105);
+
+  assert.throws(() => applyGlobalAdjustments({ otherCharges: { amount: 0 } }, totals), { message: "Invalid otherCharges amount" });
+});
+
+test("ICBPER is charged per whole bag, also on free bags", () => {
+  const bags = net({ quantity: 3, unitPrice: 0.1, icbper: true });
+  assert.equal(bags.icbperAmount, 1.5);
+  assert.equal(bags.total, 1.85);
+
+  const free = parseInvoiceItem({ description: "Bolsa", quantity: 2, unitPrice: 0.1, igvAffectation: "11", icbper: true });
+  const totals = summarizeInvoiceItems([bags, free]);
+  assert.equal(totals.icbper, 2.5);
+  assert.equal(totals.total, 2.85);
+
+  assert.throws(() => net({ quantity: 1.5, unitPrice: 0.1, icbper: true }), {
+    status: 400,
+    message: "ICBPER items need a whole number of bags",
+  });
+});
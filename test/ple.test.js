@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildPleVentasFilename, buildPleVentasTxt, encodePleText } from "../src/ple.js";
+
+const factura = {
+  id: "inv1",
+  status: "EMITIDO",
+  documentType: "FACTURA",
+  serie: "F001",
+  numero: "25",
+  issueDate: "2026-10-05T00:00:00.000Z",
+  dueDate: "2026-11-04T00:00:00.000Z",
+  customerDocumentType: "RUC",
+  customerDocumentNumber: "20100070970",
+  customerName: "Compañía | Andina\nSAC",
+  currency: "USD",
+  exchangeRate: 3.75,
+  opExportacion: 0,
+  opGravadas: 100,
+  igv: 18,
+  opExoneradas: 10,
+  opInafectas: 0,
+  icbper: 0,
+  otherCharges: 0,
+  total: 128,
+  totalPen: 480,
+};
+
+const creditNote = {
+  ...factura,
+  id: "inv2",
+  documentType: "NOTA_CREDITO",
+  serie: "FC01",
+  numero: "3",
+  issueDate: "2026-10-20T00:00:00.000Z",
+  dueDate: null,
+  currency: "PEN",
+  exchangeRate: 1,
+  opGravadas: 50,
+  igv: 9,
+  opExoneradas: 0,
+  icbper: 0.5,
+  total: 59.5,
+  totalPen: 59.5,
+  referenceIssueDate: "2026-10-05T00:00:00.000Z",
+  referenceSerie: "F001",
+  referenceNumero: "25",
+};
+
+const lines = buildPleVentasTxt("202610", [
+  { invoice: factura, typeCode: "01", referenceTypeCode: null },
+  { invoice: creditNote, typeCode: "07", referenceTypeCode: "01" },
+]).split("\r\n");
+
+// Lines end with the separator, so splitting leaves an empty last item.
+const fields = (line) => line.split("|").slice(0, -1);
+
+test("each 14.1 line has 35 pipe-terminated fields", () => {
+  assert.equal(lines.length, 2);
+  lines.forEach((line) => {
+    assert.ok(line.endsWith("|"));
+    assert.equal(fields(line).length, 35);
+  });
+});
+
+test("an invoice line carries its identification and amounts in soles", () => {
+  assert.deepEqual(fields(lines[0]), [
+    "20261000",
+    "inv1",
+    "M1",
+    "05/10/2026",
+    "04/11/2026",
+    "01",
+    "F001",
+    "25",
+    "",
+    "6",
+    "20100070970",
+    "Compañía Andina SAC",
+    "0.00",
+    "375.00",
+    "0.00",
+    "67.50",
+    "0.00",
+    "37.50",
+    "0.00",
+    "0.00",
+    "0.00",
+    "0.00",
+    "0.00",
+    "0.00",
+    "480.00",
+    "USD",
+    "3.750",
+    "",
+    "",
+    "",
+    "",
+    "",
+    "",
+    "",
+    "1",
+  ]);
+});
+
+test("a credit note is negative and references the invoice", () => {
+  const line = fields(lines[1]);
+  assert.deepEqual(line.slice(0, 8), ["20261000", "inv2", "M2", "20/10/2026", "", "07", "FC01", "3"]);
+  assert.equal(line[13], "-50.00");
+  assert.equal(line[15], "-9.00");
+  assert.equal(line[22], "-0.50");
+  assert.equal(line[24], "-59.50");
+  assert.deepEqual(line.slice(25, 31), ["PEN", "1.000", "05/10/2026", "01", "F001", "25"]);
+  assert.equal(line[34], "1");
+});
+
+test("anulados keep their identification with zero amounts", () => {
+  const values = fields(buildPleVentasTxt("202610", [{ invoice: { ...factura, status: "ANULADO" }, typeCode: "01" }]));
+  assert.equal(values[6], "F001");
+  assert.equal(values[13], "0.00");
+  assert.equal(values[24], "0.00");
+  assert.equal(values[34], "2");
+});
+
+test("the file name follows LE + RUC + period + book code", () => {
+  assert.equal(buildPleVentasFilename("20100070970", "202610", true), "LE2010007097020261000140100001111.txt");
+  assert.equal(buildPleVentasFilename("20100070970", "202610", false), "LE2010007097020261000140100001011.txt");
+});
+
+test("the text is written as ISO-8859-1", () => {
+  const bytes = encodePleText("Compañía Ñ €|");
+  assert.deepEqual([...bytes], [...Buffer.from("Compañía Ñ ?|", "latin1")]);
+  assert.equal(bytes.length, 13);
+  assert.equal(bytes[5], 0xf1);
+});
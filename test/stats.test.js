@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildDashboardSummary,
+  invoiceStatsContribution,
+  nestInvoiceStats,
+  sumInvoiceStats,
+  summarizeOverdueInvoices,
+} from "../src/stats.js";
+
+const invoice = (fields) => ({
+  documentType: "FACTURA",
+  status: "EMITIDO",
+  issueDate: "2026-10-01T00:00:00.000Z",
+  currency: "PEN",
+  exchangeRate: 1,
+  subtotal: 100,
+  igv: 18,
+  total: 118,
+  paidAmount: 0,
+  balance: 118,
+  paymentStatus: "PENDIENTE",
+  ...fields,
+});
+
+test("an issued invoice counts its sales, collections and balance", () => {
+  const entry = invoiceStatsContribution(invoice({ paidAmount: 18, balance: 100, paymentStatus: "PARCIAL" }));
+  assert.equal(entry.date, "2026-10-01");
+  assert.deepEqual(entry.stats, {
+    count: 1,
+    salesPen: 118,
+    subtotalPen: 100,
+    igvPen: 18,
+    collectedPen: 18,
+    pendingPen: 100,
+    "cpeStatus.NONE": 1,
+    "paymentStatus.PARCIAL": 1,
+  });
+});
+
+test("USD invoices are converted with their exchange rate", () => {
+  const { stats } = invoiceStatsContribution(
+    invoice({ currency: "USD", exchangeRate: 3.75, subtotal: 10, igv: 1.8, total: 11.8, paidAmount: 5, balance: 6.8 })
+  );
+  assert.equal(stats.salesPen, 44.25);
+  assert.equal(stats.subtotalPen, 37.5);
+  assert.equal(stats.igvPen, 6.75);
+  assert.equal(stats.collectedPen, 18.75);
+  assert.equal(stats.pendingPen, 25.5);
+});
+
+test("stored PEN amounts win over the conversion", () => {
+  const { stats } = invoiceStatsContribution(
+    invoice({ currency: "USD", exchangeRate: 3.75, total: 11.8, totalPen: 44.3, subtotalPen: 37.54, igvPen: 6.76 })
+  );
+  assert.equal(stats.salesPen, 44.3);
+  assert.equal(stats.subtotalPen, 37.54);
+});
+
+test("credit notes subtract sales and stay out of collections and payment tallies", () => {
+  const { stats } = invoiceStatsContribution(
+    invoice({ documentType: "NOTA_CREDITO", subtotal: 10, igv: 1.8, total: 11.8, balance: 0, cpeStatus: "ACEPTADO" })
+  );
+  assert.equal(stats.salesPen, -11.8);
+  assert.equal(stats.subtotalPen, -10);
+  assert.equal(stats.igvPen, -1.8);
+  assert.equal(stats.collectedPen, 0);
+  assert.equal(stats.pendingPen, 0);
+  assert.equal(stats["cpeStatus.ACEPTADO"], 1);
+  assert.equal(Object.keys(stats).some((key) => key.startsWith("paymentStatus.")), false);
+
+  const debit = invoiceStatsContribution(invoice({ documentType: "NOTA_DEBITO", total: 5.9 }));
+  assert.equal(debit.stats.salesPen, 5.9);
+});
+
+test("voided invoices only count in the tallies and drafts do not count", () => {
+  const { stats } = invoiceStatsContribution(invoice({ status: "ANULADO", balance: 0, paymentStatus: "ANULADO" }));
+  assert.equal(stats.count, 1);
+  assert.equal(stats.salesPen, 0);
+  assert.equal(stats.pendingPen, 0);
+  assert.equal(stats["paymentStatus.ANULADO"], 1);
+
+  assert.equal(invoiceStatsContribution(invoice({ status: "BORRADOR" })), null);
+  assert.equal(invoiceStatsContribution(invoice({ issueDate: null })), null);
+  assert.equal(invoiceStatsContribution(null), null);
+});
+
+test("invoices without a stored balance use total minus notes and payments", () => {
+  const raw = invoice({ creditedAmount: 18, paidAmount: 50 });
+  delete raw.balance;
+  assert.equal(invoiceStatsContribution(raw).stats.pendingPen, 50);
+});
+
+test("nestInvoiceStats groups dotted keys into maps", () => {
+  const flat = sumInvoiceStats({ count: 1, "paymentStatus.PAGADO": 1 }, { count: 1, "paymentStatus.PENDIENTE": 1, "cpeStatus.NONE": 1 });
+  assert.deepEqual(
+    nestInvoiceStats(flat, (value) => value * 10),
+    { count: 20, paymentStatus: { PAGADO: 10, PENDIENTE: 10 }, cpeStatus: { NONE: 10 } }
+  );
+  assert.deepEqual(sumInvoiceStats({ count: 2, salesPen: 1.1 }, { count: 1, salesPen: 0.2 }, -1), { count: 1, salesPen: 0.9 });
+});
+
+const statsDoc = (date, entries) => ({
+  date,
+  ...nestInvoiceStats(
+    entries.reduce((sum, raw) => sumInvoiceStats(sum, invoiceStatsContribution({ ...raw, issueDate: `${date}T00:00:00.000Z` }).stats), {}),
+    (value) => value
+  ),
+});
+
+test("buildDashboardSummary totals the range and zero-fills the series", () => {
+  const docs = [
+    statsDoc("2026-09-30", [invoice({ paidAmount: 118, balance: 0, paymentStatus: "PAGADO" })]),
+    statsDoc("2026-10-01", [
+      invoice({}),
+      invoice({ documentType: "NOTA_CREDITO", subtotal: 10, igv: 1.8, total: 11.8, balance: 0 }),
+      invoice({ status: "ANULADO", balance: 0, paymentStatus: "ANULADO" }),
+    ]),
+  ];
+
+  const daily = buildDashboardSummary(docs, { from: "2026-09-29", to: "2026-10-02", groupBy: "DAY" });
+  assert.deepEqual(daily.totals, {
+    count: 4,
+    salesPen: 224.2,
+    subtotalPen: 190,
+    igvPen: 34.2,
+    collectedPen: 118,
+    pendingPen: 118,
+    paymentStatus: { PAGADO: 1, PENDIENTE: 1, ANULADO: 1 },
+    cpeStatus: { NONE: 4 },
+  });
+  assert.deepEqual(
+    daily.series.map((entry) => [entry.period, entry.count, entry.salesPen]),
+    [
+      ["2026-09-29", 0, 0],
+      ["2026-09-30", 1, 118],
+      ["2026-10-01", 3, 106.2],
+      ["2026-10-02", 0, 0],
+    ]
+  );
+
+  const monthly = buildDashboardSummary(docs, { from: "2026-08-15", to: "2026-10-31", groupBy: "MONTH" });
+  assert.deepEqual(
+    monthly.series.map((entry) => [entry.period, entry.salesPen]),
+    [
+      ["2026-08", 0],
+      ["2026-09", 118],
+      ["2026-10", 106.2],
+    ]
+  );
+});
+
+test("overdue invoices move from PENDIENTE to VENCIDO at read time", () => {
+  const open = [
+    invoice({ dueDate: "2026-10-10T00:00:00.000Z" }),
+    invoice({ dueDate: "2026-10-19T00:00:00.000Z" }),
+    invoice({ dueDate: "2026-10-05T00:00:00.000Z", currency: "USD", exchangeRate: 3.8, total: 11.8, balance: 11.8 }),
+    invoice({ dueDate: "2026-10-05T00:00:00.000Z", paymentStatus: "PARCIAL", balance: 18 }),
+    invoice({ issueDate: "2026-09-01T00:00:00.000Z", dueDate: "2026-09-15T00:00:00.000Z" }),
+    invoice({}),
+  ];
+  const range = { from: "2026-10-01", to: "2026-10-31", groupBy: "MONTH" };
+  const overdue = summarizeOverdueInvoices(open, { ...range, today: "2026-10-19" });
+  assert.deepEqual(overdue, { count: 2, pendingPen: 162.84 });
+
+  const docs = [statsDoc("2026-10-01", [invoice({}), invoice({}), invoice({}), invoice({ paymentStatus: "PARCIAL" })])];
+  const { totals } = buildDashboardSummary(docs, range, overdue);
+  assert.deepEqual(totals.paymentStatus, { PENDIENTE: 1, VENCIDO: 2, PARCIAL: 1 });
+  assert.equal(totals.overduePen, 162.84);
+});
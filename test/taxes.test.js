@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildTaxLiquidation, salesNetIncome, summarizePurchases, summarizeSales } from "../src/taxes.js";
+
+const invoice = (fields) => ({
+  documentType: "FACTURA",
+  currency: "PEN",
+  exchangeRate: 1,
+  opGravadas: 0,
+  igv: 0,
+  ...fields,
+});
+
+const sales = summarizeSales([invoice({ opGravadas: 10000, igv: 1800 })]);
+const purchases = summarizePurchases([{ base: 5000, igv: 900, total: 5900 }]);
+
+const liquidate = (fields) => buildTaxLiquidation({ period: "2026-10", sales, purchases, ...fields });
+
+test("sales are converted to soles and credit notes kept apart", () => {
+  const summary = summarizeSales([
+    invoice({ opGravadas: 1000, igv: 180, icbper: 1.5, retencionAmount: 35.4 }),
+    invoice({ currency: "USD", exchangeRate: 3.75, opGravadas: 100, igv: 18, opExoneradas: 10 }),
+    invoice({ documentType: "NOTA_CREDITO", opGravadas: 200, igv: 36, icbper: 0.5 }),
+  ]);
+  assert.equal(summary.gravadas, 1375);
+  assert.equal(summary.igv, 247.5);
+  assert.equal(summary.creditNotesBase, 200);
+  assert.equal(summary.creditNotesIgv, 36);
+  assert.equal(summary.noGravadas, 37.5);
+  assert.equal(summary.icbper, 1);
+  assert.equal(summary.retenciones, 35.4);
+  assert.equal(summary.count, 3);
+  assert.equal(salesNetIncome(summary), 1212.5);
+});
+
+test("General pays the higher of its coefficient and 1.5%", () => {
+  const withCoefficient = liquidate({ regime: "GENERAL", coefficient: 0.02 });
+  assert.equal(withCoefficient.igv.resultante, 900);
+  assert.equal(withCoefficient.igv.toPay, 900);
+  const { renta } = withCoefficient;
+  assert.deepEqual([renta.rate, renta.basis, renta.toPay], [0.02, "COEFFICIENT", 200]);
+  assert.equal(withCoefficient.totalToPay, 1100);
+
+  const minimum = liquidate({ regime: "GENERAL", coefficient: 0.01 });
+  assert.deepEqual([minimum.renta.rate, minimum.renta.basis, minimum.renta.toPay], [0.015, "MINIMUM_RATE", 150]);
+});
+
+test("RER pays 1.5% of net income", () => {
+  const rer = liquidate({ regime: "RER", coefficient: 0.05 });
+  assert.deepEqual([rer.renta.rate, rer.renta.basis, rer.renta.toPay], [0.015, "RER", 150]);
+  assert.equal(rer.form621[301], 10000);
+  assert.equal(rer.form621[312], 0.015);
+});
+
+test("MYPE pays 1% up to 300 UIT of the year's income, then like General", () => {
+  // 300 UIT: 1,650,000 in 2026 (UIT 5,500) and 1,605,000 in 2025 (UIT 5,350).
+  assert.equal(liquidate({ regime: "MYPE", ytdIncome: 1650000 }).renta.rate, 0.01);
+  assert.equal(liquidate({ regime: "MYPE", ytdIncome: 1650001 }).renta.basis, "MINIMUM_RATE");
+  assert.equal(liquidate({ regime: "MYPE", ytdIncome: 1650001, coefficient: 0.03 }).renta.rate, 0.03);
+
+  assert.equal(liquidate({ regime: "MYPE", period: "2025-10", ytdIncome: 1605000 }).renta.rate, 0.01);
+  assert.equal(liquidate({ regime: "MYPE", period: "2025-10", ytdIncome: 1650000 }).renta.rate, 0.015);
+  // Years after the last known UIT use the latest value.
+  assert.equal(liquidate({ regime: "MYPE", period: "2030-01", ytdIncome: 1650000 }).renta.basis, "MYPE_300_UIT");
+});
+
+test("RUS picks the category from the higher of income and purchases", () => {
+  const small = buildTaxLiquidation({
+    period: "2026-10",
+    regime: "RUS",
+    sales: summarizeSales([invoice({ opGravadas: 4000 })]),
+    purchases: summarizePurchases([{ total: 4500 }]),
+  });
+  assert.deepEqual(small.rus, { basis: 4500, category: 1, toPay: 20, exceedsLimit: false });
+  assert.equal(small.igv, null);
+  assert.equal(small.form621, null);
+  assert.equal(small.totalToPay, 20);
+
+  const second = buildTaxLiquidation({
+    period: "2026-10",
+    regime: "RUS",
+    sales: summarizeSales([invoice({ opGravadas: 4000 })]),
+    purchases: summarizePurchases([{ total: 6000 }]),
+  });
+  assert.deepEqual([second.rus.category, second.rus.toPay], [2, 50]);
+
+  const over = buildTaxLiquidation({
+    period: "2026-10",
+    regime: "RUS",
+    sales: summarizeSales([invoice({ opGravadas: 9000 })]),
+    purchases,
+  });
+  assert.equal(over.rus.exceedsLimit, true);
+  assert.equal(over.totalToPay, null);
+});
+
+test("carryover, percepciones and retenciones lower the IGV to pay in that order", () => {
+  const liquidation = buildTaxLiquidation({
+    period: "2026-10",
+    regime: "GENERAL",
+    sales: summarizeSales([invoice({ opGravadas: 10000, igv: 1800, retencionAmount: 600 })]),
+    purchases: summarizePurchases([{ base: 5000, igv: 900, total: 5900, percepciones: 300 }]),
+    carryover: 100,
+  });
+  assert.equal(liquidation.form621[145], 100);
+  assert.equal(liquidation.form621[171], 300);
+  assert.equal(liquidation.form621[179], 600);
+  assert.equal(liquidation.igv.toPay, 0);
+  assert.equal(liquidation.form621[184], 0);
+  assert.equal(liquidation.igv.unappliedPercepciones, 0);
+  assert.equal(liquidation.igv.unappliedRetenciones, 100);
+  assert.equal(liquidation.igv.nextCarryover, 0);
+});
+
+test("a negative resultante carries over as saldo a favor", () => {
+  const liquidation = liquidate({ regime: "RER", purchases: summarizePurchases([{ base: 20000, igv: 3600 }]), carryover: 50 });
+  assert.equal(liquidation.igv.resultante, -1800);
+  assert.equal(liquidation.igv.toPay, 0);
+  assert.equal(liquidation.igv.nextCarryover, 1850);
+});
+
+test("ICBPER is added to the amount to pay in every regime", () => {
+  const bagSales = summarizeSales([invoice({ opGravadas: 10000, igv: 1800, icbper: 12.4 })]);
+  const general = buildTaxLiquidation({ period: "2026-10", regime: "RER", sales: bagSales, purchases });
+  assert.deepEqual(general.icbper, { amount: 12, toPay: 12 });
+  assert.equal(general.totalToPay, 900 + 150 + 12);
+
+  const rus = buildTaxLiquidation({
+    period: "2026-10",
+    regime: "RUS",
+    sales: summarizeSales([invoice({ opGravadas: 3000, icbper: 5 })]),
+    purchases: summarizePurchases([]),
+  });
+  assert.equal(rus.totalToPay, 25);
+});